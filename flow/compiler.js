@@ -7,6 +7,7 @@ declare type CompilerOptions = {
   canBeLeftOpenTag?: (tag: string) => ?boolean; // check if a tag can be left opened
   isReservedTag?: (tag: string) => ?boolean; // check if a tag is a native for the platform
   preserveWhitespace?: boolean; // preserve whitespace between elements?
+  whitespace?: 'preserve' | 'condense'; // whitespace handling strategy
   optimize?: boolean; // optimize static content?
 
   // web specific
@@ -25,6 +26,26 @@ declare type CompilerOptions = {
 
   // for ssr optimization compiler
   scopeId?: string;
+
+  // record start/end offsets into the template on AST nodes and warnings
+  outputSourceRange?: boolean;
+
+  // generate a source map of the render code back to the template
+  sourceMap?: boolean;
+  // name of the template source, used in source maps and sourceURLs
+  filename?: string;
+
+  // visitor-style plugins run over the parsed AST
+  transforms?: Array<TemplateTransform>;
+
+  // cache of compileToFunctions (src/compiler/cache.js), false to disable it
+  cache?: Object | false;
+};
+
+declare type WarningMessage = {
+  msg: string;
+  start?: number;
+  end?: number;
 };
 
 declare type CompiledResult = {
@@ -32,8 +53,44 @@ declare type CompiledResult = {
   render: string;
   staticRenderFns: Array<string>;
   stringRenderFns?: Array<string>;
-  errors?: Array<string>;
-  tips?: Array<string>;
+  errors?: Array<string | WarningMessage>;
+  tips?: Array<string | WarningMessage>;
+  map?: Object;
+};
+
+declare type TemplateLintSeverity = 'error' | 'warning';
+
+declare type TemplateLintOptions = {
+  // names declared by the component, as arrays or as the option objects
+  bindings?: {
+    props?: Array<string> | Object;
+    data?: Array<string> | Object;
+    computed?: Array<string> | Object;
+    methods?: Array<string> | Object;
+    inject?: Array<string> | Object;
+  };
+  globals?: Array<string>; // extra globals allowed in expressions
+  rules?: { [rule: string]: TemplateLintSeverity | 'off' };
+  delimiters?: [string, string];
+};
+
+declare type TemplateDiagnostic = {
+  rule: string;
+  severity: TemplateLintSeverity;
+  message: string;
+  start?: number;
+  end?: number;
+};
+
+// what a template uses, without duplicates
+declare type TemplateManifest = {
+  components: Array<string>; // component tags and static `is` values
+  dynamicComponents: Array<string>; // expressions bound to `is`
+  directives: Array<string>; // runtime directive names, without `v-`
+  filters: Array<string>;
+  slots: Array<string>; // names of the <slot> outlets
+  dynamicSlots: Array<string>; // expressions bound to the name of <slot>
+  identifiers: Array<string>; // instance properties referenced by expressions
 };
 
 declare type ModuleOptions = {
@@ -50,14 +107,35 @@ declare type ModuleOptions = {
   staticKeys?: Array<string>; // AST properties to be considered static
 };
 
+declare type TemplateTransform = {
+  name?: string;
+  // called on each node before and after its children are traversed, with
+  // a TransformPath (src/compiler/transform.js) to navigate and modify the AST
+  enter?: (node: ASTNode, path: any) => void;
+  exit?: (node: ASTNode, path: any) => void;
+  // called with the optimized AST right before code generation
+  beforeGenerate?: (ast: ASTElement, options: CompilerOptions) => void;
+};
+
 declare type ASTModifiers = { [key: string]: boolean };
 declare type ASTIfCondition = { exp: ?string; block: ASTElement };
 declare type ASTIfConditions = Array<ASTIfCondition>;
 
+declare type ASTAttr = {
+  name: string;
+  value: any;
+  dynamic?: boolean;
+  start?: number;
+  end?: number;
+};
+
 declare type ASTElementHandler = {
   value: string;
   params?: Array<any>;
   modifiers: ?ASTModifiers;
+  dynamic?: boolean;
+  start?: number;
+  end?: number;
 };
 
 declare type ASTElementHandlers = {
@@ -69,7 +147,10 @@ declare type ASTDirective = {
   rawName: string;
   value: string;
   arg: ?string;
+  isDynamicArg: boolean;
   modifiers: ?ASTModifiers;
+  start?: number;
+  end?: number;
 };
 
 declare type ASTNode = ASTElement | ASTText | ASTExpression;
@@ -77,11 +158,15 @@ declare type ASTNode = ASTElement | ASTText | ASTExpression;
 declare type ASTElement = {
   type: 1;
   tag: string;
-  attrsList: Array<{ name: string; value: any }>;
+  attrsList: Array<ASTAttr>;
   attrsMap: { [key: string]: any };
+  rawAttrsMap: { [key: string]: ASTAttr };
   parent: ASTElement | void;
   children: Array<ASTNode>;
 
+  start?: number;
+  end?: number;
+
   processed?: true;
 
   static?: boolean;
@@ -91,8 +176,9 @@ declare type ASTElement = {
   hasBindings?: boolean;
 
   text?: string;
-  attrs?: Array<{ name: string; value: any }>;
-  props?: Array<{ name: string; value: string }>;
+  attrs?: Array<ASTAttr>;
+  dynamicAttrs?: Array<ASTAttr>;
+  props?: Array<ASTAttr>;
   plain?: boolean;
   pre?: true;
   ns?: string;
@@ -103,6 +189,8 @@ declare type ASTElement = {
   slotName?: ?string;
   slotTarget?: ?string;
   slotScope?: ?string;
+  // <template> holding the children of a component with v-slot
+  slotContainer?: ASTElement;
   scopedSlots?: { [name: string]: ASTElement };
 
   ref?: string;
@@ -160,6 +248,8 @@ declare type ASTExpression = {
   static?: boolean;
   // 2.4 ssr optimization
   ssrOptimizability?: number;
+  start?: number;
+  end?: number;
 };
 
 declare type ASTText = {
@@ -169,6 +259,8 @@ declare type ASTText = {
   isComment?: boolean;
   // 2.4 ssr optimization
   ssrOptimizability?: number;
+  start?: number;
+  end?: number;
 };
 
 // SFC-parser related declarations
@@ -129,9 +129,17 @@ declare interface Component {
   // apply v-on object
   _g: (data: any, value: any) => VNodeData;
   // check custom keyCode
-  _k: (eventKeyCode: number, key: string, builtInAlias?: number | Array<number>, eventKeyName?: string) => ?boolean;
+  _k: (eventKeyCode: number, key: string, builtInAlias?: number | Array<number>, eventKeyName?: string, builtInKeyName?: string | Array<string>, event?: Object) => ?boolean;
+  // check key combinations and sequences
+  _a: (event: Object, binding: string | Array<string>) => boolean;
   // resolve scoped slots
   _u: (scopedSlots: ScopedSlotsData, res?: Object) => { [key: string]: Function };
+  // apply dynamic argument keys
+  _d: (baseObj: Object, values: Array<any>) => Object;
+  // prepend event modifier markers to dynamic event names
+  _p: (value: any, symbol: string) => any;
+  // mark debounced/throttled event handlers
+  _r: (fn: Function, type: 'debounce' | 'throttle', wait: number) => Function;
 
   // SSR specific
   _ssrNode: Function;
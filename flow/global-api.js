@@ -11,6 +11,9 @@ declare interface GlobalAPI {
   use: (plugin: Function | Object) => void;
   mixin: (mixin: Object) => void;
   compile: (template: string) => { render: Function, staticRenderFns: Array<Function> };
+  observable: <T>(obj: T) => T;
+  computed: (getterOrOptions: Function | { get: Function, set?: Function }) => Object;
+  watch: (source: Function | Object, cb: any, options?: Object) => Function;
 
   directive: (id: string, def?: Function | Object) => Function | Object | void;
   component: (id: string, def?: Class<Component> | Object) => Class<Component>;
@@ -75,4 +75,4 @@ declare type VNodeDirective = {
   def?: Object;
 };
 
-declare type ScopedSlotsData = Array<{ key: string, fn: Function } | ScopedSlotsData>;
+declare type ScopedSlotsData = Array<?{ key: string, fn: Function, proxy?: boolean } | ScopedSlotsData>;
@@ -5,6 +5,12 @@ export declare function createRenderer(options?: RendererOptions): Renderer;
 
 export declare function createBundleRenderer(bundle: string | object, options?: BundleRendererOptions): BundleRenderer;
 
+export declare function createComponentCache(options?: ComponentCacheOptions): ComponentCache;
+
+export declare function createCompilerCache(options?: CompilerCacheOptions): CompilerCache;
+
+export declare function createFileCacheStore(dir: string): CompilerCacheStore;
+
 type RenderCallback = (err: Error | null, html: string) => void;
 
 interface Renderer {
@@ -14,6 +20,8 @@ interface Renderer {
   renderToString(vm: Vue, context: object): Promise<string>;
 
   renderToStream(vm: Vue, context?: object): Readable;
+
+  getCacheStats(): CacheStats;
 }
 
 interface BundleRenderer {
@@ -23,6 +31,8 @@ interface BundleRenderer {
   renderToString(context: object): Promise<string>;
 
   renderToStream(context?: object): Readable;
+
+  getCacheStats(): CacheStats;
 }
 
 interface RendererOptions {
@@ -31,6 +41,11 @@ interface RendererOptions {
   shouldPreload?: (file: string, type: string) => boolean;
   shouldPrefetch?: (file: string, type: string) => boolean;
   cache?: RenderCache;
+  compilerCache?: CompilerCache | false;
+  outOfOrder?: boolean;
+  profile?: boolean | ((profile: RenderProfile, context?: object) => void);
+  timeout?: number;
+  fallback?: string | ((err: RenderAbortError, context?: object) => string);
   directives?: {
     [key: string]: (vnode: VNode, dir: VNodeDirective) => void
   };
@@ -44,6 +59,81 @@ interface BundleRendererOptions extends RendererOptions {
 
 interface RenderCache {
   get: (key: string, cb?: (res: string) => void) => string | void;
-  set: (key: string, val: string) => void;
+  set: (key: string, val: string, maxAge?: number, tags?: string[]) => void;
   has?: (key: string, cb?: (hit: boolean) => void) => boolean | void;
+  stats?: () => object;
+}
+
+interface ComponentCacheOptions {
+  max?: number;
+  maxAge?: number;
+}
+
+interface ComponentCacheStats {
+  entries: number;
+  size: number;
+  max: number;
+  evictions: number;
+  expirations: number;
+  purges: number;
+}
+
+interface ComponentCache extends RenderCache {
+  has: (key: string) => boolean;
+  delete(key: string): boolean;
+  purge(tag: string | string[]): number;
+  clear(): void;
+  stats(): ComponentCacheStats;
+}
+
+interface CompiledCode {
+  key?: string;
+  render: string;
+  staticRenderFns: string[];
+  errors?: Array<string | object>;
+  tips?: Array<string | object>;
+}
+
+interface CompilerCacheStore {
+  get(key: string): CompiledCode | null | undefined;
+  set(key: string, code: CompiledCode): void;
+}
+
+interface CompilerCacheOptions {
+  max?: number;
+  store?: CompilerCacheStore;
+}
+
+interface CompilerCache {
+  readonly size: number;
+  readonly store?: CompilerCacheStore;
+  clear(): void;
+}
+
+interface CacheStats extends Partial<ComponentCacheStats> {
+  hits: number;
+  misses: number;
+  sets: number;
+}
+
+interface RenderMeasure {
+  type: 'render' | 'compile' | 'async';
+  name: string;
+  start: number;
+  duration: number;
+}
+
+interface RenderProfile {
+  duration: number;
+  bytes: number;
+  cache: {
+    hits: number;
+    misses: number;
+  };
+  measures: RenderMeasure[];
+}
+
+interface RenderAbortError extends Error {
+  name: 'RenderAbortError';
+  code: 'RENDER_TIMEOUT' | 'RENDER_ABORTED';
 }
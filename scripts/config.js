@@ -57,14 +57,14 @@ const builds = {
   // Runtime only (ES Modules). Used by bundlers that support ES Modules,
   // e.g. Rollup & Webpack 2
   'web-runtime-esm': {
-    entry: resolve('web/entry-runtime.js'),
+    entry: resolve('web/entry-runtime-esm.js'),
     dest: resolve('dist/vue.runtime.esm.js'),
     format: 'es',
     banner
   },
   // Runtime+compiler CommonJS build (ES Modules)
   'web-full-esm': {
-    entry: resolve('web/entry-runtime-with-compiler.js'),
+    entry: resolve('web/entry-runtime-with-compiler-esm.js'),
     dest: resolve('dist/vue.esm.js'),
     format: 'es',
     alias: { he: './entity-decoder' },
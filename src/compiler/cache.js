@@ -0,0 +1,206 @@
+/* @flow */
+
+/**
+ * Cache for compileToFunctions.
+ *
+ * Compiled functions are kept in memory in least-recently-used order, bounded
+ * by a number of entries. The compiled code can additionally be persisted in
+ * a store, e.g. a directory on disk, so that a new process can skip compiling
+ * the templates it has already seen. Entries are keyed by the template, the
+ * compile options that affect the output and the compiler itself, so that
+ * entries of different compilers or versions of Vue can share the same store.
+ * Persisted entries are named after a hash of their key and keep the key
+ * itself, which is checked when they are read back.
+ */
+
+export type CompiledCode = {
+  key?: string;
+  render: string;
+  staticRenderFns: Array<string>;
+  errors?: Array<string | WarningMessage>;
+  tips?: Array<string | WarningMessage>;
+};
+
+// store for the compiled code, e.g. on disk. Must be synchronous, as
+// templates are compiled synchronously
+export type CompilerCacheStore = {
+  get: (key: string) => ?CompiledCode;
+  set: (key: string, code: CompiledCode) => void;
+};
+
+export type CompilerCacheOptions = {
+  max?: number;
+  store?: CompilerCacheStore;
+};
+
+type CacheEntry = {
+  key: string;
+  value: any;
+  prev: ?CacheEntry;
+  next: ?CacheEntry;
+};
+
+// options that don't affect the compiled code
+const ignoredOptions = ['warn', 'cache']
+
+export class CompilerCache {
+  max: number;
+  store: ?CompilerCacheStore;
+  size: number;
+  entries: { [key: string]: CacheEntry };
+  // most recently used entry first
+  head: ?CacheEntry;
+  tail: ?CacheEntry;
+
+  constructor (options?: CompilerCacheOptions = {}) {
+    this.max = options.max || Infinity
+    this.store = options.store
+    this.clear()
+  }
+
+  get (key: string): any {
+    const entry = this.entries[key]
+    if (entry) {
+      this.unlink(entry)
+      this.link(entry)
+      return entry.value
+    }
+  }
+
+  set (key: string, value: any) {
+    let entry = this.entries[key]
+    if (entry) {
+      this.unlink(entry)
+      entry.value = value
+    } else {
+      entry = this.entries[key] = { key, value, prev: null, next: null }
+      this.size++
+    }
+    this.link(entry)
+    // evict the least recently used entries
+    while (this.size > this.max && this.tail) {
+      const tail = this.tail
+      this.unlink(tail)
+      delete this.entries[tail.key]
+      this.size--
+    }
+  }
+
+  clear () {
+    // $flow-disable-line
+    this.entries = Object.create(null)
+    this.head = this.tail = null
+    this.size = 0
+  }
+
+  link (entry: CacheEntry) {
+    entry.prev = null
+    entry.next = this.head
+    if (this.head) this.head.prev = entry
+    this.head = entry
+    if (!this.tail) this.tail = entry
+  }
+
+  unlink (entry: CacheEntry) {
+    if (entry.prev) entry.prev.next = entry.next
+    else this.head = entry.next
+    if (entry.next) entry.next.prev = entry.prev
+    else this.tail = entry.prev
+    entry.prev = entry.next = null
+  }
+}
+
+export function createCompilerCache (options?: CompilerCacheOptions): CompilerCache {
+  return new CompilerCache(options)
+}
+
+/**
+ * Identify a compiler by its compile function and base options, e.g. to
+ * tell the SSR and weex compilers apart from the web one.
+ */
+export function genCompilerNamespace (
+  baseCompile: Function,
+  baseOptions: CompilerOptions
+): string {
+  return hash(String(baseCompile) + serialize(baseOptions))
+}
+
+/**
+ * Generate the cache key of a template compiled with the given options by
+ * the compiler identified by `namespace`. Returns nothing when the options
+ * hold functions, e.g. custom modules or directives: their behaviour can't be
+ * told from their source, so such templates are not cached.
+ */
+export function genCacheKey (
+  namespace: string,
+  template: string,
+  options: Object
+): ?string {
+  const keys = Object.keys(options)
+    .filter(key => ignoredOptions.indexOf(key) < 0)
+    .sort()
+  let serialized = ''
+  for (let i = 0; i < keys.length; i++) {
+    if (hasFunction(options[keys[i]])) {
+      return
+    }
+    serialized += `${keys[i]}:${serialize(options[keys[i]])};`
+  }
+  return `__VERSION__\n${namespace}\n${serialized}\n${template}`
+}
+
+function hasFunction (value: any, seen?: Array<any> = []): boolean {
+  if (typeof value === 'function') {
+    return true
+  }
+  if (value === null || typeof value !== 'object' || seen.indexOf(value) > -1) {
+    return false
+  }
+  seen.push(value)
+  const values = Array.isArray(value)
+    ? value
+    : Object.keys(value).map(key => value[key])
+  const res = values.some(v => hasFunction(v, seen))
+  seen.pop()
+  return res
+}
+
+function serialize (value: any, seen?: Array<any> = []): string {
+  if (typeof value === 'function') {
+    // e.g. the modules and directives of the base options
+    return String(value)
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) || String(value)
+  }
+  if (seen.indexOf(value) > -1) {
+    return '[circular]'
+  }
+  seen.push(value)
+  const res = Array.isArray(value)
+    ? `[${value.map(v => serialize(v, seen)).join(',')}]`
+    : `{${Object.keys(value).sort().map(key => `${key}:${serialize(value[key], seen)}`).join(',')}}`
+  seen.pop()
+  return res
+}
+
+/**
+ * Hash a string into 16 hex digits, made of its 32-bit FNV-1a and djb2
+ * hashes (without Math.imul, for older browsers).
+ */
+export function hash (str: string): string {
+  let h1 = 0x811c9dc5
+  let h2 = 5381
+  for (let i = 0; i < str.length; i++) {
+    const c = str.charCodeAt(i)
+    h1 ^= c
+    // multiply by the FNV prime, 2^24 + 2^8 + 0x93
+    h1 += (h1 << 1) + (h1 << 4) + (h1 << 7) + (h1 << 8) + (h1 << 24)
+    h2 = ((h2 << 5) + h2 + c) | 0
+  }
+  return toHex(h1) + toHex(h2)
+}
+
+function toHex (n: number): string {
+  return ('0000000' + (n >>> 0).toString(16)).slice(-8)
+}
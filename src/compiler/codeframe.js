@@ -0,0 +1,70 @@
+/* @flow */
+
+// number of lines shown around the highlighted range
+const CONTEXT_LINES = 2
+
+/**
+ * Generate a code frame of the template source around a range, e.g.
+ *
+ * 1  |  <div>
+ * 2  |    <span :class="{">
+ *    |          ^^^^^^^^^^
+ * 3  |  </div>
+ *
+ * An empty range (or a missing end) points at a single character.
+ */
+export function generateCodeFrame (
+  source: string,
+  start?: number = 0,
+  end?: number = start
+): string {
+  const lines = source.split('\n')
+  const lineStarts = []
+  let offset = 0
+  for (let i = 0; i < lines.length; i++) {
+    lineStarts.push(offset)
+    offset += lines[i].length + 1
+  }
+
+  // lines containing the first and the last character of the range
+  let first = 0
+  while (first < lines.length - 1 && lineStarts[first + 1] <= start) first++
+  let last = first
+  while (last < lines.length - 1 && lineStarts[last + 1] < end) last++
+
+  const from = Math.max(first - CONTEXT_LINES, 0)
+  const to = Math.min(last + CONTEXT_LINES, lines.length - 1)
+  const gutterWidth = Math.max(String(to + 1).length + 1, 3)
+  const res = []
+  for (let i = from; i <= to; i++) {
+    const line = lines[i].replace(/\r$/, '')
+    res.push(`${pad(String(i + 1), gutterWidth)}|  ${line}`)
+    if (i >= first && i <= last) {
+      const underlineStart = Math.max(start - lineStarts[i], 0)
+      const underlineEnd = Math.min(end - lineStarts[i], line.length)
+      const length = i === first
+        ? Math.max(underlineEnd - underlineStart, 1)
+        : underlineEnd - underlineStart
+      if (length > 0) {
+        res.push(
+          `${pad('', gutterWidth)}|  ` +
+          repeat(' ', underlineStart) +
+          repeat('^', length)
+        )
+      }
+    }
+  }
+  return res.join('\n')
+}
+
+function pad (str: string, width: number): string {
+  return str + repeat(' ', width - str.length)
+}
+
+function repeat (str: string, n: number): string {
+  let result = ''
+  for (let i = 0; i < n; i++) {
+    result += str
+  }
+  return result
+}
@@ -1,8 +1,18 @@
 /* @flow */
 
+import { markSourceRange } from '../source-map'
+import type { CodegenState } from './index'
+
 const fnExpRE = /^([\w$_]+|\([^)]*?\))\s*=>|^function\s*\(/
+// key combinations and sequences, e.g. ctrl+shift+k or g,g
+const keyBindingRE = /[+,]/
 const simplePathRE = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\['[^']*?']|\["[^"]*?"]|\[\d+]|\[[A-Za-z_$][\w$]*])*$/
 
+// duration of .debounce and .throttle, e.g. .300ms, .1s or .300, in
+// milliseconds. Next to these modifiers, numbers are durations, not key codes
+const durationRE = /^(\d+)(ms|s)?$/
+const defaultRateLimitWait = 300
+
 // KeyboardEvent.keyCode aliases
 const keyCodes: { [key: string]: number | Array<number> } = {
   esc: 27,
@@ -51,13 +61,35 @@ const modifierCode: { [key: string]: string } = {
 
 export function genHandlers (
   events: ASTElementHandlers,
-  isNative: boolean
+  isNative: boolean,
+  state?: CodegenState
 ): string {
-  let res = isNative ? 'nativeOn:{' : 'on:{'
+  const prefix = isNative ? 'nativeOn:' : 'on:'
+  let staticHandlers = ``
+  let dynamicHandlers = ``
   for (const name in events) {
-    res += `"${name}":${genHandler(name, events[name])},`
+    const handlerCode = genHandler(name, events[name], state)
+    if (isDynamicHandler(events[name])) {
+      dynamicHandlers += `${name},${handlerCode},`
+    } else {
+      staticHandlers += `"${name}":${handlerCode},`
+    }
+  }
+  staticHandlers = `{${staticHandlers.slice(0, -1)}}`
+  if (dynamicHandlers) {
+    return prefix + `_d(${staticHandlers},[${dynamicHandlers.slice(0, -1)}])`
+  } else {
+    return prefix + staticHandlers
   }
-  return res.slice(0, -1) + '}'
+}
+
+// handlers added for the same dynamic event name are all dynamic
+function isDynamicHandler (
+  handler: ASTElementHandler | Array<ASTElementHandler>
+): boolean {
+  return Array.isArray(handler)
+    ? handler.some(h => !!h.dynamic)
+    : !!(handler && handler.dynamic)
 }
 
 // Generate handler code with binding params on Weex
@@ -80,16 +112,22 @@ function genWeexHandler (params: Array<any>, handlerCode: string) {
 
 function genHandler (
   name: string,
-  handler: ASTElementHandler | Array<ASTElementHandler>
+  handler: ASTElementHandler | Array<ASTElementHandler>,
+  state?: CodegenState
 ): string {
   if (!handler) {
     return 'function(){}'
   }
 
   if (Array.isArray(handler)) {
-    return `[${handler.map(handler => genHandler(name, handler)).join(',')}]`
+    return `[${handler.map(handler => genHandler(name, handler, state)).join(',')}]`
   }
 
+  const code = genHandlerCode(handler)
+  return state && state.sourceMap ? markSourceRange(code, handler) : code
+}
+
+function genHandlerCode (handler: ASTElementHandler): string {
   const isMethodPath = simplePathRE.test(handler.value)
   const isFunctionExpression = fnExpRE.test(handler.value)
 
@@ -113,6 +151,8 @@ function genHandler (
         if (keyCodes[key]) {
           keys.push(key)
         }
+      } else if (isRateLimitModifier(key, handler.modifiers)) {
+        // handled below
       } else if (key === 'exact') {
         const modifiers: ASTModifiers = (handler.modifiers: any)
         genModifierCode += genGuard(
@@ -141,15 +181,45 @@ function genHandler (
     if (__WEEX__ && handler.params) {
       return genWeexHandler(handler.params, code + handlerCode)
     }
+    const rateLimit = genRateLimit(handler.modifiers)
+    if (rateLimit) {
+      // guards and modifiers like prevent are applied on every event, and
+      // the returned function is debounced/throttled by the listener invoker
+      return `_r(function($event){${code}return function(){${handlerCode}}},${rateLimit})`
+    }
     return `function($event){${code}${handlerCode}}`
   }
 }
 
+function isRateLimitModifier (key: string, modifiers: ASTModifiers): boolean {
+  return key === 'debounce' || key === 'throttle' || (
+    durationRE.test(key) && !!(modifiers.debounce || modifiers.throttle)
+  )
+}
+
+function genRateLimit (modifiers: ASTModifiers): ?string {
+  const type = modifiers.debounce ? 'debounce' : modifiers.throttle ? 'throttle' : null
+  if (!type) {
+    return
+  }
+  let wait = defaultRateLimitWait
+  for (const key in modifiers) {
+    const match = key.match(durationRE)
+    if (match) {
+      wait = match[2] === 's' ? +match[1] * 1000 : +match[1]
+    }
+  }
+  return `"${type}",${wait}`
+}
+
 function genKeyFilter (keys: Array<string>): string {
   return `if(!('button' in $event)&&${keys.map(genFilterCode).join('&&')})return null;`
 }
 
 function genFilterCode (key: string): string {
+  if (keyBindingRE.test(key)) {
+    return `_a($event,${JSON.stringify(key)})`
+  }
   const keyVal = parseInt(key, 10)
   if (keyVal) {
     return `$event.keyCode!==${keyVal}`
@@ -162,6 +232,8 @@ function genFilterCode (key: string): string {
     `${JSON.stringify(keyCode)},` +
     `$event.key,` +
     `${JSON.stringify(keyName)}` +
+    // custom keys may be named bindings, checked against the whole event
+    `${keyCode ? '' : ',$event'}` +
     `)`
   )
 }
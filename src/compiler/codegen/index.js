@@ -3,7 +3,10 @@
 import { genHandlers } from './events'
 import baseDirectives from '../directives/index'
 import { camelize, no, extend } from 'shared/util'
-import { baseWarn, pluckModuleFunction } from '../helpers'
+import { baseWarn, pluckModuleFunction, getRawBindingAttr } from '../helpers'
+import { getInterpolationOffsets } from '../parser/text-parser'
+import { emptySlotScopeToken } from '../parser/index'
+import { markSourceRange } from '../source-map'
 
 type TransformFunction = (el: ASTElement, code: string) => string;
 type DataGenFunction = (el: ASTElement) => string;
@@ -19,6 +22,7 @@ export class CodegenState {
   onceId: number;
   staticRenderFns: Array<string>;
   pre: boolean;
+  sourceMap: boolean;
 
   constructor (options: CompilerOptions) {
     this.options = options
@@ -31,6 +35,7 @@ export class CodegenState {
     this.onceId = 0
     this.staticRenderFns = []
     this.pre = false
+    this.sourceMap = !!options.sourceMap
   }
 }
 
@@ -90,10 +95,19 @@ export function genElement (el: ASTElement, state: CodegenState): string {
     for (let i = 0; i < state.transforms.length; i++) {
       code = state.transforms[i](el, code)
     }
-    return code
+    return genMapped(code, el, state)
   }
 }
 
+// mark code with the template range it was generated from, for source maps
+export function genMapped (
+  code: string,
+  range: ?{ start?: number },
+  state: CodegenState
+): string {
+  return state.sourceMap ? markSourceRange(code, range) : code
+}
+
 // hoist static sub-trees out
 function genStatic (el: ASTElement, state: CodegenState): string {
   el.staticProcessed = true
@@ -130,7 +144,8 @@ function genOnce (el: ASTElement, state: CodegenState): string {
     }
     if (!key) {
       process.env.NODE_ENV !== 'production' && state.warn(
-        `v-once can only be used inside v-for that is keyed. `
+        `v-once can only be used inside v-for that is keyed. `,
+        el.rawAttrsMap['v-once']
       )
       return genElement(el, state)
     }
@@ -162,7 +177,10 @@ function genIfConditions (
 
   const condition = conditions.shift()
   if (condition.exp) {
-    return `(${condition.exp})?${
+    const { rawAttrsMap } = condition.block
+    return `${
+      genMapped(`(${condition.exp})`, rawAttrsMap['v-if'] || rawAttrsMap['v-else-if'], state)
+    }?${
       genTernaryExp(condition.block)
     }:${
       genIfConditions(conditions, state, altGen, altEmpty)
@@ -202,12 +220,13 @@ export function genFor (
       `<${el.tag} v-for="${alias} in ${exp}">: component lists rendered with ` +
       `v-for should have explicit keys. ` +
       `See https://vuejs.org/guide/list.html#key for more info.`,
+      el.rawAttrsMap['v-for'],
       true /* tip */
     )
   }
 
   el.forProcessed = true // avoid recursion
-  return `${altHelper || '_l'}((${exp}),` +
+  return `${altHelper || '_l'}(${genMapped(`(${exp})`, el.rawAttrsMap['v-for'], state)},` +
     `function(${alias}${iterator1}${iterator2}){` +
       `return ${(altGen || genElement)(el, state)}` +
     '})'
@@ -223,7 +242,7 @@ export function genData (el: ASTElement, state: CodegenState): string {
 
   // key
   if (el.key) {
-    data += `key:${el.key},`
+    data += `key:${genMapped(el.key, getRawBindingAttr(el, 'key'), state)},`
   }
   // ref
   if (el.ref) {
@@ -246,18 +265,18 @@ export function genData (el: ASTElement, state: CodegenState): string {
   }
   // attributes
   if (el.attrs) {
-    data += `attrs:{${genProps(el.attrs)}},`
+    data += `attrs:${genProps(el.attrs, state)},`
   }
   // DOM props
   if (el.props) {
-    data += `domProps:{${genProps(el.props)}},`
+    data += `domProps:${genProps(el.props, state)},`
   }
   // event handlers
   if (el.events) {
-    data += `${genHandlers(el.events, false)},`
+    data += `${genHandlers(el.events, false, state)},`
   }
   if (el.nativeEvents) {
-    data += `${genHandlers(el.nativeEvents, true)},`
+    data += `${genHandlers(el.nativeEvents, true, state)},`
   }
   // slot target
   // only for non-scoped slots
@@ -270,12 +289,13 @@ export function genData (el: ASTElement, state: CodegenState): string {
   }
   // component v-model
   if (el.model) {
+    const { value, callback, expression } = el.model
     data += `model:{value:${
-      el.model.value
+      genMapped(value, el.rawAttrsMap['v-model'], state)
     },callback:${
-      el.model.callback
+      callback
     },expression:${
-      el.model.expression
+      expression
     }},`
   }
   // inline-template
@@ -286,6 +306,11 @@ export function genData (el: ASTElement, state: CodegenState): string {
     }
   }
   data = data.replace(/,$/, '') + '}'
+  // v-bind with dynamic arguments must be applied using the same v-bind object
+  // merge helper so that class/style/mustUseProp attrs are handled correctly.
+  if (el.dynamicAttrs) {
+    data = `_b(${data},"${el.tag}",${genProps(el.dynamicAttrs, state)})`
+  }
   // v-bind data wrap
   if (el.wrapData) {
     data = el.wrapData(data)
@@ -315,9 +340,11 @@ function genDirectives (el: ASTElement, state: CodegenState): string | void {
     if (needRuntime) {
       hasRuntime = true
       res += `{name:"${dir.name}",rawName:"${dir.rawName}"${
-        dir.value ? `,value:(${dir.value}),expression:${JSON.stringify(dir.value)}` : ''
+        dir.value
+          ? `,value:${genMapped(`(${dir.value})`, dir, state)},expression:${JSON.stringify(dir.value)}`
+          : ''
       }${
-        dir.arg ? `,arg:"${dir.arg}"` : ''
+        dir.arg ? `,arg:${dir.isDynamicArg ? dir.arg : `"${dir.arg}"`}` : ''
       }${
         dir.modifiers ? `,modifiers:${JSON.stringify(dir.modifiers)}` : ''
       }},`
@@ -333,7 +360,10 @@ function genInlineTemplate (el: ASTElement, state: CodegenState): ?string {
   if (process.env.NODE_ENV !== 'production' && (
     el.children.length !== 1 || ast.type !== 1
   )) {
-    state.warn('Inline-template components must have exactly one child element.')
+    state.warn(
+      'Inline-template components must have exactly one child element.',
+      { start: el.start }
+    )
   }
   if (ast.type === 1) {
     const inlineRenderFns = generate(ast, state.options)
@@ -351,31 +381,38 @@ function genScopedSlots (
 ): string {
   return `scopedSlots:_u([${
     Object.keys(slots).map(key => {
-      return genScopedSlot(key, slots[key], state)
+      return genScopedSlot(slots[key], state)
     }).join(',')
   }])`
 }
 
 function genScopedSlot (
-  key: string,
   el: ASTElement,
   state: CodegenState
 ): string {
+  const isLegacySyntax = el.attrsMap['slot-scope'] != null || el.attrsMap.scope != null
+  if (el.if && !el.ifProcessed && !isLegacySyntax) {
+    return genIf(el, state, genScopedSlot, `null`)
+  }
   if (el.for && !el.forProcessed) {
-    return genForScopedSlot(key, el, state)
+    return genForScopedSlot(el, state)
   }
-  const fn = `function(${String(el.slotScope)}){` +
+  const slotScope = el.slotScope === emptySlotScopeToken
+    ? ``
+    : String(el.slotScope)
+  const fn = `function(${slotScope}){` +
     `return ${el.tag === 'template'
-      ? el.if
+      ? el.if && isLegacySyntax
         ? `${el.if}?${genChildren(el, state) || 'undefined'}:undefined`
         : genChildren(el, state) || 'undefined'
       : genElement(el, state)
     }}`
-  return `{key:${key},fn:${fn}}`
+  // reverse proxy v-slot without scope on this.$slots
+  const reverseProxy = slotScope ? `` : `,proxy:true`
+  return `{key:${el.slotTarget || `"default"`},fn:${fn}${reverseProxy}}`
 }
 
 function genForScopedSlot (
-  key: string,
   el: any,
   state: CodegenState
 ): string {
@@ -384,9 +421,9 @@ function genForScopedSlot (
   const iterator1 = el.iterator1 ? `,${el.iterator1}` : ''
   const iterator2 = el.iterator2 ? `,${el.iterator2}` : ''
   el.forProcessed = true // avoid recursion
-  return `_l((${exp}),` +
+  return `_l(${genMapped(`(${exp})`, el.rawAttrsMap['v-for'], state)},` +
     `function(${alias}${iterator1}${iterator2}){` +
-      `return ${genScopedSlot(key, el, state)}` +
+      `return ${genScopedSlot(el, state)}` +
     '})'
 }
 
@@ -407,8 +444,9 @@ export function genChildren (
       el.tag !== 'slot'
     ) {
       // because el may be a functional component and return an Array instead of a single root.
-      // In this case, just a simple normalization is needed
-      const normalizationType = state.maybeComponent(el) ? `,1` : ``
+      // In this case, just a simple normalization is needed. The children of
+      // a <template> are not an argument of _c and are not normalized.
+      const normalizationType = checkSkip && state.maybeComponent(el) ? `,1` : ``
       return `${(altGenElement || genElement)(el, state)}${normalizationType}`
     }
     const normalizationType = checkSkip
@@ -458,17 +496,39 @@ function genNode (node: ASTNode, state: CodegenState): string {
   } else if (node.type === 3 && node.isComment) {
     return genComment(node)
   } else {
-    return genText(node)
+    return genText(node, state)
   }
 }
 
-export function genText (text: ASTText | ASTExpression): string {
+export function genText (
+  text: ASTText | ASTExpression,
+  state?: CodegenState
+): string {
   return `_v(${text.type === 2
-    ? text.expression // no need for () because already wrapped in _s()
+    ? state && state.sourceMap
+      ? genMappedTextExpression(text, state)
+      : text.expression // no need for () because already wrapped in _s()
     : transformSpecialNewlines(JSON.stringify(text.text))
   })`
 }
 
+// same as text.expression, with each interpolation mapped to its location
+function genMappedTextExpression (
+  text: ASTExpression,
+  state: CodegenState
+): string {
+  const start = text.start
+  if (start == null) {
+    return text.expression
+  }
+  const offsets = getInterpolationOffsets(text.text, state.options.delimiters)
+  let i = 0
+  return text.tokens.map(token => typeof token === 'string'
+    ? JSON.stringify(token)
+    : genMapped(`_s(${token['@binding']})`, { start: start + offsets[i++] }, state)
+  ).join('+')
+}
+
 export function genComment (comment: ASTText): string {
   return `_e(${JSON.stringify(comment.text)})`
 }
@@ -503,18 +563,30 @@ function genComponent (
   })`
 }
 
-function genProps (props: Array<{ name: string, value: any }>): string {
-  let res = ''
+function genProps (props: Array<ASTAttr>, state: CodegenState): string {
+  let staticProps = ``
+  let dynamicProps = ``
   for (let i = 0; i < props.length; i++) {
     const prop = props[i]
-    /* istanbul ignore if */
-    if (__WEEX__) {
-      res += `"${prop.name}":${generateValue(prop.value)},`
+    const value = genMapped(
+      __WEEX__
+        ? generateValue(prop.value)
+        : transformSpecialNewlines(prop.value),
+      prop,
+      state
+    )
+    if (prop.dynamic) {
+      dynamicProps += `${prop.name},${value},`
     } else {
-      res += `"${prop.name}":${transformSpecialNewlines(prop.value)},`
+      staticProps += `"${prop.name}":${value},`
     }
   }
-  return res.slice(0, -1)
+  staticProps = `{${staticProps.slice(0, -1)}}`
+  if (dynamicProps) {
+    return `_d(${staticProps},[${dynamicProps.slice(0, -1)}])`
+  } else {
+    return staticProps
+  }
 }
 
 /* istanbul ignore next */
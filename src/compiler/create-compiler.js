@@ -2,7 +2,9 @@
 
 import { extend } from 'shared/util'
 import { detectErrors } from './error-detector'
+import { extractSourceMap, stripSourceMarkers } from './source-map'
 import { createCompileToFunctionFn } from './to-function'
+import { genCompilerNamespace } from './cache'
 
 export function createCompilerCreator (baseCompile: Function): Function {
   return function createCompiler (baseOptions: CompilerOptions) {
@@ -13,16 +15,42 @@ export function createCompilerCreator (baseCompile: Function): Function {
       const finalOptions = Object.create(baseOptions)
       const errors = []
       const tips = []
-      finalOptions.warn = (msg, tip) => {
+      // $flow-disable-line
+      const leadingSpaceLength = template.match(/^\s*/)[0].length
+
+      let warn = (msg, range, tip) => {
         (tip ? tips : errors).push(msg)
       }
+      finalOptions.warn = warn
 
       if (options) {
+        if (process.env.NODE_ENV !== 'production' && options.outputSourceRange) {
+          // report warnings as objects carrying their range in the template,
+          // offset by the whitespace trimmed before parsing
+          warn = (msg, range, tip) => {
+            const data: WarningMessage = { msg }
+            if (range) {
+              if (range.start != null) {
+                data.start = range.start + leadingSpaceLength
+              }
+              if (range.end != null) {
+                data.end = range.end + leadingSpaceLength
+              }
+            }
+            (tip ? tips : errors).push(data)
+          }
+        }
+        finalOptions.warn = warn
         // merge custom modules
         if (options.modules) {
           finalOptions.modules =
             (baseOptions.modules || []).concat(options.modules)
         }
+        // merge custom transforms
+        if (options.transforms) {
+          finalOptions.transforms =
+            (baseOptions.transforms || []).concat(options.transforms)
+        }
         // merge custom directives
         if (options.directives) {
           finalOptions.directives = extend(
@@ -32,7 +60,7 @@ export function createCompilerCreator (baseCompile: Function): Function {
         }
         // copy other options
         for (const key in options) {
-          if (key !== 'modules' && key !== 'directives') {
+          if (key !== 'modules' && key !== 'directives' && key !== 'transforms') {
             finalOptions[key] = options[key]
           }
         }
@@ -40,7 +68,18 @@ export function createCompilerCreator (baseCompile: Function): Function {
 
       const compiled = baseCompile(template, finalOptions)
       if (process.env.NODE_ENV !== 'production') {
-        errors.push.apply(errors, detectErrors(compiled.ast))
+        detectErrors(compiled.ast, warn)
+        if (finalOptions.sourceMap) {
+          const { code, map } = extractSourceMap(
+            compiled.render,
+            template,
+            finalOptions.filename,
+            leadingSpaceLength
+          )
+          compiled.render = code
+          compiled.map = map
+          compiled.staticRenderFns = compiled.staticRenderFns.map(stripSourceMarkers)
+        }
       }
       compiled.errors = errors
       compiled.tips = tips
@@ -49,7 +88,10 @@ export function createCompilerCreator (baseCompile: Function): Function {
 
     return {
       compile,
-      compileToFunctions: createCompileToFunctionFn(compile)
+      compileToFunctions: createCompileToFunctionFn(
+        compile,
+        genCompilerNamespace(baseCompile, baseOptions)
+      )
     }
   }
 }
@@ -3,6 +3,7 @@
 import { parse } from './parser/index'
 import { optimize } from './optimizer'
 import { generate } from './codegen/index'
+import { transformAST, runBeforeGenerate } from './transform'
 import { createCompilerCreator } from './create-compiler'
 
 // `createCompilerCreator` allows creating compilers that use alternative
@@ -12,10 +13,17 @@ export const createCompiler = createCompilerCreator(function baseCompile (
   template: string,
   options: CompilerOptions
 ): CompiledResult {
-  const ast = parse(template.trim(), options)
+  let ast = parse(template.trim(), options)
+  const transforms = options.transforms
+  if (transforms) {
+    ast = transformAST(ast, transforms, options)
+  }
   if (options.optimize !== false) {
     optimize(ast, options)
   }
+  if (transforms) {
+    runBeforeGenerate(ast, transforms, options)
+  }
   const code = generate(ast, options)
   return {
     ast,
@@ -0,0 +1,278 @@
+/* @flow */
+
+// $flow-disable-line
+import { parse as parseProgram, parseExpressionAt } from 'acorn'
+import { makeMap } from 'shared/util'
+
+export type ExpressionReference = {
+  name: string;
+  start: number;
+  end: number;
+  // the identifier is assigned to, e.g. `count++` or `value = $event`
+  assigned: boolean;
+  // the identifier is a shorthand property, e.g. `{ count }`
+  shorthand: boolean;
+};
+
+export type ExpressionInfo = {
+  node: Object;
+  references: Array<ExpressionReference>;
+  // ranges of the `this` keywords
+  thisExpressions: Array<{ start: number; end: number }>;
+};
+
+export type DeclaredName = {
+  name: string;
+  start: number;
+  end: number;
+  // index of the parameter the name is declared by
+  position: number;
+  destructured: boolean;
+};
+
+const ecmaVersion = 2018
+
+// same as the globals the render proxy allows in templates
+export const isAllowedGlobal = makeMap(
+  'Infinity,undefined,NaN,isFinite,isNaN,' +
+  'parseFloat,parseInt,decodeURI,decodeURIComponent,encodeURI,encodeURIComponent,' +
+  'Math,Number,Date,Array,Object,Boolean,String,RegExp,Map,Set,JSON,Intl,' +
+  'require'
+)
+const functionExpressionRE = /^\s*function\s*\(/
+const withRE = /^with\(this\)\{return ([\s\S]*)\}$/
+
+/**
+ * Parse a template expression, or the inline statements of a v-on handler,
+ * and collect the identifiers it references that are not declared by the
+ * code itself, e.g. by an arrow function parameter. Throws a SyntaxError
+ * carrying the offset of the error as `pos` for invalid code.
+ */
+export function analyzeExpression (
+  code: string,
+  isStatement?: boolean
+): ExpressionInfo {
+  // anonymous function handlers are expressions, not declarations
+  const node = isStatement && !functionExpressionRE.test(code)
+    ? parseProgram(code, { ecmaVersion, allowReturnOutsideFunction: true })
+    : parseExpression(code)
+  const { references, thisExpressions } = collectReferences(node)
+  return { node, references, thisExpressions }
+}
+
+/**
+ * Return the expression of generated render code, without the `with(this)`
+ * statement it is wrapped in, so that it can be analyzed.
+ */
+export function stripWith (code: string): string {
+  const match = code.match(withRE)
+  return match ? match[1] : code
+}
+
+/**
+ * Parse a list of function parameters, e.g. the alias of v-for or the value
+ * of slot-scope, and return the names it declares.
+ */
+export function analyzeParams (code: string): Array<DeclaredName> {
+  // v-for aliases may already be wrapped in parens: (item, index)
+  const prefix = code.trim().charAt(0) === '(' ? '' : '('
+  const fn = parseExpression(`${prefix}${code}${prefix && ')'}=>0`)
+  if (fn.type !== 'ArrowFunctionExpression') {
+    throw createSyntaxError('Unexpected token', 0)
+  }
+  const names = []
+  fn.params.forEach((param, position) => {
+    declarePattern(param, (id: Object) => {
+      names.push({
+        name: id.name,
+        start: id.start - prefix.length,
+        end: id.end - prefix.length,
+        position,
+        destructured: param.type !== 'Identifier'
+      })
+    })
+  })
+  return names
+}
+
+function parseExpression (code: string): Object {
+  const node = parseExpressionAt(code, 0, { ecmaVersion })
+  const rest = code.slice(node.end)
+  const trailing = rest.search(/\S/)
+  if (trailing > -1) {
+    throw createSyntaxError('Unexpected token', node.end + trailing)
+  }
+  return node
+}
+
+function createSyntaxError (message: string, pos: number): Error {
+  const err: any = new SyntaxError(message)
+  err.pos = pos
+  return err
+}
+
+function declarePattern (node: ?Object, declare: (id: Object) => void, visit?: Function) {
+  if (!node) return
+  switch (node.type) {
+    case 'Identifier':
+      declare(node)
+      break
+    case 'ObjectPattern':
+      node.properties.forEach(prop => {
+        if (prop.type === 'RestElement') {
+          declarePattern(prop.argument, declare, visit)
+        } else {
+          if (prop.computed && visit) visit(prop.key)
+          declarePattern(prop.value, declare, visit)
+        }
+      })
+      break
+    case 'ArrayPattern':
+      node.elements.forEach(el => declarePattern(el, declare, visit))
+      break
+    case 'RestElement':
+      declarePattern(node.argument, declare, visit)
+      break
+    case 'AssignmentPattern':
+      declarePattern(node.left, declare, visit)
+      if (visit) visit(node.right)
+      break
+  }
+}
+
+function collectReferences (root: Object): {
+  references: Array<ExpressionReference>;
+  thisExpressions: Array<{ start: number; end: number }>;
+} {
+  const references = []
+  const thisExpressions = []
+  // names declared by functions and variable declarations within the code
+  const scopes = [Object.create(null)]
+
+  const isLocal = (name: string): boolean => {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      if (scopes[i][name]) return true
+    }
+    return false
+  }
+
+  const declare = (id: Object) => {
+    scopes[scopes.length - 1][id.name] = true
+  }
+
+  const reference = (id: Object, assigned: boolean, shorthand?: boolean) => {
+    if (!isLocal(id.name)) {
+      references.push({
+        name: id.name,
+        start: id.start,
+        end: id.end,
+        assigned,
+        shorthand: !!shorthand
+      })
+    }
+  }
+
+  // assignment targets, e.g. `a` in `a = 1` or `[a, b]` in `[a, b] = c`
+  const visitTarget = (node: Object) => {
+    switch (node.type) {
+      case 'Identifier':
+        reference(node, true)
+        break
+      case 'ObjectPattern':
+      case 'ArrayPattern':
+      case 'RestElement':
+      case 'AssignmentPattern':
+        declarePattern(node, id => reference(id, true), visit)
+        break
+      default:
+        visit(node)
+    }
+  }
+
+  const visitFunction = (node: Object) => {
+    scopes.push(Object.create(null))
+    if (node.type === 'FunctionExpression' && node.id) {
+      declare(node.id)
+    }
+    node.params.forEach(param => declarePattern(param, declare, visit))
+    visit(node.body)
+    scopes.pop()
+  }
+
+  function visit (node: ?Object) {
+    if (!node) return
+    switch (node.type) {
+      case 'Identifier':
+        reference(node, false)
+        return
+      case 'ThisExpression':
+        thisExpressions.push({ start: node.start, end: node.end })
+        return
+      case 'MemberExpression':
+        visit(node.object)
+        if (node.computed) visit(node.property)
+        return
+      case 'Property':
+        if (node.shorthand && node.value.type === 'Identifier') {
+          reference(node.value, false, true)
+          return
+        }
+        if (node.computed) visit(node.key)
+        visit(node.value)
+        return
+      case 'MethodDefinition':
+        if (node.computed) visit(node.key)
+        visit(node.value)
+        return
+      case 'FunctionDeclaration':
+        declare(node.id)
+        visitFunction(node)
+        return
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        visitFunction(node)
+        return
+      case 'VariableDeclarator':
+        declarePattern(node.id, declare, visit)
+        visit(node.init)
+        return
+      case 'CatchClause':
+        scopes.push(Object.create(null))
+        declarePattern(node.param, declare, visit)
+        visit(node.body)
+        scopes.pop()
+        return
+      case 'AssignmentExpression':
+        visitTarget(node.left)
+        visit(node.right)
+        return
+      case 'UpdateExpression':
+        visitTarget(node.argument)
+        return
+      case 'LabeledStatement':
+        visit(node.body)
+        return
+      case 'BreakStatement':
+      case 'ContinueStatement':
+      case 'MetaProperty':
+        return
+    }
+    for (const key in node) {
+      const child = node[key]
+      if (Array.isArray(child)) {
+        child.forEach(visitChild)
+      } else {
+        visitChild(child)
+      }
+    }
+  }
+
+  function visitChild (child: any) {
+    if (child && typeof child.type === 'string') {
+      visit(child)
+    }
+  }
+
+  visit(root)
+  return { references, thisExpressions }
+}
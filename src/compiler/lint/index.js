@@ -0,0 +1,507 @@
+/* @flow */
+
+/**
+ * Template lint: checks the expressions of a template against a real JS
+ * parser and, when the component's bindings are provided, resolves every
+ * identifier against them and against the variables declared by v-for and
+ * slot-scope in the template.
+ */
+
+import { extend, noop } from 'shared/util'
+import {
+  parse,
+  dirRE,
+  onRE,
+  bindRE,
+  forAliasRE,
+  emptySlotScopeToken
+} from '../parser/index'
+import { parseFilters } from '../parser/filter-parser'
+import { getInterpolationOffsets } from '../parser/text-parser'
+import { analyzeExpression, analyzeParams, isAllowedGlobal } from './expression'
+
+type Range = { start?: number, end?: number };
+
+type TemplateVariable = {
+  name: string;
+  kind: 'v-for' | 'slot-scope';
+  position: number;
+  destructured: boolean;
+  used: boolean;
+  range: ?Range;
+};
+
+type TemplateScope = {
+  parent: ?TemplateScope;
+  vars: { [name: string]: TemplateVariable };
+};
+
+type LintContext = {
+  template: string;
+  delimiters?: [string, string];
+  rules: { [rule: string]: TemplateLintSeverity | 'off' };
+  // binding type by name, only when bindings are provided
+  bindings: ?{ [name: string]: string };
+  globals: { [name: string]: true };
+  diagnostics: Array<TemplateDiagnostic>;
+};
+
+const defaultRules: { [rule: string]: TemplateLintSeverity } = {
+  'invalid-expression': 'error',
+  'invalid-v-model': 'error',
+  'no-undef': 'warning',
+  'no-mutating-props': 'warning',
+  'no-unused-vars': 'warning',
+  'no-shadow': 'warning'
+}
+
+const bindingTypes = ['props', 'data', 'computed', 'methods', 'inject']
+
+// the expression of a dynamic argument, e.g. `key` in :[key].prop="value"
+const dynamicArgNameRE = /^(?:v-[\w-]+:|@|:|#)\[(.*)\]/
+// attributes declaring slot props
+const slotAttrRE = /^(?:slot-scope|scope|v-slot(?::.*)?|#.*)$/
+
+export function createTemplateLinter (baseOptions: CompilerOptions): Function {
+  return function lintTemplate (
+    template: string,
+    options?: TemplateLintOptions = {}
+  ): Array<TemplateDiagnostic> {
+    const parseOptions = Object.create(baseOptions)
+    parseOptions.outputSourceRange = true
+    parseOptions.delimiters = options.delimiters
+    parseOptions.warn = noop
+    const ast = parse(template, parseOptions)
+
+    const ctx: LintContext = {
+      template,
+      delimiters: options.delimiters,
+      rules: extend(extend({}, defaultRules), options.rules),
+      bindings: options.bindings ? normalizeBindings(options.bindings) : null,
+      globals: makeSet(options.globals || []),
+      diagnostics: []
+    }
+    if (ast) {
+      lintElement(ast, null, ctx)
+    }
+    return ctx.diagnostics
+  }
+}
+
+function normalizeBindings (bindings: Object): { [name: string]: string } {
+  const res = {}
+  bindingTypes.forEach(type => {
+    const names = bindings[type]
+    if (names) {
+      (Array.isArray(names) ? names : Object.keys(names)).forEach(name => {
+        res[name] = type
+      })
+    }
+  })
+  return res
+}
+
+function makeSet (list: Array<string>): { [name: string]: true } {
+  const set = {}
+  list.forEach(name => { set[name] = true })
+  return set
+}
+
+function report (ctx: LintContext, rule: string, message: string, range: ?Range) {
+  const severity = ctx.rules[rule]
+  if (severity && severity !== 'off') {
+    const diagnostic: TemplateDiagnostic = { rule, severity, message }
+    if (range && range.start != null) {
+      diagnostic.start = range.start
+      diagnostic.end = range.end
+    }
+    ctx.diagnostics.push(diagnostic)
+  }
+}
+
+function lintElement (el: ASTElement, scope: ?TemplateScope, ctx: LintContext) {
+  // v-pre content is not compiled
+  if (el.pre) {
+    return
+  }
+
+  let elementScope = scope
+  let forScope
+  if (el.for) {
+    const value = el.attrsMap['v-for']
+    const inMatch = value.match(forAliasRE)
+    const valueStart = getValueStart(el, 'v-for', ctx)
+    if (inMatch) {
+      // the source is evaluated outside of the scope declared by v-for
+      const source = inMatch[2]
+      lintCode(
+        source,
+        valueStart != null ? valueStart + value.length - source.length : null,
+        el.rawAttrsMap['v-for'],
+        'expression',
+        scope,
+        ctx
+      )
+      forScope = elementScope = declareScope(
+        inMatch[1],
+        valueStart,
+        el.rawAttrsMap['v-for'],
+        'v-for',
+        elementScope,
+        ctx
+      )
+    }
+  }
+  if (el.slotScope) {
+    // v-slot on a component declares the props of its default slot
+    const owner = el.parent && el.parent.slotContainer === el ? el.parent : el
+    const name = Object.keys(owner.attrsMap).filter(name => slotAttrRE.test(name))[0]
+    if (name) {
+      // the slot name is evaluated outside of the slot
+      lintDynamicArg(owner, name, elementScope, ctx)
+      if (el.slotScope !== emptySlotScopeToken) {
+        elementScope = declareScope(
+          owner.attrsMap[name],
+          getValueStart(owner, name, ctx),
+          owner.rawAttrsMap[name],
+          'slot-scope',
+          elementScope,
+          ctx
+        )
+      }
+    }
+  }
+
+  for (const name in el.attrsMap) {
+    const value = el.attrsMap[name]
+    if (
+      value &&
+      dirRE.test(name) &&
+      name !== 'v-for' &&
+      !slotAttrRE.test(name)
+    ) {
+      lintAttribute(el, name, value, elementScope, ctx)
+    }
+  }
+
+  el.children.forEach(child => {
+    if (child.type === 1) {
+      lintElement(child, elementScope, ctx)
+    } else if (child.type === 2) {
+      lintText(child, elementScope, ctx)
+    }
+  })
+  // slot-scope elements are not part of the children
+  if (el.scopedSlots) {
+    const slots = el.scopedSlots
+    Object.keys(slots).forEach(key => lintElement(slots[key], elementScope, ctx))
+  }
+
+  if (forScope) {
+    reportUnused(forScope, ctx)
+  }
+
+  // v-else(-if) siblings are only referenced by the v-if element
+  if (el.ifConditions) {
+    el.ifConditions.forEach(condition => {
+      if (condition.block !== el) {
+        lintElement(condition.block, scope, ctx)
+      }
+    })
+  }
+}
+
+function lintAttribute (
+  el: ASTElement,
+  name: string,
+  value: string,
+  scope: ?TemplateScope,
+  ctx: LintContext
+) {
+  const start = getValueStart(el, name, ctx)
+  const range = el.rawAttrsMap[name]
+  lintDynamicArg(el, name, scope, ctx)
+  if (onRE.test(name)) {
+    lintCode(value, start, range, 'statement', scope, ctx)
+  } else if (bindRE.test(name)) {
+    const code = parseFilters(value)
+    // filters change the code, positions inside of it are lost
+    lintCode(code, code === value ? start : null, range, 'expression', scope, ctx)
+  } else if (/^v-model(?:\.|$)/.test(name)) {
+    lintCode(value, start, range, 'model', scope, ctx)
+  } else {
+    lintCode(value, start, range, 'expression', scope, ctx)
+  }
+}
+
+function lintDynamicArg (
+  el: ASTElement,
+  name: string,
+  scope: ?TemplateScope,
+  ctx: LintContext
+) {
+  const argMatch = name.match(dynamicArgNameRE)
+  if (argMatch) {
+    const range = el.rawAttrsMap[name]
+    lintCode(
+      argMatch[1],
+      range && range.start != null ? range.start + name.indexOf('[') + 1 : null,
+      range,
+      'expression',
+      scope,
+      ctx
+    )
+  }
+}
+
+function lintText (text: ASTExpression, scope: ?TemplateScope, ctx: LintContext) {
+  const { start, end } = text
+  const range = { start, end }
+  // positions inside the text are only exact if it wasn't decoded
+  const exact = start != null && ctx.template.slice(start, end) === text.text
+  const [open, close] = ctx.delimiters || ['{{', '}}']
+  getInterpolationOffsets(text.text, ctx.delimiters).forEach(offset => {
+    const rawStart = offset + open.length
+    const raw = text.text.slice(rawStart, text.text.indexOf(close, rawStart + 1))
+    const trimmed = raw.trim()
+    const code = parseFilters(trimmed)
+    lintCode(
+      code,
+      exact && code === trimmed && start != null
+        ? start + rawStart + raw.indexOf(trimmed)
+        : null,
+      range,
+      'expression',
+      scope,
+      ctx
+    )
+  })
+}
+
+/**
+ * Lint a piece of code found in the template. `start` is the offset of the
+ * code in the template if it is copied verbatim from it, otherwise all
+ * diagnostics point to `range`, e.g. the whole attribute.
+ */
+function lintCode (
+  code: string,
+  start: ?number,
+  range: ?Range,
+  kind: 'expression' | 'statement' | 'model',
+  scope: ?TemplateScope,
+  ctx: LintContext
+) {
+  const locate = (node: { start: number, end: number }): ?Range => {
+    return start != null
+      ? { start: start + node.start, end: start + node.end }
+      : range
+  }
+
+  let info
+  try {
+    info = analyzeExpression(code, kind === 'statement')
+  } catch (e) {
+    if (e.pos == null) throw e
+    report(
+      ctx,
+      'invalid-expression',
+      `invalid expression: ${e.message.replace(/ \(\d+:\d+\)$/, '')} in\n\n` +
+      `    ${code}\n`,
+      locate({ start: e.pos, end: e.pos + 1 })
+    )
+    return
+  }
+
+  info.references.forEach(ref => {
+    const type = resolve(ref.name, scope, ctx)
+    if (!type) {
+      report(
+        ctx,
+        'no-undef',
+        `Property or method "${ref.name}" is not defined on the component.` +
+        suggest(ref.name, scope, ctx),
+        locate(ref)
+      )
+    } else if (ref.assigned && type === 'props') {
+      reportPropMutation(ref.name, locate(ref), ctx)
+    }
+  })
+
+  if (kind === 'model') {
+    const node = info.node
+    if (node.type === 'Identifier') {
+      const type = resolve(node.name, scope, ctx)
+      if (type === 'v-for' || type === 'slot-scope') {
+        report(
+          ctx,
+          'invalid-v-model',
+          `v-model is bound directly to the ${type === 'v-for'
+            ? 'v-for iteration alias'
+            : 'slot-scope variable'
+          } "${node.name}", which cannot be written to like a local variable. ` +
+          `Use v-model on an object property instead.`,
+          locate(node)
+        )
+      } else if (type === 'props') {
+        reportPropMutation(node.name, locate(node), ctx)
+      }
+    } else if (node.type !== 'MemberExpression') {
+      report(
+        ctx,
+        'invalid-v-model',
+        `v-model expression "${code}" is not assignable. ` +
+        `Use a property or a member expression such as "form.name".`,
+        locate(node)
+      )
+    }
+  }
+}
+
+function reportPropMutation (name: string, range: ?Range, ctx: LintContext) {
+  report(
+    ctx,
+    'no-mutating-props',
+    `Avoid mutating the prop "${name}" directly, as the value will be ` +
+    `overwritten whenever the parent component re-renders.`,
+    range
+  )
+}
+
+// returns the type of the binding the name refers to, or null if unknown
+function resolve (name: string, scope: ?TemplateScope, ctx: LintContext): ?string {
+  while (scope) {
+    const variable = scope.vars[name]
+    if (variable) {
+      variable.used = true
+      return variable.kind
+    }
+    scope = scope.parent
+  }
+  if (!ctx.bindings) {
+    return 'unknown'
+  }
+  if (ctx.bindings[name]) {
+    return ctx.bindings[name]
+  }
+  if (
+    isAllowedGlobal(name) ||
+    ctx.globals[name] ||
+    // instance properties ($route, $t...) and render helpers (_f...)
+    name.charAt(0) === '$' ||
+    name.charAt(0) === '_'
+  ) {
+    return 'global'
+  }
+  return null
+}
+
+function declareScope (
+  params: string,
+  start: ?number,
+  range: ?Range,
+  kind: 'v-for' | 'slot-scope',
+  parent: ?TemplateScope,
+  ctx: LintContext
+): ?TemplateScope {
+  let names
+  try {
+    names = analyzeParams(params)
+  } catch (e) {
+    if (e.pos == null) throw e
+    report(ctx, 'invalid-expression', `invalid ${kind} variables "${params.trim()}"`, range)
+    return parent
+  }
+  const scope: TemplateScope = { parent, vars: {} }
+  names.forEach(({ name, position, destructured, start: nameStart, end }) => {
+    const nameRange = start != null ? { start: start + nameStart, end: start + end } : range
+    const shadowed = lookup(name, parent) || (ctx.bindings && ctx.bindings[name])
+    if (shadowed) {
+      report(
+        ctx,
+        'no-shadow',
+        `${kind} variable "${name}" shadows ${typeof shadowed === 'string'
+          ? `the component's ${shadowed} property`
+          : `the ${shadowed.kind} variable`
+        } of the same name.`,
+        nameRange
+      )
+    }
+    scope.vars[name] = { name, kind, position, destructured, used: false, range: nameRange }
+  })
+  return scope
+}
+
+function lookup (name: string, scope: ?TemplateScope): ?TemplateVariable {
+  while (scope) {
+    if (scope.vars[name]) return scope.vars[name]
+    scope = scope.parent
+  }
+}
+
+// unused v-for variables are only reported after the last used one,
+// e.g. `index` in (item, index) but not `item` in (item, index)
+function reportUnused (scope: TemplateScope, ctx: LintContext) {
+  const vars = Object.keys(scope.vars).map(name => scope.vars[name])
+  let lastUsed = -1
+  vars.forEach(v => {
+    if (v.used && !v.destructured) lastUsed = Math.max(lastUsed, v.position)
+  })
+  vars.forEach(v => {
+    if (!v.used && (v.destructured || v.position > lastUsed)) {
+      report(ctx, 'no-unused-vars', `v-for alias "${v.name}" is defined but never used.`, v.range)
+    }
+  })
+}
+
+// find a known name close to a misspelled one
+function suggest (name: string, scope: ?TemplateScope, ctx: LintContext): string {
+  const candidates = Object.keys(ctx.bindings || {})
+  while (scope) {
+    candidates.push.apply(candidates, Object.keys(scope.vars))
+    scope = scope.parent
+  }
+  let best
+  let bestDistance = Math.min(2, Math.floor(name.length / 3))
+  candidates.forEach(candidate => {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase())
+    if (distance <= bestDistance) {
+      best = candidate
+      bestDistance = distance - 1
+    }
+  })
+  return best ? ` Did you mean "${best}"?` : ''
+}
+
+// edit distance counting the transposition of two characters as one edit
+function editDistance (a: string, b: string): number {
+  const d = []
+  for (let i = 0; i <= a.length; i++) {
+    d.push([i])
+    for (let j = 1; j <= b.length; j++) {
+      d[i].push(i === 0 ? j : Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)
+      ))
+      if (
+        i > 1 && j > 1 &&
+        a.charAt(i - 1) === b.charAt(j - 2) &&
+        a.charAt(i - 2) === b.charAt(j - 1)
+      ) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+      }
+    }
+  }
+  return d[a.length][b.length]
+}
+
+function getValueStart (el: ASTElement, name: string, ctx: LintContext): ?number {
+  const attr = el.rawAttrsMap[name]
+  if (attr && attr.start != null) {
+    const value = el.attrsMap[name]
+    const index = ctx.template.slice(attr.start, attr.end).indexOf(value, name.length)
+    if (index > -1) {
+      return attr.start + index
+    }
+  }
+}
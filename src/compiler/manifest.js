@@ -0,0 +1,162 @@
+/* @flow */
+
+/**
+ * Usage manifest of a template, for build tools: the components, directives,
+ * filters and slots it uses, and the instance properties its expressions
+ * reference. Elements are read from the AST, while filters and identifiers
+ * are read from the generated render code, where v-for aliases and slot
+ * props are already declared as function parameters. The built-in
+ * components and directives of the platform, and the helpers called by the
+ * generated code, are left out.
+ */
+
+import { extend, hyphenate, no } from 'shared/util'
+import { analyzeExpression, isAllowedGlobal, stripWith } from './lint/expression'
+
+type CompiledResultWithManifest = CompiledResult & {
+  manifest: TemplateManifest;
+};
+
+type ManifestKey = $Keys<TemplateManifest>;
+
+type BuiltIns = {
+  // hyphenated component names
+  isComponent: (name: string) => ?boolean;
+  isDirective: (name: string) => ?boolean;
+};
+
+const stringLiteralRE = /^"(?:[^"\\]|\\.)*"$/
+const filterCallRE = /^\("((?:[^"\\]|\\.)*)"\)/
+// render helpers, e.g. _c or _v
+const renderHelperRE = /^_[a-z]$/
+// instance methods called by the code generated for directives, e.g. $set
+// for v-model="form.name", which aren't referenced by the template itself
+const directiveHelpers = ['$set', '$forceUpdate']
+
+export function createCompileWithManifestFn (
+  compile: Function,
+  baseOptions: CompilerOptions,
+  builtIns: BuiltIns
+): Function {
+  return function compileWithManifest (
+    template: string,
+    options?: CompilerOptions
+  ): CompiledResultWithManifest {
+    // the manifest is read from the code before it is mapped
+    const compiled = compile(template, extend(extend({}, options), { sourceMap: false }))
+    const isReservedTag = (options && options.isReservedTag) || baseOptions.isReservedTag || no
+    const manifest: TemplateManifest = {
+      components: [],
+      dynamicComponents: [],
+      directives: [],
+      filters: [],
+      slots: [],
+      dynamicSlots: [],
+      identifiers: []
+    }
+    const seen: { [key: string]: { [value: string]: true } } = {}
+    const add = (key: ManifestKey, value: string) => {
+      if (
+        (key === 'components' && builtIns.isComponent(hyphenate(value))) ||
+        (key === 'directives' && builtIns.isDirective(value))
+      ) {
+        return
+      }
+      const set = seen[key] || (seen[key] = {})
+      if (!set[value]) {
+        set[value] = true
+        manifest[key].push(value)
+      }
+    }
+
+    if (compiled.ast) {
+      collectElement(compiled.ast, isReservedTag, add)
+    }
+    const codes = [compiled.render].concat(compiled.staticRenderFns)
+    codes.forEach(code => {
+      try {
+        collectReferences(code, add)
+      } catch (e) {
+        compiled.errors.push(`Failed to generate the template manifest: ${e.message}`)
+      }
+    })
+
+    return extend(compiled, { manifest })
+  }
+}
+
+function collectElement (
+  el: ASTElement,
+  isReservedTag: (tag: string) => ?boolean,
+  add: (key: ManifestKey, value: string) => void
+) {
+  const component = el.component
+  if (component) {
+    if (stringLiteralRE.test(component)) {
+      add('components', JSON.parse(component))
+    } else {
+      add('dynamicComponents', component)
+    }
+  } else if (el.tag === 'slot') {
+    const name = el.slotName
+    if (!name) {
+      add('slots', 'default')
+    } else if (stringLiteralRE.test(name)) {
+      add('slots', JSON.parse(name))
+    } else {
+      add('dynamicSlots', name)
+    }
+  } else if (
+    el.tag !== 'template' &&
+    el.tag !== 'component' &&
+    !isReservedTag(el.tag)
+  ) {
+    add('components', el.tag)
+  }
+  if (el.directives) {
+    el.directives.forEach(dir => add('directives', dir.name))
+  }
+
+  el.children.forEach(child => {
+    if (child.type === 1) {
+      collectElement(child, isReservedTag, add)
+    }
+  })
+  if (el.scopedSlots) {
+    const slots = el.scopedSlots
+    Object.keys(slots).forEach(key => collectElement(slots[key], isReservedTag, add))
+  }
+  if (el.ifConditions) {
+    el.ifConditions.forEach(condition => {
+      if (condition.block !== el) {
+        collectElement(condition.block, isReservedTag, add)
+      }
+    })
+  }
+}
+
+function collectReferences (
+  code: string,
+  add: (key: ManifestKey, value: string) => void
+) {
+  const body = stripWith(code)
+  analyzeExpression(body).references
+    .sort((a, b) => a.start - b.start)
+    .forEach(ref => {
+      const name = ref.name
+      if (name === '_f') {
+        // filters are resolved with _f("name")
+        const call = body.slice(ref.end).match(filterCallRE)
+        if (call) {
+          add('filters', JSON.parse(`"${call[1]}"`))
+        }
+      } else if (
+        !renderHelperRE.test(name) &&
+        directiveHelpers.indexOf(name) < 0 &&
+        !isAllowedGlobal(name) &&
+        name !== 'arguments'
+      ) {
+        add('identifiers', name)
+      }
+    })
+}
@@ -1,8 +1,8 @@
 /* @flow */
 
 import he from 'he'
-import { parseHTML } from './html-parser'
-import { parseText } from './text-parser'
+import { parseHTML, isPlainTextElement } from './html-parser'
+import { parseText, condenseWhitespace } from './text-parser'
 import { parseFilters } from './filter-parser'
 import { genAssignmentCode } from '../directives/model'
 import { extend, cached, no, camelize } from 'shared/util'
@@ -16,21 +16,35 @@ import {
   addDirective,
   getBindingAttr,
   getAndRemoveAttr,
+  getAndRemoveAttrByRegex,
+  getRawBindingAttr,
   pluckModuleFunction
 } from '../helpers'
 
 export const onRE = /^@|^v-on:/
-export const dirRE = /^v-|^@|^:/
+export const dirRE = /^v-|^@|^:|^#/
 export const forAliasRE = /([\s\S]*?)\s+(?:in|of)\s+([\s\S]*)/
 export const forIteratorRE = /,([^,\}\]]*)(?:,([^,\}\]]*))?$/
 const stripParensRE = /^\(|\)$/g
 
+export const slotRE = /^v-slot(:|$)|^#/
 const argRE = /:(.*)$/
 export const bindRE = /^:|^v-bind:/
-const modifierRE = /\.[^.]+/g
+// modifiers never start inside a dynamic argument, e.g. v-bind:[a.b].prop
+const modifierRE = /\.[^.\]]+(?=[^\]]*$)/g
+export const dynamicArgRE = /^\[.*\]$/
+// HTML does not allow these in attribute names, so in-DOM templates could
+// never contain them, while string templates would silently differ
+const invalidAttributeRE = /[\s"'<>\/=]/
+
+const lineBreakRE = /[\r\n]/
 
 const decodeHTMLCached = cached(he.decode)
 
+// slot scope of v-slot without slot props, these slots are still compiled
+// into scoped slots
+export const emptySlotScopeToken = `_empty_`
+
 // configurable state
 export let warn: any
 let delimiters
@@ -40,12 +54,11 @@ let postTransforms
 let platformIsPreTag
 let platformMustUseProp
 let platformGetTagNamespace
-
-type Attr = { name: string; value: string };
+let platformIsReservedTag
 
 export function createASTElement (
   tag: string,
-  attrs: Array<Attr>,
+  attrs: Array<ASTAttr>,
   parent: ASTElement | void
 ): ASTElement {
   return {
@@ -53,6 +66,7 @@ export function createASTElement (
     tag,
     attrsList: attrs,
     attrsMap: makeAttrsMap(attrs),
+    rawAttrsMap: {},
     parent,
     children: []
   }
@@ -70,6 +84,7 @@ export function parse (
   platformIsPreTag = options.isPreTag || no
   platformMustUseProp = options.mustUseProp || no
   platformGetTagNamespace = options.getTagNamespace || no
+  platformIsReservedTag = options.isReservedTag || no
 
   transforms = pluckModuleFunction(options.modules, 'transformNode')
   preTransforms = pluckModuleFunction(options.modules, 'preTransformNode')
@@ -79,20 +94,58 @@ export function parse (
 
   const stack = []
   const preserveWhitespace = options.preserveWhitespace !== false
-  let root
+  // takes precedence over preserveWhitespace when set
+  const whitespaceOption = options.whitespace
+  // source maps are built from the same ranges as warnings
+  const outputSourceRange = !!(options.outputSourceRange || options.sourceMap)
+  const roots: Array<ASTNode> = []
   let currentParent
   let inVPre = false
   let inPre = false
   let warned = false
 
-  function warnOnce (msg) {
+  function warnOnce (msg, range) {
     if (!warned) {
       warned = true
-      warn(msg)
+      warn(msg, range)
     }
   }
 
   function closeElement (element) {
+    // scoped slots were kept in the children list so that v-else(-if)
+    // conditions could find them as the prev node
+    if (element.scopedSlots) {
+      const children = []
+      element.children.forEach((c: any) => {
+        if (c.slotScope) return
+        // whitespace is only preserved between other nodes
+        const last = children[children.length - 1]
+        if (c.text === ' ' && !c.isComment && (!last || last.text === ' ')) return
+        children.push(c)
+      })
+      const last = children[children.length - 1]
+      if (last && last.text === ' ' && !last.isComment) {
+        children.pop()
+      }
+      element.children = children
+    }
+    // v-slot on component: the remaining children make up the default slot
+    const slotContainer = element.slotContainer
+    if (slotContainer) {
+      if (
+        process.env.NODE_ENV !== 'production' &&
+        Object.keys(element.scopedSlots || {}).length > 1
+      ) {
+        warn(
+          `To avoid scope ambiguity, the default slot should also use ` +
+          `<template> syntax when there are other named slots.`,
+          { start: slotContainer.start, end: slotContainer.end }
+        )
+      }
+      slotContainer.children = element.children
+      slotContainer.children.forEach((c: any) => { c.parent = slotContainer })
+      element.children = []
+    }
     // check pre state
     if (element.pre) {
       inVPre = false
@@ -114,7 +167,8 @@ export function parse (
     shouldDecodeNewlines: options.shouldDecodeNewlines,
     shouldDecodeNewlinesForHref: options.shouldDecodeNewlinesForHref,
     shouldKeepComment: options.comments,
-    start (tag, attrs, unary) {
+    outputSourceRange,
+    start (tag, attrs, unary, start, end) {
       // check namespace.
       // inherit parent ns if there is one
       const ns = (currentParent && currentParent.ns) || platformGetTagNamespace(tag)
@@ -130,12 +184,35 @@ export function parse (
         element.ns = ns
       }
 
+      if (process.env.NODE_ENV !== 'production' && outputSourceRange) {
+        element.start = start
+        element.end = end
+        element.rawAttrsMap = element.attrsList.reduce((cumulated, attr) => {
+          cumulated[attr.name] = attr
+          return cumulated
+        }, {})
+      }
+      if (process.env.NODE_ENV !== 'production') {
+        attrs.forEach(attr => {
+          if (invalidAttributeRE.test(attr.name)) {
+            warn(
+              `Invalid dynamic argument expression: attribute names cannot contain ` +
+              `spaces, quotes, <, >, / or =.`,
+              attr.start != null
+                ? { start: attr.start + attr.name.indexOf(`[`), end: attr.start + attr.name.length }
+                : undefined
+            )
+          }
+        })
+      }
+
       if (isForbiddenTag(element) && !isServerRendering()) {
         element.forbidden = true
         process.env.NODE_ENV !== 'production' && warn(
           'Templates should only be responsible for mapping the state to the ' +
           'UI. Avoid placing tags with side-effects in your templates, such as ' +
-          `<${tag}>` + ', as they will not be parsed.'
+          `<${tag}>` + ', as they will not be parsed.',
+          { start: element.start }
         )
       }
 
@@ -164,51 +241,24 @@ export function parse (
         processElement(element, options)
       }
 
-      function checkRootConstraints (el) {
-        if (process.env.NODE_ENV !== 'production') {
-          if (el.tag === 'slot' || el.tag === 'template') {
-            warnOnce(
-              `Cannot use <${el.tag}> as component root element because it may ` +
-              'contain multiple nodes.'
-            )
-          }
-          if (el.attrsMap.hasOwnProperty('v-for')) {
-            warnOnce(
-              'Cannot use v-for on stateful component root element because ' +
-              'it renders multiple elements.'
-            )
-          }
-        }
-      }
-
       // tree management
-      if (!root) {
-        root = element
-        checkRootConstraints(root)
-      } else if (!stack.length) {
+      if (!stack.length) {
         // allow root elements with v-if, v-else-if and v-else
-        if (root.if && (element.elseif || element.else)) {
-          checkRootConstraints(element)
-          addIfCondition(root, {
-            exp: element.elseif,
-            block: element
-          })
-        } else if (process.env.NODE_ENV !== 'production') {
-          warnOnce(
-            `Component template should contain exactly one root element. ` +
-            `If you are using v-if on multiple elements, ` +
-            `use v-else-if to chain them instead.`
-          )
+        if (roots.length && (element.elseif || element.else)) {
+          processIfConditions(element, roots)
+        } else {
+          roots.push(element)
         }
       }
       if (currentParent && !element.forbidden) {
         if (element.elseif || element.else) {
-          processIfConditions(element, currentParent)
-        } else if (element.slotScope) { // scoped slot
-          currentParent.plain = false
-          const name = element.slotTarget || '"default"'
-          ;(currentParent.scopedSlots || (currentParent.scopedSlots = {}))[name] = element
+          processIfConditions(element, currentParent.children)
         } else {
+          if (element.slotScope) { // scoped slot
+            currentParent.plain = false
+            const name = element.slotTarget || '"default"'
+            ;(currentParent.scopedSlots || (currentParent.scopedSlots = {}))[name] = element
+          }
           currentParent.children.push(element)
           element.parent = currentParent
         }
@@ -221,9 +271,12 @@ export function parse (
       }
     },
 
-    end () {
+    end (tag, start, end) {
       // remove trailing whitespace
       const element = stack[stack.length - 1]
+      if (process.env.NODE_ENV !== 'production' && outputSourceRange) {
+        element.end = end
+      }
       const lastNode = element.children[element.children.length - 1]
       if (lastNode && lastNode.type === 3 && lastNode.text === ' ' && !inPre) {
         element.children.pop()
@@ -234,16 +287,19 @@ export function parse (
       closeElement(element)
     },
 
-    chars (text: string) {
-      if (!currentParent) {
+    chars (text: string, start: number, end: number) {
+      // text between root elements is kept in the fragment
+      if (!currentParent && !(roots.length && text.trim())) {
         if (process.env.NODE_ENV !== 'production') {
           if (text === template) {
             warnOnce(
-              'Component template requires a root element, rather than just text.'
+              'Component template requires a root element, rather than just text.',
+              { start }
             )
           } else if ((text = text.trim())) {
             warnOnce(
-              `text "${text}" outside root element will be ignored.`
+              `text "${text}" outside root element will be ignored.`,
+              { start }
             )
           }
         }
@@ -251,43 +307,95 @@ export function parse (
       }
       // IE textarea placeholder bug
       /* istanbul ignore if */
-      if (isIE &&
+      if (isIE && currentParent &&
         currentParent.tag === 'textarea' &&
         currentParent.attrsMap.placeholder === text
       ) {
         return
       }
-      const children = currentParent.children
-      text = inPre || text.trim()
-        ? isTextTag(currentParent) ? text : decodeHTMLCached(text)
+      const children = currentParent ? currentParent.children : roots
+      if (inPre || text.trim()) {
+        text = currentParent && isTextTag(currentParent) ? text : decodeHTMLCached(text)
+      } else if (!children.length) {
         // only preserve whitespace if its not right after a starting tag
-        : preserveWhitespace && children.length ? ' ' : ''
+        text = ''
+      } else if (whitespaceOption) {
+        // in condense mode, whitespace between tags is removed if it contains
+        // a line break, and condensed into a single space otherwise
+        text = whitespaceOption === 'condense' && !inVPre && lineBreakRE.test(text)
+          ? ''
+          : ' '
+      } else {
+        text = preserveWhitespace ? ' ' : ''
+      }
       if (text) {
+        if (
+          whitespaceOption === 'condense' &&
+          !inPre &&
+          !inVPre &&
+          !(currentParent && isPlainTextElement(currentParent.tag))
+        ) {
+          text = condenseWhitespace(text, delimiters)
+        }
         let res
+        let child: ?ASTNode
         if (!inVPre && text !== ' ' && (res = parseText(text, delimiters))) {
-          children.push({
+          child = {
             type: 2,
             expression: res.expression,
             tokens: res.tokens,
             text
-          })
+          }
         } else if (text !== ' ' || !children.length || children[children.length - 1].text !== ' ') {
-          children.push({
+          child = {
             type: 3,
             text
-          })
+          }
+        }
+        if (child) {
+          if (process.env.NODE_ENV !== 'production' && outputSourceRange) {
+            child.start = start
+            child.end = end
+          }
+          children.push(child)
         }
       }
     },
-    comment (text: string) {
-      currentParent.children.push({
+    comment (text: string, start, end) {
+      const child: ASTText = {
         type: 3,
         text,
         isComment: true
-      })
+      }
+      if (process.env.NODE_ENV !== 'production' && outputSourceRange) {
+        child.start = start
+        child.end = end
+      }
+      currentParent.children.push(child)
     }
   })
-  return root
+  // text after the last root element is not part of the fragment
+  while (roots.length && roots[roots.length - 1].type !== 1) {
+    const text: any = roots.pop()
+    if (process.env.NODE_ENV !== 'production') {
+      warnOnce(
+        `text "${text.text.trim()}" outside root element will be ignored.`,
+        { start: text.start }
+      )
+    }
+  }
+  if (roots.length > 1) {
+    // multiple root elements are rendered as a fragment
+    const root = createASTElement('template', [], undefined)
+    root.children = (roots: any)
+    if (process.env.NODE_ENV !== 'production' && outputSourceRange) {
+      root.start = roots[0].start
+      root.end = roots[roots.length - 1].end
+    }
+    return root
+  }
+  // text is only kept between root elements
+  return (roots[0]: any)
 }
 
 function processPre (el) {
@@ -299,12 +407,16 @@ function processPre (el) {
 function processRawAttrs (el) {
   const l = el.attrsList.length
   if (l) {
-    const attrs = el.attrs = new Array(l)
+    const attrs: Array<ASTAttr> = el.attrs = new Array(l)
     for (let i = 0; i < l; i++) {
       attrs[i] = {
         name: el.attrsList[i].name,
         value: JSON.stringify(el.attrsList[i].value)
       }
+      if (el.attrsList[i].start != null) {
+        attrs[i].start = el.attrsList[i].start
+        attrs[i].end = el.attrsList[i].end
+      }
     }
   } else if (!el.pre) {
     // non root node in pre blocks with no attributes
@@ -332,7 +444,10 @@ function processKey (el) {
   const exp = getBindingAttr(el, 'key')
   if (exp) {
     if (process.env.NODE_ENV !== 'production' && el.tag === 'template') {
-      warn(`<template> cannot be keyed. Place the key on real elements instead.`)
+      warn(
+        `<template> cannot be keyed. Place the key on real elements instead.`,
+        getRawBindingAttr(el, 'key')
+      )
     }
     el.key = exp
   }
@@ -354,7 +469,8 @@ export function processFor (el: ASTElement) {
       extend(el, res)
     } else if (process.env.NODE_ENV !== 'production') {
       warn(
-        `Invalid v-for expression: ${exp}`
+        `Invalid v-for expression: ${exp}`,
+        el.rawAttrsMap['v-for']
       )
     }
   }
@@ -405,8 +521,8 @@ function processIf (el) {
   }
 }
 
-function processIfConditions (el, parent) {
-  const prev = findPrevElement(parent.children)
+function processIfConditions (el, siblings) {
+  const prev = findPrevElement(siblings)
   if (prev && prev.if) {
     addIfCondition(prev, {
       exp: el.elseif,
@@ -415,7 +531,8 @@ function processIfConditions (el, parent) {
   } else if (process.env.NODE_ENV !== 'production') {
     warn(
       `v-${el.elseif ? ('else-if="' + el.elseif + '"') : 'else'} ` +
-      `used on element <${el.tag}> without corresponding v-if.`
+      `used on element <${el.tag}> without corresponding v-if.`,
+      el.rawAttrsMap[el.elseif ? 'v-else-if' : 'v-else']
     )
   }
 }
@@ -429,7 +546,8 @@ function findPrevElement (children: Array<any>): ASTElement | void {
       if (process.env.NODE_ENV !== 'production' && children[i].text !== ' ') {
         warn(
           `text "${children[i].text.trim()}" between v-if and v-else(-if) ` +
-          `will be ignored.`
+          `will be ignored.`,
+          children[i]
         )
       }
       children.pop()
@@ -458,7 +576,8 @@ function processSlot (el) {
       warn(
         `\`key\` does not work on <slot> because slots are abstract outlets ` +
         `and can possibly expand into multiple elements. ` +
-        `Use the key on a wrapping element instead.`
+        `Use the key on a wrapping element instead.`,
+        getRawBindingAttr(el, 'key')
       )
     }
   } else {
@@ -472,6 +591,7 @@ function processSlot (el) {
           `replaced by "slot-scope" since 2.5. The new "slot-scope" attribute ` +
           `can also be used on plain elements in addition to <template> to ` +
           `denote scoped slots.`,
+          el.rawAttrsMap['scope'],
           true
         )
       }
@@ -483,6 +603,7 @@ function processSlot (el) {
           `Ambiguous combined usage of slot-scope and v-for on <${el.tag}> ` +
           `(v-for takes higher priority). Use a wrapper <template> for the ` +
           `scoped slot to make it clearer.`,
+          el.rawAttrsMap['slot-scope'],
           true
         )
       }
@@ -494,10 +615,102 @@ function processSlot (el) {
       // preserve slot as an attribute for native shadow DOM compat
       // only for non-scoped slots.
       if (el.tag !== 'template' && !el.slotScope) {
-        addAttr(el, 'slot', slotTarget)
+        addAttr(el, 'slot', slotTarget, getRawBindingAttr(el, 'slot'))
+      }
+    }
+    processSlotDirective(el)
+  }
+}
+
+// v-slot:name="props" or #name="props"
+function processSlotDirective (el) {
+  const slotBinding = getAndRemoveAttrByRegex(el, slotRE)
+  if (!slotBinding) {
+    return
+  }
+  if (el.tag === 'template') {
+    // v-slot on <template>
+    if (process.env.NODE_ENV !== 'production') {
+      if (el.slotTarget || el.slotScope) {
+        warn(`Unexpected mixed usage of different slot syntaxes.`, slotBinding)
+      }
+      if (el.parent && !maybeComponent(el.parent)) {
+        warn(
+          `<template v-slot> can only appear at the root level inside ` +
+          `the receiving component.`,
+          slotBinding
+        )
+      }
+    }
+    const name = getSlotName(slotBinding)
+    el.slotTarget = name
+    // force it into a scoped slot for perf
+    el.slotScope = slotBinding.value || emptySlotScopeToken
+  } else {
+    // v-slot on component, denotes default slot
+    if (process.env.NODE_ENV !== 'production') {
+      if (!maybeComponent(el)) {
+        warn(
+          `v-slot can only be used on components or <template>.`,
+          slotBinding
+        )
+      }
+      if (el.slotScope || el.slotTarget) {
+        warn(`Unexpected mixed usage of different slot syntaxes.`, slotBinding)
       }
     }
+    // the children are moved into the slot once the component is closed
+    const name = getSlotName(slotBinding)
+    const slotContainer = createASTElement('template', [], el)
+    slotContainer.slotTarget = name
+    slotContainer.slotScope = slotBinding.value || emptySlotScopeToken
+    if (slotBinding.start != null) {
+      slotContainer.start = slotBinding.start
+      slotContainer.end = slotBinding.end
+    }
+    const slots = el.scopedSlots || (el.scopedSlots = {})
+    slots[name] = slotContainer
+    el.slotContainer = slotContainer
+    // mark el non-plain so data gets generated
+    el.plain = false
+  }
+}
+
+function getSlotName (binding: ASTAttr): string {
+  let name = binding.name.replace(slotRE, '')
+  if (!name) {
+    if (binding.name[0] !== '#') {
+      name = 'default'
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(`v-slot shorthand syntax requires a slot name.`, binding)
+    }
+  } else if (
+    process.env.NODE_ENV !== 'production' &&
+    binding.name[0] === '#' &&
+    name.indexOf(':') > -1 &&
+    !dynamicArgRE.test(name)
+  ) {
+    // e.g. #default:one, mixing the shorthand with the full syntax
+    warn(
+      `Invalid v-slot shorthand "${binding.name}": the slot name directly ` +
+      `follows #, e.g. #${name.slice(name.indexOf(':') + 1)}.`,
+      binding
+    )
   }
+  return dynamicArgRE.test(name)
+    // dynamic [name]
+    ? name.slice(1, -1)
+    // static name
+    : `"${name}"`
+}
+
+function maybeComponent (el: ASTElement): boolean {
+  return !!(
+    el.component ||
+    el.attrsMap[':is'] ||
+    el.attrsMap['v-bind:is'] ||
+    !(el.attrsMap.is ? platformIsReservedTag(el.attrsMap.is) : platformIsReservedTag(el.tag))
+  )
 }
 
 function processComponent (el) {
@@ -512,7 +725,7 @@ function processComponent (el) {
 
 function processAttrs (el) {
   const list = el.attrsList
-  let i, l, name, rawName, value, modifiers, isProp
+  let i, l, name, rawName, value, modifiers, isProp, isDynamic
   for (i = 0, l = list.length; i < l; i++) {
     name = rawName = list[i].name
     value = list[i].value
@@ -527,51 +740,75 @@ function processAttrs (el) {
       if (bindRE.test(name)) { // v-bind
         name = name.replace(bindRE, '')
         value = parseFilters(value)
+        isDynamic = dynamicArgRE.test(name)
+        if (isDynamic) {
+          name = name.slice(1, -1)
+        }
         isProp = false
         if (
           process.env.NODE_ENV !== 'production' &&
           value.trim().length === 0
         ) {
           warn(
-            `The value for a v-bind expression cannot be empty. Found in "v-bind:${name}"`
+            `The value for a v-bind expression cannot be empty. Found in "v-bind:${name}"`,
+            list[i]
           )
         }
         if (modifiers) {
           if (modifiers.prop) {
             isProp = true
-            name = camelize(name)
-            if (name === 'innerHtml') name = 'innerHTML'
+            // dynamic names are used as is
+            if (!isDynamic) {
+              name = camelize(name)
+              if (name === 'innerHtml') name = 'innerHTML'
+            }
           }
-          if (modifiers.camel) {
+          if (modifiers.camel && !isDynamic) {
             name = camelize(name)
           }
           if (modifiers.sync) {
             addHandler(
               el,
-              `update:${camelize(name)}`,
-              genAssignmentCode(value, `$event`)
+              isDynamic ? `"update:"+(${name})` : `update:${camelize(name)}`,
+              genAssignmentCode(value, `$event`),
+              null,
+              false,
+              warn,
+              list[i],
+              isDynamic
             )
           }
         }
         if (isProp || (
-          !el.component && platformMustUseProp(el.tag, el.attrsMap.type, name)
+          !el.component &&
+          !isDynamic &&
+          platformMustUseProp(el.tag, el.attrsMap.type, name)
         )) {
-          addProp(el, name, value)
+          addProp(el, name, value, list[i], isDynamic)
         } else {
-          addAttr(el, name, value)
+          addAttr(el, name, value, list[i], isDynamic)
         }
       } else if (onRE.test(name)) { // v-on
         name = name.replace(onRE, '')
-        addHandler(el, name, value, modifiers, false, warn)
+        isDynamic = dynamicArgRE.test(name)
+        if (isDynamic) {
+          name = name.slice(1, -1)
+        }
+        addHandler(el, name, value, modifiers, false, warn, list[i], isDynamic)
       } else { // normal directives
         name = name.replace(dirRE, '')
         // parse arg
         const argMatch = name.match(argRE)
-        const arg = argMatch && argMatch[1]
+        let arg = argMatch && argMatch[1]
+        isDynamic = false
         if (arg) {
           name = name.slice(0, -(arg.length + 1))
+          if (dynamicArgRE.test(arg)) {
+            arg = arg.slice(1, -1)
+            isDynamic = true
+          }
         }
-        addDirective(el, name, rawName, value, arg, modifiers)
+        addDirective(el, name, rawName, value, arg, isDynamic, modifiers, list[i])
         if (process.env.NODE_ENV !== 'production' && name === 'model') {
           checkForAliasModel(el, value)
         }
@@ -585,11 +822,12 @@ function processAttrs (el) {
             `${name}="${value}": ` +
             'Interpolation inside attributes has been removed. ' +
             'Use v-bind or the colon shorthand instead. For example, ' +
-            'instead of <div id="{{ val }}">, use <div :id="val">.'
+            'instead of <div id="{{ val }}">, use <div :id="val">.',
+            list[i]
           )
         }
       }
-      addAttr(el, name, JSON.stringify(value))
+      addAttr(el, name, JSON.stringify(value), list[i])
       // #6887 firefox doesn't update muted state if set via attribute
       // even immediately after element creation
       if (!el.component &&
@@ -621,14 +859,14 @@ function parseModifiers (name: string): Object | void {
   }
 }
 
-function makeAttrsMap (attrs: Array<Object>): Object {
+function makeAttrsMap (attrs: Array<ASTAttr>): Object {
   const map = {}
   for (let i = 0, l = attrs.length; i < l; i++) {
     if (
       process.env.NODE_ENV !== 'production' &&
       map[attrs[i].name] && !isIE && !isEdge
     ) {
-      warn('duplicate attribute: ' + attrs[i].name)
+      warn('duplicate attribute: ' + attrs[i].name, attrs[i])
     }
     map[attrs[i].name] = attrs[i].value
   }
@@ -675,7 +913,8 @@ function checkForAliasModel (el, value) {
         `You are binding v-model directly to a v-for iteration alias. ` +
         `This will not be able to modify the v-for source array because ` +
         `writing to the alias is like modifying a function local variable. ` +
-        `Consider using an array of objects and use v-model on an object property instead.`
+        `Consider using an array of objects and use v-model on an object property instead.`,
+        el.rawAttrsMap['v-model']
       )
     }
     _el = _el.parent
@@ -12,6 +12,28 @@ const buildRegex = cached(delimiters => {
   return new RegExp(open + '((?:.|\\n)+?)' + close, 'g')
 })
 
+// not \s, so that non-breaking spaces are kept
+const whitespaceRE = /[ \f\t\r\n]+/g
+
+/**
+ * Condense runs of whitespace into a single space, leaving the expressions
+ * of interpolations untouched.
+ */
+export function condenseWhitespace (
+  text: string,
+  delimiters?: [string, string]
+): string {
+  const tagRE = delimiters ? buildRegex(delimiters) : defaultTagRE
+  let res = ''
+  let lastIndex = tagRE.lastIndex = 0
+  let match
+  while ((match = tagRE.exec(text))) {
+    res += text.slice(lastIndex, match.index).replace(whitespaceRE, ' ') + match[0]
+    lastIndex = tagRE.lastIndex
+  }
+  return res + text.slice(lastIndex).replace(whitespaceRE, ' ')
+}
+
 type TextParseResult = {
   expression: string,
   tokens: Array<string | { '@binding': string }>
@@ -51,3 +73,21 @@ export function parseText (
     tokens: rawTokens
   }
 }
+
+/**
+ * Offsets of the interpolations in a text, in the same order as the
+ * bindings in the tokens returned by parseText.
+ */
+export function getInterpolationOffsets (
+  text: string,
+  delimiters?: [string, string]
+): Array<number> {
+  const tagRE = delimiters ? buildRegex(delimiters) : defaultTagRE
+  const offsets = []
+  let match
+  tagRE.lastIndex = 0
+  while ((match = tagRE.exec(text))) {
+    offsets.push(match.index)
+  }
+  return offsets
+}
@@ -0,0 +1,155 @@
+/* @flow */
+
+/**
+ * Source maps for generated render code.
+ *
+ * When the `sourceMap` option is enabled, codegen wraps the code generated
+ * for mapped template constructs (elements, interpolations, bindings,
+ * handlers, v-if and v-for) in invisible markers carrying the offset of the
+ * construct in the template. Once the code is complete, the markers are
+ * stripped and their positions are turned into a source map. This keeps the
+ * code generators free from position bookkeeping: they only ever deal with
+ * plain strings.
+ */
+
+export type SourceMap = {
+  version: 3;
+  sources: Array<string>;
+  sourcesContent: Array<string>;
+  names: Array<string>;
+  mappings: string;
+};
+
+// control characters never appear in generated code, as template text is
+// emitted through JSON.stringify which escapes them
+const MARK_START = '\u0000'
+const MARK_OFFSET_END = '\u0001'
+const MARK_END = '\u0002'
+
+export function markSourceRange (
+  code: string,
+  range: ?{ start?: number }
+): string {
+  return range && range.start != null
+    ? `${MARK_START}${range.start}${MARK_OFFSET_END}${code}${MARK_END}`
+    : code
+}
+
+/**
+ * Strip source markers from generated code and build the source map of the
+ * resulting code. `offset` is added to all marked offsets, accounting for
+ * the leading whitespace trimmed from the template before parsing.
+ */
+export function extractSourceMap (
+  code: string,
+  template: string,
+  filename?: string,
+  offset?: number = 0
+): { code: string, map: SourceMap } {
+  const lineStarts = [0]
+  for (let i = 0; i < template.length; i++) {
+    if (template.charCodeAt(i) === 10 /* \n */) lineStarts.push(i + 1)
+  }
+
+  let out = ''
+  let mappings = ''
+  // state carried over between segments, as all fields are relative
+  let genColumn = 0
+  let lastGenColumn = 0
+  let lastLine = 0
+  let lastColumn = 0
+  let lineHasSegment = false
+  const stack = []
+
+  const addSegment = (origOffset: ?number) => {
+    if (lineHasSegment) mappings += ','
+    mappings += encodeVLQ(genColumn - lastGenColumn)
+    lastGenColumn = genColumn
+    lineHasSegment = true
+    if (origOffset != null) {
+      let line = 0
+      while (line < lineStarts.length - 1 && lineStarts[line + 1] <= origOffset) line++
+      const column = origOffset - lineStarts[line]
+      // single source, so the source index delta is always 0
+      mappings += 'A' + encodeVLQ(line - lastLine) + encodeVLQ(column - lastColumn)
+      lastLine = line
+      lastColumn = column
+    }
+  }
+
+  let i = 0
+  while (i < code.length) {
+    const c = code[i]
+    if (c === MARK_START) {
+      const close = code.indexOf(MARK_OFFSET_END, i)
+      const origOffset = Number(code.slice(i + 1, close)) + offset
+      stack.push(origOffset)
+      addSegment(origOffset)
+      i = close + 1
+    } else if (c === MARK_END) {
+      stack.pop()
+      // resume the mapping of the enclosing construct
+      addSegment(stack.length ? stack[stack.length - 1] : null)
+      i++
+    } else if (c === '\n') {
+      out += c
+      mappings += ';'
+      genColumn = lastGenColumn = 0
+      lineHasSegment = false
+      if (stack.length) {
+        addSegment(stack[stack.length - 1])
+      }
+      i++
+    } else {
+      // copy everything up to the next marker or line break at once
+      let next = i + 1
+      while (next < code.length && !isSpecial(code[next])) next++
+      out += code.slice(i, next)
+      genColumn += next - i
+      i = next
+    }
+  }
+
+  return {
+    code: out,
+    map: {
+      version: 3,
+      sources: [filename || 'template.html'],
+      sourcesContent: [template],
+      names: [],
+      mappings
+    }
+  }
+}
+
+export function stripSourceMarkers (code: string): string {
+  if (code.indexOf(MARK_START) < 0) {
+    return code
+  }
+  let res = ''
+  let last = 0
+  let start
+  while ((start = code.indexOf(MARK_START, last)) > -1) {
+    res += code.slice(last, start)
+    last = code.indexOf(MARK_OFFSET_END, start) + 1
+  }
+  return (res + code.slice(last)).split(MARK_END).join('')
+}
+
+function isSpecial (c: string): boolean {
+  return c === MARK_START || c === MARK_END || c === '\n'
+}
+
+const base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+function encodeVLQ (value: number): string {
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1
+  let res = ''
+  do {
+    let digit = vlq & 31
+    vlq >>>= 5
+    if (vlq > 0) digit |= 32
+    res += base64[digit]
+  } while (vlq > 0)
+  return res
+}
@@ -2,6 +2,8 @@
 
 import { noop, extend } from 'shared/util'
 import { warn as baseWarn, tip } from 'core/util/debug'
+import { generateCodeFrame } from './codeframe'
+import { CompilerCache, genCacheKey, hash } from './cache'
 
 type CompiledFunctionResult = {
   render: Function;
@@ -17,8 +19,14 @@ function createFunction (code, errors) {
   }
 }
 
-export function createCompileToFunctionFn (compile: Function): Function {
-  const cache = Object.create(null)
+// bound of the default in-memory cache
+const defaultCacheMax = 1000
+
+export function createCompileToFunctionFn (
+  compile: Function,
+  namespace: string
+): Function {
+  const defaultCache = new CompilerCache({ max: defaultCacheMax })
 
   return function compileToFunctions (
     template: string,
@@ -28,6 +36,8 @@ export function createCompileToFunctionFn (compile: Function): Function {
     options = extend({}, options)
     const warn = options.warn || baseWarn
     delete options.warn
+    const cache = options.cache === undefined ? defaultCache : options.cache
+    delete options.cache
 
     /* istanbul ignore if */
     if (process.env.NODE_ENV !== 'production') {
@@ -48,36 +58,75 @@ export function createCompileToFunctionFn (compile: Function): Function {
     }
 
     // check cache
-    const key = options.delimiters
-      ? String(options.delimiters) + template
-      : template
-    if (cache[key]) {
-      return cache[key]
+    const key = cache ? genCacheKey(namespace, template, options) : null
+    if (cache && key) {
+      const cached = cache.get(key)
+      if (cached) {
+        return cached
+      }
     }
 
-    // compile
-    const compiled = compile(template, options)
+    // compile, unless the code has been persisted by a previous process.
+    // persisted entries are named after a hash of the key, so check that
+    // they hold the code of the same key
+    const store = cache && cache.store
+    let compiled: ?Object = key && store ? store.get(hash(key)) : null
+    if (!compiled || compiled.key !== key) {
+      compiled = compile(template, options)
+      if (key && store) {
+        store.set(hash(key), {
+          key,
+          render: compiled.render,
+          staticRenderFns: compiled.staticRenderFns,
+          errors: compiled.errors,
+          tips: compiled.tips
+        })
+      }
+    }
 
     // check compilation errors/tips
     if (process.env.NODE_ENV !== 'production') {
       if (compiled.errors && compiled.errors.length) {
-        warn(
-          `Error compiling template:\n\n${template}\n\n` +
-          compiled.errors.map(e => `- ${e}`).join('\n') + '\n',
-          vm
-        )
+        if (options.outputSourceRange) {
+          // show each error with a code frame pointing at its location
+          compiled.errors.forEach(e => {
+            warn(
+              `Error compiling template:\n\n${e.msg}\n\n` +
+              (e.start != null ? generateCodeFrame(template, e.start, e.end) : template),
+              vm
+            )
+          })
+        } else {
+          warn(
+            `Error compiling template:\n\n${template}\n\n` +
+            compiled.errors.map(e => `- ${e}`).join('\n') + '\n',
+            vm
+          )
+        }
       }
       if (compiled.tips && compiled.tips.length) {
-        compiled.tips.forEach(msg => tip(msg, vm))
+        if (options.outputSourceRange) {
+          compiled.tips.forEach(e => tip(e.msg, vm))
+        } else {
+          compiled.tips.forEach(msg => tip(msg, vm))
+        }
       }
     }
 
     // turn code into functions
+    // name the generated code after the template so that it shows up as a
+    // file in devtools and stack traces instead of an anonymous function
+    const sourceURL = options.filename
+      ? `\n//# sourceURL=${options.filename}?render`
+      : ''
     const res = {}
     const fnGenErrors = []
-    res.render = createFunction(compiled.render, fnGenErrors)
-    res.staticRenderFns = compiled.staticRenderFns.map(code => {
-      return createFunction(code, fnGenErrors)
+    res.render = createFunction(compiled.render + sourceURL, fnGenErrors)
+    res.staticRenderFns = compiled.staticRenderFns.map((code, i) => {
+      return createFunction(
+        code + (sourceURL && `${sourceURL}&static=${i}`),
+        fnGenErrors
+      )
     })
 
     // check function generation errors.
@@ -94,6 +143,9 @@ export function createCompileToFunctionFn (compile: Function): Function {
       }
     }
 
-    return (cache[key] = res)
+    if (cache && key) {
+      cache.set(key, res)
+    }
+    return res
   }
 }
@@ -0,0 +1,113 @@
+/* @flow */
+
+/**
+ * Compile templates to ES modules. The render code is generated as usual,
+ * then every identifier it references is resolved statically instead of
+ * through `with(this)`: instance properties are prefixed with `_vm.`, and
+ * the render helpers that don't depend on the instance are imported from
+ * the runtime. The result is strict mode code, that doesn't need to be
+ * evaluated with `new Function()`.
+ */
+
+import { extend } from 'shared/util'
+import { analyzeExpression, isAllowedGlobal, stripWith } from './lint/expression'
+
+type ModuleCompilerOptions = CompilerOptions & {
+  // module the render helpers are imported from
+  runtimeModule?: string;
+};
+
+type CompiledModuleResult = {
+  code: string;
+  errors: Array<string | WarningMessage>;
+  tips: Array<string | WarningMessage>;
+};
+
+// render helpers that don't depend on the instance, by the name the runtime
+// ES module builds export them with (src/core/instance/render-helpers/standalone.js)
+const standaloneHelpers: { [key: string]: string } = {
+  _n: 'toNumber',
+  _s: 'toString',
+  _q: 'looseEqual',
+  _i: 'looseIndexOf',
+  _l: 'renderList',
+  _k: 'checkKeyCodes',
+  _v: 'createTextVNode',
+  _e: 'createEmptyVNode',
+  _u: 'resolveScopedSlots',
+  _p: 'prependModifier'
+}
+
+export function createCompileToModuleFn (compile: Function): Function {
+  return function compileToModule (
+    template: string,
+    options?: ModuleCompilerOptions
+  ): CompiledModuleResult {
+    const runtimeModule = (options && options.runtimeModule) || 'vue'
+    // the source map would point into the code before it is rewritten
+    const compiled = compile(template, extend(extend({}, options), { sourceMap: false }))
+    const errors = compiled.errors
+    const helpers: { [key: string]: true } = {}
+
+    const genFunction = (code: string): string => {
+      let body = stripWith(code)
+      try {
+        body = resolveReferences(body, helpers)
+      } catch (e) {
+        errors.push(`Failed to compile template to a module: ${e.message}`)
+      }
+      // functional components call render functions with their context as
+      // second argument, stateful ones with the instance as `this`
+      return `function (_h,_ctx) {var _vm=_ctx||this;return ${body}}`
+    }
+
+    const render = genFunction(compiled.render)
+    const staticRenderFns = compiled.staticRenderFns.map(genFunction)
+    const imports = Object.keys(helpers).map(name => `${standaloneHelpers[name]} as ${name}`)
+
+    return {
+      code:
+        (imports.length
+          ? `import { ${imports.join(', ')} } from ${JSON.stringify(runtimeModule)}\n`
+          : '') +
+        `var render = ${render}\n` +
+        `var staticRenderFns = [${staticRenderFns.join(',')}]\n` +
+        // let the render proxy warn about undefined properties on access
+        `render._withStripped = true\n` +
+        `export { render, staticRenderFns }\n`,
+      errors,
+      tips: compiled.tips
+    }
+  }
+}
+
+/**
+ * Prefix the instance properties referenced by generated code with `_vm.`
+ * and replace `this` with `_vm`, recording the standalone helpers it uses.
+ */
+function resolveReferences (code: string, helpers: { [key: string]: true }): string {
+  const { references, thisExpressions } = analyzeExpression(code)
+  const replacements = []
+  references.forEach(ref => {
+    const name = ref.name
+    if (standaloneHelpers[name]) {
+      helpers[name] = true
+    } else if (!isAllowedGlobal(name) && name !== 'arguments') {
+      replacements.push({
+        start: ref.start,
+        end: ref.end,
+        code: ref.shorthand ? `${name}:_vm.${name}` : `_vm.${name}`
+      })
+    }
+  })
+  thisExpressions.forEach(({ start, end }) => {
+    replacements.push({ start, end, code: '_vm' })
+  })
+  let res = ''
+  let last = 0
+  replacements.sort((a, b) => a.start - b.start).forEach(({ start, end, code: replacement }) => {
+    res += code.slice(last, start) + replacement
+    last = end
+  })
+  return res + code.slice(last)
+}
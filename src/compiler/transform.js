@@ -0,0 +1,336 @@
+/* @flow */
+
+/**
+ * Template transforms: visitor-style plugins run over the AST of a template
+ * once it has been completely parsed, i.e. after the modules' transforms and
+ * the built-in directives have been processed. They run before the optimizer,
+ * so static trees are detected on the transformed AST, and can additionally
+ * inspect the optimized AST right before code generation.
+ *
+ * Each transform is a separate depth-first traversal, run in order. `enter`
+ * is called on a node before its children, `exit` after them, both with the
+ * node and a path object used to navigate and modify the tree. Elements are
+ * reached wherever they live: children, v-else(-if) branches and scoped slots.
+ */
+
+import { extend } from 'shared/util'
+import { parse } from './parser/index'
+
+type NodeList = Array<ASTNode>;
+
+// where a node lives in its parent
+type NodeContainer =
+  { type: 'root' } |
+  { type: 'children', list: NodeList } |
+  { type: 'condition', list: ASTIfConditions } |
+  { type: 'slot', slots: { [key: string]: ASTElement }, key: string };
+
+export class TransformPath {
+  node: ASTNode;
+  parent: ASTElement | void;
+  parentPath: TransformPath | null;
+  options: CompilerOptions;
+  removed: boolean;
+  skipped: boolean;
+  container: NodeContainer;
+
+  constructor (
+    node: ASTNode,
+    parentPath: TransformPath | null,
+    container: NodeContainer,
+    options: CompilerOptions
+  ) {
+    this.node = node
+    this.parentPath = parentPath
+    this.parent = parentPath ? (parentPath.node: any) : undefined
+    this.container = container
+    this.options = options
+    this.removed = false
+    this.skipped = false
+  }
+
+  /**
+   * Find the closest ancestor path for which the callback returns true.
+   */
+  findParent (fn: (path: TransformPath) => boolean): TransformPath | null {
+    let path = this.parentPath
+    while (path && !fn(path)) {
+      path = path.parentPath
+    }
+    return path
+  }
+
+  /**
+   * Don't traverse the children of the current node.
+   */
+  skip () {
+    this.skipped = true
+  }
+
+  /**
+   * Replace the current node. The replacement takes over the v-if chain and
+   * the slot the node belonged to, and its children are traversed, but
+   * `enter` is not called on it again.
+   */
+  replace (node: ASTNode) {
+    const old = this.node
+    if (this.removed) {
+      this.warn(`Cannot replace a node that has been removed.`)
+      return
+    }
+    if (node.type === 1 && old.type === 1) {
+      inheritPosition(node, old)
+    }
+    const container = this.container
+    if (container.type === 'children') {
+      container.list[container.list.indexOf(old)] = node
+    } else if (container.type === 'condition') {
+      if (node.type !== 1) {
+        this.warn(`v-else(-if) branches can only be replaced with elements.`)
+        return
+      }
+      const block = node
+      container.list.forEach(condition => {
+        if (condition.block === old) condition.block = block
+      })
+    } else if (container.type === 'slot') {
+      if (node.type !== 1) {
+        this.warn(`Scoped slots can only be replaced with elements.`)
+        return
+      }
+      container.slots[container.key] = node
+      const parent = this.parent
+      if (parent && parent.slotContainer === old) {
+        parent.slotContainer = node
+      }
+    } else if (node.type !== 1) {
+      this.warn(`The root node can only be replaced with an element.`)
+      return
+    }
+    if (node.type === 1) {
+      node.parent = this.parent
+    }
+    this.node = node
+  }
+
+  /**
+   * Remove the current node. Removing an element with v-if removes the whole
+   * v-if/v-else chain.
+   */
+  remove () {
+    const node = this.node
+    const container = this.container
+    if (container.type === 'root') {
+      this.warn(`Cannot remove the root node of a template.`)
+      return
+    }
+    if (container.type === 'children') {
+      container.list.splice(container.list.indexOf(node), 1)
+    } else if (container.type === 'condition') {
+      const list = container.list
+      for (let i = 0; i < list.length; i++) {
+        if (list[i].block === node) list.splice(i, 1)
+      }
+    } else {
+      delete container.slots[container.key]
+    }
+    this.removed = true
+  }
+
+  /**
+   * Insert nodes before the current node. Inserted nodes are not traversed.
+   */
+  insertBefore (nodes: ASTNode | NodeList) {
+    this.insertSiblings(nodes, 0)
+  }
+
+  /**
+   * Insert nodes after the current node. Inserted nodes are not traversed.
+   */
+  insertAfter (nodes: ASTNode | NodeList) {
+    this.insertSiblings(nodes, 1)
+  }
+
+  insertSiblings (nodes: ASTNode | NodeList, offset: number) {
+    const container = this.container
+    if (container.type !== 'children') {
+      this.warn(
+        `Siblings can only be inserted next to the children of an element, ` +
+        `not next to the root node, v-else(-if) branches or scoped slots.`
+      )
+      return
+    }
+    if (this.removed) {
+      this.warn(`Cannot insert siblings next to a node that has been removed.`)
+      return
+    }
+    const list = Array.isArray(nodes) ? nodes : [nodes]
+    list.forEach(node => {
+      if (node.type === 1) node.parent = this.parent
+    })
+    const index = container.list.indexOf(this.node) + offset
+    container.list.splice(index, 0, ...list)
+  }
+
+  /**
+   * Parse a template snippet into an element, with the options of the
+   * current compilation, e.g. for use with `replace` or `insertAfter`.
+   * Offsets into the snippet are not recorded, as they don't point into
+   * the compiled template.
+   */
+  parse (template: string): ASTElement | void {
+    const el = parse(template.trim(), extend(Object.create(this.options), {
+      outputSourceRange: false,
+      sourceMap: false
+    }))
+    if (el) el.parent = this.parent
+    return el
+  }
+
+  /**
+   * Remove an attribute or a v-bind binding from the current element,
+   * including the ones already processed by the parser, i.e. key, class and
+   * style.
+   */
+  removeAttr (name: string) {
+    const el = this.node
+    if (el.type !== 1) return
+    const names = [name, `:${name}`, `v-bind:${name}`]
+    el.attrsList = el.attrsList.filter(attr => names.indexOf(attr.name) < 0)
+    names.forEach(key => {
+      delete el.attrsMap[key]
+      delete el.rawAttrsMap[key]
+    })
+    const filter = (list: ?Array<ASTAttr>) => {
+      const res = list && list.filter(attr => attr.name !== name)
+      return res && res.length ? res : undefined
+    }
+    el.attrs = filter(el.attrs)
+    el.props = filter(el.props)
+    el.dynamicAttrs = filter(el.dynamicAttrs)
+    if (name === 'key') {
+      delete el.key
+    } else if (name === 'class') {
+      delete el.staticClass
+      delete el.classBinding
+    } else if (name === 'style') {
+      delete el.staticStyle
+      delete el.styleBinding
+    }
+    if (!el.plain && isPlain(el)) {
+      el.plain = true
+    }
+  }
+
+  warn (msg: string) {
+    const node = this.node
+    const warn = this.options.warn
+    if (process.env.NODE_ENV !== 'production' && warn) {
+      warn(msg, node.type === 1 ? { start: node.start, end: node.end } : undefined)
+    }
+  }
+}
+
+// whether the element has no data left to generate, once the attributes
+// removed by the parser are taken into account
+function isPlain (el: ASTElement): boolean {
+  return !el.key && !el.attrsList.length && !el.ref && !el.slotTarget &&
+    !el.component && !el.inlineTemplate && !el.scopedSlots &&
+    !el.staticClass && !el.classBinding && !el.staticStyle && !el.styleBinding
+}
+
+function inheritPosition (node: ASTElement, old: ASTElement) {
+  if (old.ifConditions && !node.ifConditions) {
+    node.if = old.if
+    node.ifConditions = old.ifConditions
+    node.ifConditions[0].block = node
+  }
+  if (old.slotScope && !node.slotScope) {
+    node.slotScope = old.slotScope
+    node.slotTarget = old.slotTarget
+  }
+}
+
+/**
+ * Run the `enter`/`exit` visitors of the transforms over the AST, and return
+ * the possibly replaced root.
+ */
+export function transformAST (
+  ast: ASTElement | void,
+  transforms: Array<TemplateTransform>,
+  options: CompilerOptions
+): ASTElement | void {
+  for (let i = 0; i < transforms.length; i++) {
+    const transform = transforms[i]
+    if (ast && (transform.enter || transform.exit)) {
+      const path = new TransformPath(ast, null, { type: 'root' }, options)
+      visit(path, transform)
+      ast = (path.node: any)
+    }
+  }
+  return ast
+}
+
+/**
+ * Call the `beforeGenerate` hooks of the transforms with the optimized AST.
+ */
+export function runBeforeGenerate (
+  ast: ASTElement | void,
+  transforms: Array<TemplateTransform>,
+  options: CompilerOptions
+) {
+  if (!ast) return
+  for (let i = 0; i < transforms.length; i++) {
+    const hook = transforms[i].beforeGenerate
+    if (hook) hook(ast, options)
+  }
+}
+
+function visit (path: TransformPath, transform: TemplateTransform) {
+  if (transform.enter) {
+    transform.enter(path.node, path)
+    if (path.removed) return
+  }
+  const node = path.node
+  if (node.type === 1 && !path.skipped) {
+    visitList(node.children, path, transform)
+    // v-else(-if) branches are not part of the children, the first
+    // condition block being the node itself. They are siblings of the node,
+    // so they share its parent path
+    const conditions = node.ifConditions
+    if (node.if && conditions) {
+      conditions.slice(1).forEach(condition => {
+        visit(new TransformPath(condition.block, path.parentPath, {
+          type: 'condition',
+          list: conditions
+        }, path.options), transform)
+      })
+    }
+    const slots = node.scopedSlots
+    if (slots) {
+      Object.keys(slots).forEach(key => {
+        visit(new TransformPath(slots[key], path, {
+          type: 'slot',
+          slots,
+          key
+        }, path.options), transform)
+      })
+    }
+  }
+  if (transform.exit) {
+    transform.exit(path.node, path)
+  }
+}
+
+function visitList (list: NodeList, parentPath: TransformPath, transform: TemplateTransform) {
+  // iterate over a copy, as the list can be modified by the visitors
+  const nodes = list.slice()
+  for (let i = 0; i < nodes.length; i++) {
+    if (list.indexOf(nodes[i]) < 0) continue // removed by a previous visitor
+    const path = new TransformPath(nodes[i], parentPath, {
+      type: 'children',
+      list
+    }, parentPath.options)
+    visit(path, transform)
+  }
+}
@@ -19,6 +19,8 @@ export type Config = {
   warnHandler: ?(msg: string, vm: Component, trace: string) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  keyBindings: { [key: string]: string | Array<string> };
+  hydrationMismatch: 'warn' | 'throw' | 'patch-in-place';
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -83,6 +85,18 @@ export default ({
   // $flow-disable-line
   keyCodes: Object.create(null),
 
+  /**
+   * Named key bindings for v-on, e.g. { save: 'mod+s', top: 'g g' }
+   */
+  // $flow-disable-line
+  keyBindings: Object.create(null),
+
+  /**
+   * How to handle DOM that does not match the client-side render during
+   * hydration: warn and re-render everything, throw, or patch in place.
+   */
+  hydrationMismatch: 'warn',
+
   /**
    * Check if a tag is reserved so that it cannot be registered as a
    * component. This is platform-dependent and may be overwritten.
@@ -5,6 +5,7 @@ import { initUse } from './use'
 import { initMixin } from './mixin'
 import { initExtend } from './extend'
 import { initAssetRegisters } from './assets'
+import { initObservable } from './observable'
 import { set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
@@ -47,6 +48,10 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   Vue.delete = del
   Vue.nextTick = nextTick
 
+  // 定义全局的Vue.observable、Vue.computed、Vue.watch方法，
+  // 用于在组件之外创建响应式数据和观察者
+  initObservable(Vue)
+
   Vue.options = Object.create(null)
   // 注册全局Vue属性对象，包括components、directives、filters
   ASSET_TYPES.forEach(type => {
@@ -0,0 +1,102 @@
+/* @flow */
+
+import Dep from '../observer/dep'
+import Watcher from '../observer/watcher'
+import { observe } from '../observer/index'
+import { warn, noop, extend, isPlainObject } from '../util/index'
+
+export function initObservable (Vue: GlobalAPI) {
+  /**
+   * Make an object reactive. The object itself is mutated and
+   * returned, so it can be used as a shared store or rendered
+   * directly by any component.
+   */
+  Vue.observable = function <T>(obj: T): T {
+    observe(obj)
+    return obj
+  }
+
+  /**
+   * Create a cached computed value outside of any component.
+   * The returned handle exposes the current result as `value`
+   * and releases its dependencies when `stop()` is called.
+   */
+  Vue.computed = function (
+    getterOrOptions: Function | { get: Function, set?: Function }
+  ): Object {
+    let getter, setter
+    if (typeof getterOrOptions === 'function') {
+      getter = getterOrOptions
+    } else {
+      getter = getterOrOptions.get
+      setter = getterOrOptions.set
+    }
+    const watcher = new Watcher(null, getter || noop, noop, { lazy: true })
+    const handle = {}
+    const valueDefinition: Object = {
+      enumerable: true,
+      configurable: true,
+      get () {
+        // a stopped computed keeps its last value instead of
+        // re-collecting dependencies
+        if (watcher.dirty && watcher.active) {
+          watcher.evaluate()
+        }
+        if (Dep.target) {
+          watcher.depend()
+        }
+        return watcher.value
+      },
+      set (value) {
+        if (setter) {
+          setter(value)
+        } else if (process.env.NODE_ENV !== 'production') {
+          warn(`Computed value was assigned to but it has no setter.`)
+        }
+      }
+    }
+    Object.defineProperty(handle, 'value', valueDefinition)
+    handle.stop = function stop () {
+      watcher.teardown()
+    }
+    return handle
+  }
+
+  /**
+   * Watch a getter function or a reactive object outside of any
+   * component. Reactive objects are watched deeply. Returns a
+   * function that stops watching.
+   */
+  Vue.watch = function (
+    source: Function | Object,
+    cb: any,
+    options?: Object
+  ): Function {
+    if (isPlainObject(cb)) {
+      options = cb
+      cb = cb.handler
+    }
+    options = extend({}, options)
+    let getter
+    if (typeof source === 'function') {
+      getter = source
+    } else {
+      getter = () => source
+      if (process.env.NODE_ENV !== 'production' && !(source && source.__ob__)) {
+        warn(
+          `Vue.watch expects a getter function or a reactive object, ` +
+          `got a non-reactive value. Use Vue.observable() to make it reactive.`
+        )
+      }
+      options.deep = true
+    }
+    options.user = true
+    const watcher = new Watcher(null, getter, cb, options)
+    if (options.immediate) {
+      cb(watcher.value)
+    }
+    return function stop () {
+      watcher.teardown()
+    }
+  }
+}
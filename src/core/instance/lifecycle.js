@@ -129,7 +129,11 @@ export function lifecycleMixin (Vue: Class<Component>) {
     vm.__patch__(vm._vnode, null)
     // fire destroyed hook
     callHook(vm, 'destroyed')
-    // turn off all instance listeners.
+    // remove the parent listeners, canceling their pending debounced/throttled
+    // calls, and turn off all instance listeners.
+    if (vm.$options._parentListeners) {
+      updateComponentListeners(vm, {}, vm.$options._parentListeners)
+    }
     vm.$off()
     // remove __vue__ reference
     if (vm.$el) {
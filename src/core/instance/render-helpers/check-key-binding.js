@@ -0,0 +1,203 @@
+/* @flow */
+
+import config from 'core/config'
+import { hyphenate } from 'shared/util'
+import { UA, isIOS } from 'core/util/env'
+import { warn } from 'core/util/debug'
+
+/**
+ * Key bindings, e.g. `ctrl+shift+k`, `mod+s` or `g g`: a sequence of
+ * keystrokes separated by spaces (or commas in templates, where attribute
+ * names can't contain spaces), each made of system modifiers and a key
+ * joined by `+`. Modifiers must match exactly, and `mod` stands for Cmd on
+ * Apple platforms and Ctrl elsewhere.
+ */
+type KeyStroke = {
+  key: string;
+  ctrl: boolean;
+  shift: boolean;
+  alt: boolean;
+  meta: boolean;
+};
+
+type KeyHistory = {
+  strokes: Array<{ event: Object, time: number }>;
+  // whether the last recorded event completed a sequence
+  completed: boolean;
+};
+
+const isApple = isIOS || !!(UA && /macintosh|mac os x/.test(UA))
+
+// max delay between the keystrokes of a sequence
+const sequenceTimeout = 1000
+const maxHistory = 10
+
+// normalized KeyboardEvent.key values of the built-in key aliases
+const keyAliases: { [key: string]: Array<string> } = {
+  // #7880: IE11 and Edge use `Esc` for Escape key name.
+  esc: ['escape', 'esc'],
+  // IE11 uses `Spacebar` for the space key name.
+  space: ['space', 'spacebar'],
+  // #7806: IE11 uses key names without `Arrow` prefix for arrow keys.
+  up: ['arrow-up', 'up'],
+  left: ['arrow-left', 'left'],
+  right: ['arrow-right', 'right'],
+  down: ['arrow-down', 'down'],
+  'delete': ['backspace', 'delete']
+}
+
+const systemKeys = ['control', 'shift', 'alt', 'alt-graph', 'meta', 'os']
+
+// $flow-disable-line
+const parsedBindings: { [binding: string]: Array<KeyStroke> } = Object.create(null)
+// recent keystrokes by event type, to match sequences
+// $flow-disable-line
+const histories: { [type: string]: KeyHistory } = Object.create(null)
+
+/**
+ * Runtime helper for key combinations and sequences used as v-on modifiers
+ * and for the named bindings of config.keyBindings.
+ * exposed as Vue.prototype._a
+ * returns true if the event doesn't match, like _k
+ */
+export function checkKeyBinding (
+  event: Object,
+  binding: string | Array<string>
+): boolean {
+  const bindings = Array.isArray(binding) ? binding : [binding]
+  const strokes = recordEvent(event)
+  for (let i = 0; i < bindings.length; i++) {
+    const sequence = parseBinding(bindings[i])
+    if (matchSequence(sequence, strokes, event)) {
+      if (sequence.length > 1) {
+        histories[event.type].completed = true
+      }
+      return false
+    }
+  }
+  return true
+}
+
+function recordEvent (event: Object): Array<{ event: Object, time: number }> {
+  const history = histories[event.type] || (histories[event.type] = {
+    strokes: [],
+    completed: false
+  })
+  const strokes = history.strokes
+  const last = strokes[strokes.length - 1]
+  // the same event may reach several handlers while bubbling. Pressing a
+  // system key alone is not a keystroke of a sequence.
+  if ((last && last.event === event) || systemKeys.indexOf(normalizeKey(event.key)) > -1) {
+    return strokes
+  }
+  if (history.completed) {
+    strokes.length = 0
+    history.completed = false
+  }
+  strokes.push({ event, time: Date.now() })
+  if (strokes.length > maxHistory) {
+    strokes.shift()
+  }
+  return strokes
+}
+
+function matchSequence (
+  sequence: Array<KeyStroke>,
+  strokes: Array<{ event: Object, time: number }>,
+  event: Object
+): boolean {
+  if (sequence.length === 1) {
+    return matchStroke(sequence[0], event)
+  }
+  const offset = strokes.length - sequence.length
+  if (offset < 0 || strokes[strokes.length - 1].event !== event) {
+    return false
+  }
+  for (let i = 0; i < sequence.length; i++) {
+    const stroke = strokes[offset + i]
+    if (
+      !matchStroke(sequence[i], stroke.event) ||
+      (i > 0 && stroke.time - strokes[offset + i - 1].time > sequenceTimeout)
+    ) {
+      return false
+    }
+  }
+  return true
+}
+
+function matchStroke (stroke: KeyStroke, event: Object): boolean {
+  if (
+    !!event.ctrlKey !== stroke.ctrl ||
+    !!event.altKey !== stroke.alt ||
+    !!event.metaKey !== stroke.meta
+  ) {
+    return false
+  }
+  // characters typed with shift, e.g. `?`, match regardless of the shift key
+  if (
+    !!event.shiftKey !== stroke.shift &&
+    (stroke.shift || /^[a-z0-9]?$/.test(stroke.key) || stroke.key.length > 1)
+  ) {
+    return false
+  }
+  return matchKey(stroke.key, event)
+}
+
+function matchKey (key: string, event: Object): boolean {
+  const mappedKeyCode = config.keyCodes[key]
+  if (mappedKeyCode) {
+    return Array.isArray(mappedKeyCode)
+      ? mappedKeyCode.indexOf(event.keyCode) > -1
+      : mappedKeyCode === event.keyCode
+  }
+  const name = normalizeKey(event.key)
+  const aliases = keyAliases[key]
+  if (aliases ? aliases.indexOf(name) > -1 : name === key) {
+    return true
+  }
+  // fall back to the physical key for letters and digits, when the typed
+  // character is changed by alt or by a non-latin keyboard layout
+  const code = event.code
+  return (
+    !/^[a-z0-9]$/.test(name) &&
+    typeof code === 'string' &&
+    /^(Key[A-Z]|Digit\d)$/.test(code) &&
+    code.charAt(code.length - 1).toLowerCase() === key
+  )
+}
+
+function normalizeKey (key: ?string): string {
+  if (!key) return ''
+  return key === ' ' ? 'space' : hyphenate(key)
+}
+
+function parseBinding (binding: string): Array<KeyStroke> {
+  const cached = parsedBindings[binding]
+  if (cached) return cached
+  const sequence = binding.trim().toLowerCase().split(/[\s,]+/).map(parseStroke)
+  return (parsedBindings[binding] = sequence)
+}
+
+function parseStroke (str: string): KeyStroke {
+  const parts = str.split('+')
+  let key = parts.pop()
+  // the plus key itself, e.g. `ctrl++`
+  if (!key && parts.length) {
+    parts.pop()
+    key = '+'
+  }
+  const stroke = { key, ctrl: false, shift: false, alt: false, meta: false }
+  parts.forEach(modifier => {
+    if (modifier === 'mod') {
+      modifier = isApple ? 'meta' : 'ctrl'
+    }
+    if (modifier === 'ctrl') stroke.ctrl = true
+    else if (modifier === 'shift') stroke.shift = true
+    else if (modifier === 'alt') stroke.alt = true
+    else if (modifier === 'meta') stroke.meta = true
+    else if (process.env.NODE_ENV !== 'production') {
+      warn(`Unknown modifier "${modifier}" in key binding "${str}".`)
+    }
+  })
+  return stroke
+}
@@ -2,6 +2,7 @@
 
 import config from 'core/config'
 import { hyphenate } from 'shared/util'
+import { checkKeyBinding } from './check-key-binding'
 
 function isKeyNotMatch<T> (expect: T | Array<T>, actual: T): boolean {
   if (Array.isArray(expect)) {
@@ -15,14 +16,21 @@ function isKeyNotMatch<T> (expect: T | Array<T>, actual: T): boolean {
  * Runtime helper for checking keyCodes from config.
  * exposed as Vue.prototype._k
  * passing in eventKeyName as last argument separately for backwards compat
+ * the event is passed for keys that are not built-in aliases, which may
+ * be named bindings from config.keyBindings
  */
 export function checkKeyCodes (
   eventKeyCode: number,
   key: string,
   builtInKeyCode?: number | Array<number>,
   eventKeyName?: string,
-  builtInKeyName?: string | Array<string>
+  builtInKeyName?: string | Array<string>,
+  event?: Object
 ): ?boolean {
+  const binding = config.keyBindings[key]
+  if (binding && event) {
+    return checkKeyBinding(event, binding)
+  }
   const mappedKeyCode = config.keyCodes[key] || builtInKeyCode
   if (builtInKeyName && eventKeyName && !config.keyCodes[key]) {
     return isKeyNotMatch(builtInKeyName, eventKeyName)
@@ -0,0 +1,25 @@
+/* @flow */
+
+// helper to mark handlers compiled with the .debounce and .throttle
+// modifiers. For example, the following template:
+//
+// <input @input.debounce.500ms="search">
+//
+// compiles to the following:
+//
+// _c('input', { on: { "input": rateLimit(function ($event) {
+//   return function () { return search($event) }
+// }, "debounce", 500) } })
+//
+// The handler applies the other modifiers and returns the function to
+// debounce, or null when the event is filtered out. The timers are kept by
+// the listener invoker, so that they survive re-renders.
+
+export function rateLimit (
+  fn: Function,
+  type: 'debounce' | 'throttle',
+  wait: number
+): Function {
+  (fn: any)._rateLimit = { type, wait }
+  return fn
+}
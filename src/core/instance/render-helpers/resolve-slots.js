@@ -55,10 +55,15 @@ export function resolveScopedSlots (
 ): { [key: string]: Function } {
   res = res || {}
   for (let i = 0; i < fns.length; i++) {
-    if (Array.isArray(fns[i])) {
-      resolveScopedSlots(fns[i], res)
-    } else {
-      res[fns[i].key] = fns[i].fn
+    const slot = fns[i]
+    if (Array.isArray(slot)) {
+      resolveScopedSlots(slot, res)
+    } else if (slot) {
+      // marker for reverse proxying v-slot without scope on this.$slots
+      if (slot.proxy) {
+        slot.fn.proxy = true
+      }
+      res[slot.key] = slot.fn
     }
   }
   return res
@@ -0,0 +1,12 @@
+/* @flow */
+
+// render helpers that don't depend on the rendering instance. Templates
+// compiled to ES modules import them from the ES module builds instead of
+// looking them up on the instance (see src/compiler/to-module.js)
+
+export { toNumber, toString, looseEqual, looseIndexOf } from 'shared/util'
+export { createTextVNode, createEmptyVNode } from 'core/vdom/vnode'
+export { renderList } from './render-list'
+export { checkKeyCodes } from './check-keycodes'
+export { resolveScopedSlots } from './resolve-slots'
+export { prependModifier } from './bind-dynamic-keys'
@@ -2,6 +2,7 @@
 
 import {
   warn,
+  isDef,
   nextTick,
   emptyObject,
   handleError,
@@ -11,7 +12,9 @@ import {
 import { createElement } from '../vdom/create-element'
 import { installRenderHelpers } from './render-helpers/index'
 import { resolveSlots } from './render-helpers/resolve-slots'
-import VNode, { createEmptyVNode } from '../vdom/vnode'
+import { normalizeScopedSlots } from '../vdom/helpers/normalize-scoped-slots'
+import { normalizeChildren } from '../vdom/helpers/normalize-children'
+import VNode, { createEmptyVNode, createFragmentVNode } from '../vdom/vnode'
 
 import { isUpdatingChildComponent } from './lifecycle'
 
@@ -69,18 +72,21 @@ export function renderMixin (Vue: Class<Component>) {
     // 从$options获取到的渲染函数render，因此页面渲染还是要依靠render
     const { render, _parentVnode } = vm.$options
 
+    if (_parentVnode) {
+      vm.$scopedSlots = normalizeScopedSlots(_parentVnode.data.scopedSlots, vm.$slots)
+    }
+
     // reset _rendered flag on slots for duplicate slot check
     if (process.env.NODE_ENV !== 'production') {
       for (const key in vm.$slots) {
-        // $flow-disable-line
-        vm.$slots[key]._rendered = false
+        // slots proxied from v-slot are rendered on access
+        if (!(vm.$scopedSlots[key] && vm.$scopedSlots[key].proxy)) {
+          // $flow-disable-line
+          vm.$slots[key]._rendered = false
+        }
       }
     }
 
-    if (_parentVnode) {
-      vm.$scopedSlots = _parentVnode.data.scopedSlots || emptyObject
-    }
-
     // set parent vnode. this allows render functions to have access
     // to the data on the placeholder node.
     vm.$vnode = _parentVnode
@@ -115,19 +121,22 @@ export function renderMixin (Vue: Class<Component>) {
         vnode = vm._vnode
       }
     }
+    // multiple root nodes are rendered as a fragment. If the returned array
+    // contains only a single node, allow it (e.g. the result of a scoped slot)
+    if (Array.isArray(vnode)) {
+      const children = normalizeChildren(vnode) || []
+      if (children.length > 1) {
+        vnode = createFragmentVNode(children)
+        if (process.env.NODE_ENV !== 'production' && _parentVnode && !vm._vnode) {
+          checkFragmentAttrs(vm, _parentVnode)
+        }
+      } else {
+        vnode = children[0]
+      }
+    }
     // return empty vnode in case the render function errored out
     // 如果render函数返回对象的类型不是VNode
     if (!(vnode instanceof VNode)) {
-      // 如果当前处于生产环境，并且vnode对象是一个数组，
-      // 这就表示在模板中定义了多个根节点，此时就会返回vnode数组，
-      // 正如下面给出的警告提示
-      if (process.env.NODE_ENV !== 'production' && Array.isArray(vnode)) {
-        warn(
-          'Multiple root nodes returned from render function. Render function ' +
-          'should return a single root node.',
-          vm
-        )
-      }
       vnode = createEmptyVNode()
     }
     // set parent
@@ -135,3 +144,33 @@ export function renderMixin (Vue: Class<Component>) {
     return vnode
   }
 }
+
+// attributes, class and style bound to a component are applied to its root
+// element, which a fragment doesn't have. Attributes can be bound explicitly
+// with v-bind="$attrs", but class and style are not part of $attrs.
+function checkFragmentAttrs (vm: Component, parentVnode: VNode) {
+  const data = parentVnode.data
+  if (!data) return
+  if (data.attrs && vm.$options.inheritAttrs !== false) {
+    const names = Object.keys(data.attrs)
+    if (names.length) {
+      warn(
+        `Attributes (${names.join(', ')}) can't be inherited by a component ` +
+        `rendering multiple root nodes. Bind $attrs to one of them with ` +
+        `v-bind="$attrs" and set inheritAttrs: false.`,
+        vm
+      )
+    }
+  }
+  const bindings = []
+  if (isDef(data.staticClass) || isDef(data.class)) bindings.push('class')
+  if (isDef(data.staticStyle) || isDef(data.style)) bindings.push('style')
+  if (bindings.length) {
+    warn(
+      `Bindings (${bindings.join(', ')}) can't be applied to a component ` +
+      `rendering multiple root nodes, nor passed with $attrs. Bind them ` +
+      `via a prop on one of the root nodes instead.`,
+      vm
+    )
+  }
+}
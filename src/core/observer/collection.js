@@ -0,0 +1,168 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map/Set prototypes
+ */
+
+import { def, hasSymbol } from '../util/index'
+
+export const mapMethods = createCollectionMethods(
+  typeof Map !== 'undefined' && Map.prototype, true, true
+)
+export const setMethods = createCollectionMethods(
+  typeof Set !== 'undefined' && Set.prototype, false, true
+)
+export const weakMapMethods = createCollectionMethods(
+  typeof WeakMap !== 'undefined' && WeakMap.prototype, true, false
+)
+export const weakSetMethods = createCollectionMethods(
+  typeof WeakSet !== 'undefined' && WeakSet.prototype, false, false
+)
+
+/**
+ * Get the augmented prototype matching a Map, Set,
+ * WeakMap or WeakSet value.
+ */
+export function getCollectionMethods (value) {
+  if (typeof Map !== 'undefined' && value instanceof Map) return mapMethods
+  if (typeof Set !== 'undefined' && value instanceof Set) return setMethods
+  if (typeof WeakMap !== 'undefined' && value instanceof WeakMap) return weakMapMethods
+  if (typeof WeakSet !== 'undefined' && value instanceof WeakSet) return weakSetMethods
+}
+
+/**
+ * Get the own keys (including symbols) of an augmented prototype,
+ * used when the prototype chain cannot be replaced.
+ */
+export function getCollectionKeys (methods) {
+  const keys = Object.getOwnPropertyNames(methods)
+  return hasSymbol
+    ? keys.concat(Object.getOwnPropertySymbols(methods))
+    : keys
+}
+
+/**
+ * Collect a dependency on a value read out of a collection,
+ * since nested Arrays cannot intercept element access themselves.
+ */
+function dependValue (value) {
+  if (value && value.__ob__) {
+    value.__ob__.dep.depend()
+  }
+}
+
+function hasChanged (newVal, value) {
+  /* eslint-disable no-self-compare */
+  return !(newVal === value || (newVal !== newVal && value !== value))
+  /* eslint-enable no-self-compare */
+}
+
+function createCollectionMethods (proto, isMap, isIterable) {
+  if (!proto) return
+  const methods = Object.create(proto)
+  const original = {}
+  Object.getOwnPropertyNames(proto).forEach(key => {
+    const desc = Object.getOwnPropertyDescriptor(proto, key)
+    original[key] = desc.get || desc.value
+  })
+
+  /**
+   * Intercept read methods and collect dependencies
+   */
+  def(methods, 'has', function has (key) {
+    this.__ob__.dep.depend()
+    return original.has.call(this, key)
+  })
+
+  if (isMap) {
+    def(methods, 'get', function get (key) {
+      this.__ob__.dep.depend()
+      const value = original.get.call(this, key)
+      dependValue(value)
+      return value
+    })
+  }
+
+  if (isIterable) {
+    Object.defineProperty(methods, 'size', {
+      enumerable: false,
+      configurable: true,
+      get: function size () {
+        this.__ob__.dep.depend()
+        return original.size.call(this)
+      }
+    })
+
+    def(methods, 'forEach', function forEach (cb, thisArg) {
+      this.__ob__.dep.depend()
+      return original.forEach.call(this, (value, key) => {
+        dependValue(value)
+        cb.call(thisArg, value, key, this)
+      })
+    })
+
+    const iterators = ['keys', 'values', 'entries']
+    iterators.forEach(method => {
+      def(methods, method, function iterate () {
+        this.__ob__.dep.depend()
+        original.forEach.call(this, dependValue)
+        return original[method].call(this)
+      })
+    })
+
+    if (hasSymbol) {
+      const iterate = isMap ? methods.entries : methods.values
+      def(methods, Symbol.iterator, function () {
+        return iterate.call(this)
+      })
+    }
+  }
+
+  /**
+   * Intercept mutating methods and emit events
+   */
+  if (isMap) {
+    def(methods, 'set', function set (key, value) {
+      const ob = this.__ob__
+      const hadKey = original.has.call(this, key)
+      const oldValue = original.get.call(this, key)
+      original.set.call(this, key, value)
+      if (!hadKey || hasChanged(value, oldValue)) {
+        ob.observeArray([value])
+        ob.dep.notify()
+      }
+      return this
+    })
+  } else {
+    def(methods, 'add', function add (value) {
+      const ob = this.__ob__
+      const hadValue = original.has.call(this, value)
+      original.add.call(this, value)
+      if (!hadValue) {
+        ob.observeArray([value])
+        ob.dep.notify()
+      }
+      return this
+    })
+  }
+
+  def(methods, 'delete', function del (key) {
+    const result = original.delete.call(this, key)
+    if (result) {
+      this.__ob__.dep.notify()
+    }
+    return result
+  })
+
+  if (isIterable) {
+    def(methods, 'clear', function clear () {
+      const hadItems = original.size.call(this) !== 0
+      const result = original.clear.call(this)
+      if (hadItems) {
+        this.__ob__.dep.notify()
+      }
+      return result
+    })
+  }
+
+  return methods
+}
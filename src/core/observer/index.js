@@ -3,6 +3,7 @@
 import Dep from './dep'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { getCollectionMethods, getCollectionKeys } from './collection'
 import {
   def,
   warn,
@@ -10,6 +11,7 @@ import {
   hasProto,
   isObject,
   isPlainObject,
+  isCollection,
   isPrimitive,
   isUndef,
   isValidArrayIndex,
@@ -51,6 +53,14 @@ export class Observer {
         copyAugment(value, arrayMethods, arrayKeys)
       }
       this.observeArray(value)
+    } else if (isCollection(value)) {
+      const collectionMethods = getCollectionMethods(value)
+      if (hasProto) {
+        protoAugment(value, collectionMethods)
+      } else {
+        copyAugment(value, collectionMethods, getCollectionKeys(collectionMethods))
+      }
+      this.observeCollection(value)
     } else {
       this.walk(value)
     }
@@ -76,6 +86,18 @@ export class Observer {
       observe(items[i])
     }
   }
+
+  /**
+   * Observe the values held by a Map or Set. Weak collections
+   * cannot be enumerated, so only values added later are observed.
+   */
+  observeCollection (collection: any) {
+    if (typeof collection.forEach === 'function') {
+      collection.forEach(value => {
+        observe(value)
+      })
+    }
+  }
 }
 
 // helpers
@@ -95,10 +117,11 @@ function protoAugment (target, src: Object) {
  * hidden properties.
  */
 /* istanbul ignore next */
-function copyAugment (target: Object, src: Object, keys: Array<string>) {
+function copyAugment (target: Object, src: Object, keys: Array<any>) {
   for (let i = 0, l = keys.length; i < l; i++) {
     const key = keys[i]
-    def(target, key, src[key])
+    // copy descriptors so accessors such as Map's size are preserved
+    Object.defineProperty(target, key, (Object.getOwnPropertyDescriptor(src, key): any))
   }
 }
 
@@ -117,7 +140,7 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   } else if (
     shouldObserve && // 只有全局开关shouldObserve为true才能对数据对象进行深度观测
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isPlainObject(value) || isCollection(value)) &&
     Object.isExtensible(value) &&
     !value._isVue
   ) {
@@ -212,6 +235,14 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     target.splice(key, 1, val)
     return val
   }
+  if (isCollection(target)) {
+    if (typeof (target: any).set === 'function') {
+      (target: any).set(key, val)
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(`Cannot set a keyed value on a Set, use add() instead.`)
+    }
+    return val
+  }
   if (key in target && !(key in Object.prototype)) {
     target[key] = val
     return val
@@ -251,6 +282,10 @@ export function del (target: Array<any> | Object, key: any) {
     target.splice(key, 1)
     return
   }
+  if (isCollection(target)) {
+    (target: any).delete(key)
+    return
+  }
   const ob = (target: any).__ob__
   if (target._isVue || (ob && ob.vmCount)) {
     process.env.NODE_ENV !== 'production' && warn(
@@ -1,6 +1,6 @@
 /* @flow */
 
-import { _Set as Set, isObject } from '../util/index'
+import { _Set as Set, isObject, isCollection } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
 
@@ -51,6 +51,12 @@ function _traverse (val: any, seen: SimpleSet) {
     i = val.length
     // 这里val[i]就是触发子属性的get拦截器，进而收集到这个属性的观察者
     while (i--) _traverse(val[i], seen)
+  } else if (isCollection(val)) {
+    // Map/Set values are read through the intercepted forEach so that the
+    // collection itself is collected as a dependency as well
+    if (typeof val.forEach === 'function') {
+      val.forEach(value => _traverse(value, seen))
+    }
   // 如果是对象s
   } else {
     keys = Object.keys(val)
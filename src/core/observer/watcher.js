@@ -25,7 +25,7 @@ let uid = 0
  */
 // 通过对被观测目标的求值(expOrFn)，触发数据属性的get拦截器函数从而收集依赖
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
@@ -44,17 +44,19 @@ export default class Watcher {
   value: any;
 
   constructor (
-    vm: Component, // 组件实例对象
+    vm: ?Component, // 组件实例对象，独立于组件的观察者（Vue.computed/Vue.watch）为null
     expOrFn: string | Function, // 待观察的表达式
     cb: Function, // 当被观察的表达式的值变化时的回调函数
     options?: ?Object, // 选项
     isRenderWatcher?: boolean // 当前观察者实例是否是渲染函数的观察者，只有在mountComponent中这个参数才是true
   ) {
     this.vm = vm
-    if (isRenderWatcher) {
-      vm._watcher = this
+    if (vm) {
+      if (isRenderWatcher) {
+        vm._watcher = this
+      }
+      vm._watchers.push(this) // 组件的观察者可能有多个，包括渲染函数的观察者和非渲染函数的观察者
     }
-    vm._watchers.push(this) // 组件的观察者可能有多个，包括渲染函数的观察者和非渲染函数的观察者
     // options
     if (options) {
       // 是否是深度观测，也就是通过watch属性，
@@ -306,8 +308,9 @@ export default class Watcher {
       // 判断当前组件是否被销毁
       // 如果没有被销毁，则把当前监听器，从组件的监听器列表中删除
       // 由于这个操作的开销比较大，因此只有在当前组件被销毁的情况下才执行这个操作
-      if (!this.vm._isBeingDestroyed) {
-        remove(this.vm._watchers, this)
+      const vm = this.vm
+      if (vm && !vm._isBeingDestroyed) {
+        remove(vm._watchers, this)
       }
       // 由于当前watcher不再使用了，
       // 因此将当前watcher从与这个watcher相关联的Dep中全部删除
@@ -5,6 +5,7 @@ import { createElement } from './create-element'
 import { resolveInject } from '../instance/inject'
 import { normalizeChildren } from '../vdom/helpers/normalize-children'
 import { resolveSlots } from '../instance/render-helpers/resolve-slots'
+import { normalizeScopedSlots } from '../vdom/helpers/normalize-scoped-slots'
 import { installRenderHelpers } from '../instance/render-helpers/index'
 
 import {
@@ -48,15 +49,20 @@ export function FunctionalRenderContext (
   this.parent = parent
   this.listeners = data.on || emptyObject
   this.injections = resolveInject(options.inject, parent)
-  this.slots = () => resolveSlots(children, parent)
+  this.slots = () => {
+    const slots = resolveSlots(children, parent)
+    // expose v-slot content without slot props as normal slots
+    normalizeScopedSlots(data.scopedSlots, slots)
+    return slots
+  }
 
   // support for compiled functional template
   if (isCompiled) {
     // exposing $options for renderStatic()
     this.$options = options
     // pre-resolve slots for renderSlot()
-    this.$slots = this.slots()
-    this.$scopedSlots = data.scopedSlots || emptyObject
+    this.$slots = resolveSlots(children, parent)
+    this.$scopedSlots = normalizeScopedSlots(data.scopedSlots, this.$slots)
   }
 
   if (options._scopeId) {
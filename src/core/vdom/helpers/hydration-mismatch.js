@@ -0,0 +1,176 @@
+/* @flow */
+
+import { isDef, isUndef, generateComponentTrace } from 'core/util/index'
+
+export type HydrationMismatchType = 'node' | 'children' | 'innerHTML' | 'textContent';
+
+type NodeDescription = {
+  tag: ?string;
+  text: ?string;
+  attrs: ?{ [key: string]: string };
+  class: ?string;
+  style: ?string;
+  children: ?number;
+};
+
+export type HydrationMismatchReport = {
+  type: HydrationMismatchType;
+  path: string;
+  expected: NodeDescription;
+  actual: NodeDescription;
+  trace: string;
+  vm: ?Component;
+};
+
+/**
+ * Build a structured description of a hydration mismatch: where it happened
+ * in the server-rendered DOM, what the client-side VNode expected and what
+ * was actually found.
+ * Note: this is a browser-only function so we can assume nodes are DOM nodes.
+ */
+export function createHydrationMismatchReport (
+  type: HydrationMismatchType,
+  node: ?Node,
+  vnode: VNode,
+  parentElm?: ?Node
+): HydrationMismatchReport {
+  const vm = vnode.context
+  return {
+    type,
+    path: getDOMPath(node || parentElm),
+    expected: describeVNode(vnode),
+    actual: describeNode(node),
+    trace: vm ? generateComponentTrace(vm) : '',
+    vm
+  }
+}
+
+export function formatHydrationMismatch (report: HydrationMismatchReport): string {
+  const { type, path, expected, actual } = report
+  let msg = `Hydration ${type} mismatch at "${path}":\n` +
+    `  - expected (client): ${formatDescription(expected)}\n` +
+    `  - actual (server):   ${formatDescription(actual)}`
+  if (type === 'children') {
+    msg += `\n  - child nodes: expected ${String(expected.children)}, ` +
+      `got ${String(actual.children)}`
+  }
+  return msg
+}
+
+function describeVNode (vnode: VNode): NodeDescription {
+  const data = vnode.data
+  return {
+    tag: vnode.tag,
+    text: isUndef(vnode.tag) ? vnode.text : undefined,
+    attrs: isDef(data) && isDef(data.attrs) ? stringifyAttrs(data.attrs) : undefined,
+    class: isDef(data) ? describeBinding(data.staticClass, data.class) : undefined,
+    style: isDef(data) ? describeBinding(data.staticStyle, data.style) : undefined,
+    children: isDef(vnode.children) ? vnode.children.length : undefined
+  }
+}
+
+function describeNode (node: ?Node): NodeDescription {
+  if (!node) {
+    return { tag: undefined, text: undefined, attrs: undefined, class: undefined, style: undefined, children: undefined }
+  }
+  if (node.nodeType !== 1) {
+    return {
+      tag: undefined,
+      text: node.nodeType === 8 ? `<!--${String(node.nodeValue)}-->` : node.nodeValue,
+      attrs: undefined,
+      class: undefined,
+      style: undefined,
+      children: undefined
+    }
+  }
+  const el: any = node
+  const attrs = {}
+  let hasAttrs = false
+  for (let i = 0; i < el.attributes.length; i++) {
+    const { name, value } = el.attributes[i]
+    if (name !== 'class' && name !== 'style') {
+      attrs[name] = value
+      hasAttrs = true
+    }
+  }
+  return {
+    tag: el.tagName.toLowerCase(),
+    text: undefined,
+    attrs: hasAttrs ? attrs : undefined,
+    class: el.hasAttribute('class') ? el.getAttribute('class') : undefined,
+    style: el.hasAttribute('style') ? el.getAttribute('style') : undefined,
+    children: el.childNodes.length
+  }
+}
+
+function formatDescription (desc: NodeDescription): string {
+  if (isUndef(desc.tag)) {
+    return isDef(desc.text) ? JSON.stringify(desc.text) : '(none)'
+  }
+  let res = `<${String(desc.tag)}`
+  const attrs = desc.attrs
+  if (attrs) {
+    for (const key in attrs) {
+      res += ` ${key}="${attrs[key]}"`
+    }
+  }
+  if (isDef(desc.class)) res += ` class="${String(desc.class)}"`
+  if (isDef(desc.style)) res += ` style="${String(desc.style)}"`
+  return res + '>'
+}
+
+function stringifyAttrs (attrs: Object): { [key: string]: string } {
+  const res = {}
+  for (const key in attrs) {
+    const value = attrs[key]
+    if (value != null && value !== false) {
+      res[key] = value === true ? '' : String(value)
+    }
+  }
+  return res
+}
+
+// class and style are described from their raw bindings: how they are
+// rendered is up to the platform
+function describeBinding (staticValue: any, value: any): ?string {
+  const parts = []
+  if (isDef(staticValue)) parts.push(stringifyBinding(staticValue))
+  if (isDef(value)) parts.push(stringifyBinding(value))
+  return parts.length ? parts.join(' ') : undefined
+}
+
+function stringifyBinding (value: any): string {
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+/**
+ * Generate a CSS-selector-like path from the document body to a node,
+ * e.g. div#app > ul > li:nth-child(2) > #text[0]
+ */
+function getDOMPath (node: ?Node): string {
+  const segments = []
+  while (node && node.nodeType !== 9 && node.nodeName !== 'BODY') {
+    const parent = node.parentNode
+    let segment
+    if (node.nodeType === 1) {
+      const el: any = node
+      segment = el.tagName.toLowerCase()
+      if (el.id) {
+        segment += `#${el.id}`
+      } else if (parent) {
+        const index = Array.prototype.filter
+          .call(parent.childNodes, n => n.nodeType === 1)
+          .indexOf(node)
+        segment += `:nth-child(${index + 1})`
+      }
+    } else {
+      segment = node.nodeType === 3 ? '#text' : '#comment'
+      if (parent) {
+        segment += `[${Array.prototype.indexOf.call(parent.childNodes, node)}]`
+      }
+    }
+    segments.unshift(segment)
+    node = parent
+  }
+  return segments.join(' > ')
+}
@@ -0,0 +1,56 @@
+/* @flow */
+
+import { emptyObject } from 'core/util/index'
+import { normalizeChildren } from './normalize-children'
+import { isAsyncPlaceholder } from './is-async-placeholder'
+
+/**
+ * Wrap the scoped slot functions passed down by the parent so that they
+ * always return normalized children (or undefined when the slot rendered
+ * nothing, so that the fallback content is used). Slots declared with
+ * v-slot but without slot props are also exposed on `normalSlots`, as
+ * render functions would look them up on `this.$slots`.
+ */
+export function normalizeScopedSlots (
+  slots: ?{ [key: string]: Function },
+  normalSlots: Object
+): { [key: string]: Function } {
+  if (!slots) {
+    return emptyObject
+  }
+  const res = {}
+  for (const key in slots) {
+    if (slots[key]) {
+      res[key] = normalizeScopedSlot(normalSlots, key, slots[key])
+    }
+  }
+  return res
+}
+
+function normalizeScopedSlot (
+  normalSlots: Object,
+  key: string,
+  fn: Function
+): Function {
+  const normalized = function () {
+    const value = arguments.length ? fn.apply(null, arguments) : fn({})
+    const res: ?Array<VNode> = value && typeof value === 'object' && !Array.isArray(value)
+      ? [value] // single vnode
+      : normalizeChildren(value)
+    const vnode = res && res[0]
+    return res && (!vnode || (
+      res.length === 1 && vnode.isComment && !isAsyncPlaceholder(vnode)
+    )) ? undefined : res
+  }
+  // v-slot without slot props is reverse proxied on this.$slots, the slot
+  // is rendered when accessed so that it tracks the child's dependencies
+  if (fn.proxy) {
+    normalized.proxy = true
+    Object.defineProperty(normalSlots, key, {
+      get: normalized,
+      enumerable: true,
+      configurable: true
+    })
+  }
+  return normalized
+}
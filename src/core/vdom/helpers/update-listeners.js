@@ -25,23 +25,91 @@ const normalizeEvent = cached((name: string): {
   }
 })
 
+type RateLimiter = {
+  type: 'debounce' | 'throttle';
+  wait: number;
+  timer: any;
+  last: number;
+  run: Function;
+};
+
 export function createFnInvoker (fns: Function | Array<Function>): Function {
   function invoker () {
     const fns = invoker.fns
     if (Array.isArray(fns)) {
       const cloned = fns.slice()
       for (let i = 0; i < cloned.length; i++) {
-        cloned[i].apply(null, arguments)
+        invokeHandler(invoker, i, cloned[i], arguments)
       }
     } else {
       // return handler return value for single handlers
-      return fns.apply(null, arguments)
+      return invokeHandler(invoker, 0, fns, arguments)
     }
   }
   invoker.fns = fns
   return invoker
 }
 
+function invokeHandler (invoker: Function, index: number, fn: Function, args: any): any {
+  const rateLimit = (fn: any)._rateLimit
+  if (!rateLimit) {
+    return fn.apply(null, args)
+  }
+  const run = fn.apply(null, args)
+  // filtered out by key guards or .self
+  if (run === null) {
+    return null
+  }
+  // limiters are kept on the invoker, which is reused across re-renders,
+  // while the handlers are created on every render
+  const limiters = invoker.limiters || (invoker.limiters = [])
+  let limiter: ?RateLimiter = limiters[index]
+  if (!limiter || limiter.type !== rateLimit.type || limiter.wait !== rateLimit.wait) {
+    if (limiter) clearTimeout(limiter.timer)
+    limiter = limiters[index] = {
+      type: rateLimit.type,
+      wait: rateLimit.wait,
+      timer: null,
+      last: 0,
+      run
+    }
+  }
+  const current = limiter
+  // always call the handler of the latest event and render
+  current.run = run
+  if (current.type === 'debounce') {
+    clearTimeout(current.timer)
+    current.timer = setTimeout(() => flushLimiter(current), current.wait)
+  } else if (!current.timer) {
+    const remaining = current.wait - (Date.now() - current.last)
+    if (remaining <= 0) {
+      flushLimiter(current)
+    } else {
+      current.timer = setTimeout(() => flushLimiter(current), remaining)
+    }
+  }
+}
+
+function flushLimiter (limiter: RateLimiter) {
+  limiter.timer = null
+  limiter.last = Date.now()
+  limiter.run()
+}
+
+/**
+ * Cancel the pending calls of debounced/throttled handlers of a removed
+ * listener.
+ */
+export function cancelRateLimits (invoker: any) {
+  const limiters = invoker && invoker.limiters
+  if (limiters) {
+    for (let i = 0; i < limiters.length; i++) {
+      if (limiters[i]) clearTimeout(limiters[i].timer)
+    }
+    invoker.limiters = null
+  }
+}
+
 export function updateListeners (
   on: Object,
   oldOn: Object,
@@ -78,6 +146,7 @@ export function updateListeners (
     if (isUndef(on[name])) {
       event = normalizeEvent(name)
       remove(event.name, oldOn[name], event.capture)
+      cancelRateLimits(oldOn[name])
     }
   }
 }
@@ -17,6 +17,10 @@ import { registerRef } from './modules/ref'
 import { traverse } from '../observer/traverse'
 import { activeInstance } from '../instance/lifecycle'
 import { isTextInputType } from 'web/util/element'
+import {
+  createHydrationMismatchReport,
+  formatHydrationMismatch
+} from './helpers/hydration-mismatch'
 
 import {
   warn,
@@ -44,6 +48,7 @@ function sameVnode (a, b) {
       (
         a.tag === b.tag &&
         a.isComment === b.isComment &&
+        a.isFragment === b.isFragment &&
         isDef(a.data) === isDef(b.data) &&
         !childrenIgnored(a) && !childrenIgnored(b) &&
         sameInputType(a, b)
@@ -98,10 +103,15 @@ export function createPatchFunction (backend) {
     return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm)
   }
 
-  function createRmCb (childElm, listeners) {
+  function createRmCb (vnode, listeners) {
+    // a component may render several nodes, collect them before its
+    // tree is destroyed
+    const nodes = collectNodes(vnode, [])
     function remove () {
       if (--remove.listeners === 0) {
-        removeNode(childElm)
+        for (let i = 0; i < nodes.length; i++) {
+          removeNode(nodes[i])
+        }
       }
     }
     remove.listeners = listeners
@@ -220,6 +230,16 @@ export function createPatchFunction (backend) {
       if (process.env.NODE_ENV !== 'production' && data && data.pre) {
         creatingElmInVPre--
       }
+    } else if (isTrue(vnode.isFragment)) {
+      vnode.elm = nodeOps.createComment('[')
+      vnode.anchor = nodeOps.createComment(']')
+      insert(parentElm, vnode.elm, refElm)
+      // without a parent element yet, the nodes of the fragment are
+      // collected when it is inserted
+      for (let i = 0; i < children.length; ++i) {
+        createElm(children[i], insertedVnodeQueue, parentElm, refElm, true, children, i)
+      }
+      insert(parentElm, vnode.anchor, refElm)
     } else if (isTrue(vnode.isComment)) {
       vnode.elm = nodeOps.createComment(vnode.text)
       insert(parentElm, vnode.elm, refElm)
@@ -242,7 +262,7 @@ export function createPatchFunction (backend) {
       // in that case we can just return the element and be done.
       if (isDef(vnode.componentInstance)) {
         initComponent(vnode, insertedVnodeQueue)
-        insert(parentElm, vnode.elm, refElm)
+        insertVnode(parentElm, vnode, refElm)
         if (isTrue(isReactivated)) {
           reactivateComponent(vnode, insertedVnodeQueue, parentElm, refElm)
         }
@@ -288,7 +308,7 @@ export function createPatchFunction (backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
   }
 
   function insert (parent, elm, ref) {
@@ -303,6 +323,53 @@ export function createPatchFunction (backend) {
     }
   }
 
+  // the vnode rendering the DOM nodes of a component placeholder
+  function rootVnodeOf (vnode) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return vnode
+  }
+
+  // DOM nodes of a vnode in document order: a component rendering a
+  // fragment spans from its start anchor to its end anchor.
+  function collectNodes (vnode, nodes) {
+    vnode = rootVnodeOf(vnode)
+    if (isTrue(vnode.isFragment)) {
+      nodes.push(vnode.elm)
+      for (let i = 0; i < vnode.children.length; ++i) {
+        collectNodes(vnode.children[i], nodes)
+      }
+      nodes.push(vnode.anchor)
+    } else {
+      nodes.push(vnode.elm)
+    }
+    return nodes
+  }
+
+  function lastNodeOf (vnode) {
+    vnode = rootVnodeOf(vnode)
+    return isTrue(vnode.isFragment) ? vnode.anchor : vnode.elm
+  }
+
+  function insertVnode (parent, vnode, ref) {
+    if (isTrue(rootVnodeOf(vnode).isFragment)) {
+      const nodes = collectNodes(vnode, [])
+      for (let i = 0; i < nodes.length; ++i) {
+        insert(parent, nodes[i], ref)
+      }
+    } else {
+      insert(parent, vnode.elm, ref)
+    }
+  }
+
+  function moveVnode (parent, vnode, ref) {
+    const nodes = collectNodes(vnode, [])
+    for (let i = 0; i < nodes.length; ++i) {
+      nodeOps.insertBefore(parent, nodes[i], ref)
+    }
+  }
+
   function createChildren (vnode, children, insertedVnodeQueue) {
     if (Array.isArray(children)) {
       if (process.env.NODE_ENV !== 'production') {
@@ -387,6 +454,10 @@ export function createPatchFunction (backend) {
         if (isDef(ch.tag)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
+        } else if (isTrue(ch.isFragment)) {
+          removeVnodes(parentElm, ch.children, 0, ch.children.length - 1)
+          removeNode(ch.elm)
+          removeNode(ch.anchor)
         } else { // Text node
           removeNode(ch.elm)
         }
@@ -404,7 +475,7 @@ export function createPatchFunction (backend) {
         rm.listeners += listeners
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners)
+        rm = createRmCb(vnode, listeners)
       }
       // recursively invoke hooks on child component root node
       if (isDef(i = vnode.componentInstance) && isDef(i = i._vnode) && isDef(i.data)) {
@@ -423,7 +494,9 @@ export function createPatchFunction (backend) {
     }
   }
 
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  // endElm: the node before which the trailing new children are inserted,
+  // i.e. the end anchor of a fragment. Appended to parentElm otherwise.
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, endElm) {
     let oldStartIdx = 0
     let newStartIdx = 0
     let oldEndIdx = oldCh.length - 1
@@ -458,12 +531,12 @@ export function createPatchFunction (backend) {
         newEndVnode = newCh[--newEndIdx]
       } else if (sameVnode(oldStartVnode, newEndVnode)) { // Vnode moved right
         patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue)
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
+        canMove && moveVnode(parentElm, oldStartVnode, nodeOps.nextSibling(lastNodeOf(oldEndVnode)))
         oldStartVnode = oldCh[++oldStartIdx]
         newEndVnode = newCh[--newEndIdx]
       } else if (sameVnode(oldEndVnode, newStartVnode)) { // Vnode moved left
         patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue)
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
+        canMove && moveVnode(parentElm, oldEndVnode, oldStartVnode.elm)
         oldEndVnode = oldCh[--oldEndIdx]
         newStartVnode = newCh[++newStartIdx]
       } else {
@@ -478,7 +551,7 @@ export function createPatchFunction (backend) {
           if (sameVnode(vnodeToMove, newStartVnode)) {
             patchVnode(vnodeToMove, newStartVnode, insertedVnodeQueue)
             oldCh[idxInOld] = undefined
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
+            canMove && moveVnode(parentElm, vnodeToMove, oldStartVnode.elm)
           } else {
             // same key but different element. treat as new element
             createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
@@ -488,7 +561,7 @@ export function createPatchFunction (backend) {
       }
     }
     if (oldStartIdx > oldEndIdx) {
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
+      refElm = isUndef(newCh[newEndIdx + 1]) ? endElm : newCh[newEndIdx + 1].elm
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
     } else if (newStartIdx > newEndIdx) {
       removeVnodes(parentElm, oldCh, oldStartIdx, oldEndIdx)
@@ -527,6 +600,11 @@ export function createPatchFunction (backend) {
 
     const elm = vnode.elm = oldVnode.elm
 
+    if (isTrue(vnode.isFragment)) {
+      patchFragment(oldVnode, vnode, insertedVnodeQueue, removeOnly)
+      return
+    }
+
     if (isTrue(oldVnode.isAsyncPlaceholder)) {
       if (isDef(vnode.asyncFactory.resolved)) {
         hydrate(oldVnode.elm, vnode, insertedVnodeQueue)
@@ -580,6 +658,21 @@ export function createPatchFunction (backend) {
     }
   }
 
+  function patchFragment (oldVnode, vnode, insertedVnodeQueue, removeOnly) {
+    const anchor = vnode.anchor = oldVnode.anchor
+    const parentElm = nodeOps.parentNode(anchor)
+    // the nodes of a detached fragment (e.g. deactivated by <keep-alive>)
+    // can't be moved, they are collected in order when it is inserted again
+    updateChildren(
+      parentElm,
+      oldVnode.children,
+      vnode.children,
+      insertedVnodeQueue,
+      removeOnly || isUndef(parentElm),
+      anchor
+    )
+  }
+
   function invokeInsertHook (vnode, queue, initial) {
     // delay insert hooks for component root nodes, invoke them after the
     // element is really inserted
@@ -592,13 +685,36 @@ export function createPatchFunction (backend) {
     }
   }
 
-  let hydrationBailed = false
+  // the first mismatch found while hydrating, reported when bailing
+  let hydrationMismatch = null
   // list of modules that can skip create hook during hydration because they
   // are already rendered on the client or has no need for initialization
   // Note: style is excluded because it relies on initial clone for future
   // deep updates (#7063).
   const isRenderedModule = makeMap('attrs,class,staticClass,staticStyle,key')
 
+  function shouldPatchMismatchInPlace () {
+    return config.hydrationMismatch === 'patch-in-place'
+  }
+
+  // Record a mismatch. Returns true if the caller should repair the
+  // mismatching node in place instead of bailing the whole hydration.
+  function onHydrationMismatch (type, node, vnode, parentElm) {
+    if (process.env.NODE_ENV !== 'production' || config.hydrationMismatch === 'throw') {
+      const report = createHydrationMismatchReport(type, node, vnode, parentElm)
+      if (shouldPatchMismatchInPlace()) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `${formatHydrationMismatch(report)}\n` +
+          'Patching the mismatching node in place.',
+          vnode.context
+        )
+      } else if (!hydrationMismatch) {
+        hydrationMismatch = report
+      }
+    }
+    return shouldPatchMismatchInPlace()
+  }
+
   // Note: this is a browser-only function so we can assume elms are DOM nodes.
   function hydrate (elm, vnode, insertedVnodeQueue, inVPre) {
     let i
@@ -610,9 +726,19 @@ export function createPatchFunction (backend) {
       vnode.isAsyncPlaceholder = true
       return true
     }
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre)
+    }
     // assert node match
-    if (process.env.NODE_ENV !== 'production') {
+    if (process.env.NODE_ENV !== 'production' || config.hydrationMismatch !== 'warn') {
       if (!assertNodeMatch(elm, vnode, inVPre)) {
+        if (onHydrationMismatch('node', elm, vnode)) {
+          // replace the mismatching server-rendered node with a fresh one
+          const parentElm = nodeOps.parentNode(elm)
+          createElm(vnode, insertedVnodeQueue, parentElm, elm)
+          nodeOps.removeChild(parentElm, elm)
+          return true
+        }
         return false
       }
     }
@@ -625,52 +751,63 @@ export function createPatchFunction (backend) {
       }
     }
     if (isDef(tag)) {
-      if (isDef(children)) {
+      const domProps = isDef(data) ? data.domProps : undefined
+      // v-html and v-text: the content is not described by children
+      const contentKey = isDef(domProps)
+        ? isDef(domProps.innerHTML)
+          ? 'innerHTML'
+          : isDef(domProps.textContent) ? 'textContent' : null
+        : null
+      if (contentKey) {
+        const content = domProps[contentKey]
+        if (content !== elm[contentKey]) {
+          if (onHydrationMismatch(contentKey, elm, vnode)) {
+            elm[contentKey] = content
+          } else {
+            return false
+          }
+        }
+      } else if (isDef(children)) {
         // empty element, allow client to pick up and populate children
         if (!elm.hasChildNodes()) {
           createChildren(vnode, children, insertedVnodeQueue)
         } else {
-          // v-html and domProps: innerHTML
-          if (isDef(i = data) && isDef(i = i.domProps) && isDef(i = i.innerHTML)) {
-            if (i !== elm.innerHTML) {
-              /* istanbul ignore if */
-              if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true
-                console.warn('Parent: ', elm)
-                console.warn('server innerHTML: ', i)
-                console.warn('client innerHTML: ', elm.innerHTML)
-              }
-              return false
-            }
-          } else {
-            // iterate and compare children lists
-            let childrenMatch = true
-            let childNode = elm.firstChild
-            for (let i = 0; i < children.length; i++) {
-              if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
-                childrenMatch = false
+          // iterate and compare children lists
+          let childrenMatch = true
+          let childNode = elm.firstChild
+          for (let i = 0; i < children.length; i++) {
+            if (!childNode) {
+              if (onHydrationMismatch('children', null, vnode, elm)) {
+                // server-rendered list is shorter, create the rest
+                createChildren(vnode, children.slice(i), insertedVnodeQueue)
                 break
               }
-              childNode = childNode.nextSibling
+              childrenMatch = false
+              break
+            }
+            if (!hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+              childrenMatch = false
+              break
             }
-            // if childNode is not null, it means the actual childNodes list is
-            // longer than the virtual children list.
-            if (!childrenMatch || childNode) {
-              /* istanbul ignore if */
-              if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true
-                console.warn('Parent: ', elm)
-                console.warn('Mismatching childNodes vs. VNodes: ', elm.childNodes, children)
+            // the node may have been replaced when patching in place
+            childNode = lastNodeOf(children[i]).nextSibling
+          }
+          // if childNode is not null, it means the actual childNodes list is
+          // longer than the virtual children list.
+          if (childrenMatch && childNode) {
+            if (onHydrationMismatch('children', elm, vnode)) {
+              while (childNode) {
+                const next = childNode.nextSibling
+                nodeOps.removeChild(elm, childNode)
+                childNode = next
               }
-              return false
+            } else {
+              childrenMatch = false
             }
           }
+          if (!childrenMatch) {
+            return false
+          }
         }
       }
       if (isDef(data)) {
@@ -693,6 +830,82 @@ export function createPatchFunction (backend) {
     return true
   }
 
+  // server-rendered fragments are wrapped in <!--[--> and <!--]--> comments
+  function hydrateFragment (elm, vnode, insertedVnodeQueue, inVPre) {
+    const parentElm = nodeOps.parentNode(elm)
+    if (!isFragmentAnchor(elm, '[')) {
+      if (onHydrationMismatch('node', elm, vnode)) {
+        // replace the mismatching server-rendered node with a fresh fragment
+        createElm(vnode, insertedVnodeQueue, parentElm, elm)
+        nodeOps.removeChild(parentElm, elm)
+        return true
+      }
+      return false
+    }
+    const children = vnode.children
+    let childNode = elm.nextSibling
+    for (let i = 0; i < children.length; i++) {
+      if (!childNode || isFragmentAnchor(childNode, ']')) {
+        if (onHydrationMismatch('children', null, vnode, parentElm)) {
+          // server-rendered fragment is shorter, create the rest
+          if (!childNode) {
+            childNode = nodeOps.createComment(']')
+            nodeOps.appendChild(parentElm, childNode)
+          }
+          for (; i < children.length; i++) {
+            createElm(children[i], insertedVnodeQueue, parentElm, childNode)
+          }
+          break
+        }
+        return false
+      }
+      if (!hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+        return false
+      }
+      // the node may have been replaced when patching in place
+      childNode = lastNodeOf(children[i]).nextSibling
+    }
+    if (!childNode || !isFragmentAnchor(childNode, ']')) {
+      if (!onHydrationMismatch('children', childNode || elm, vnode, parentElm)) {
+        return false
+      }
+      const end = findFragmentEnd(childNode)
+      if (end) {
+        // remove the extra server-rendered nodes
+        while (childNode !== end) {
+          const next = childNode.nextSibling
+          nodeOps.removeChild(parentElm, childNode)
+          childNode = next
+        }
+      } else {
+        // the end anchor is missing: the following nodes are left to the
+        // next vnodes
+        const anchor = nodeOps.createComment(']')
+        nodeOps.insertBefore(parentElm, anchor, childNode)
+        childNode = anchor
+      }
+    }
+    vnode.anchor = childNode
+    return true
+  }
+
+  // the end anchor of the fragment a node is in, skipping nested fragments
+  function findFragmentEnd (node) {
+    let depth = 0
+    while (node) {
+      if (isFragmentAnchor(node, '[')) {
+        depth++
+      } else if (isFragmentAnchor(node, ']') && depth-- === 0) {
+        return node
+      }
+      node = node.nextSibling
+    }
+  }
+
+  function isFragmentAnchor (node, text) {
+    return node.nodeType === 8 && node.data === text
+  }
+
   function assertNodeMatch (node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
@@ -737,17 +950,33 @@ export function createPatchFunction (backend) {
           }
           // 服务端渲染相关
           if (isTrue(hydrating)) {
+            hydrationMismatch = null
             if (hydrate(oldVnode, vnode, insertedVnodeQueue)) {
               invokeInsertHook(vnode, insertedVnodeQueue, true)
-              return oldVnode
-            } else if (process.env.NODE_ENV !== 'production') {
-              warn(
-                'The client-side rendered virtual DOM tree is not matching ' +
-                'server-rendered content. This is likely caused by incorrect ' +
-                'HTML markup, for example nesting block-level elements inside ' +
-                '<p>, or missing <tbody>. Bailing hydration and performing ' +
-                'full client-side render.'
-              )
+              // the root may have been replaced when patching in place
+              return vnode.elm
+            } else {
+              const report = hydrationMismatch
+              hydrationMismatch = null
+              if (config.hydrationMismatch === 'throw') {
+                const err = new Error(
+                  'The client-side rendered virtual DOM tree is not matching ' +
+                  'server-rendered content.' +
+                  (report ? `\n\n${formatHydrationMismatch(report)}${report.trace}` : '')
+                )
+                err.report = report
+                throw err
+              } else if (process.env.NODE_ENV !== 'production') {
+                warn(
+                  'The client-side rendered virtual DOM tree is not matching ' +
+                  'server-rendered content. This is likely caused by incorrect ' +
+                  'HTML markup, for example nesting block-level elements inside ' +
+                  '<p>, or missing <tbody>. Bailing hydration and performing ' +
+                  'full client-side render.' +
+                  (report ? `\n\n${formatHydrationMismatch(report)}` : ''),
+                  report ? report.vm : undefined
+                )
+              }
             }
           }
           // either not server-rendered, or hydration failed.
@@ -772,7 +1001,7 @@ export function createPatchFunction (backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(lastNodeOf(oldVnode))
         )
 
         // update parent placeholder node element, recursively
@@ -808,7 +1037,7 @@ export function createPatchFunction (backend) {
         // destroy old node
         if (isDef(parentElm)) {
           removeVnodes(parentElm, [oldVnode], 0, 0)
-        } else if (isDef(oldVnode.tag)) {
+        } else if (isDef(oldVnode.tag) || isTrue(oldVnode.isFragment)) {
           invokeDestroyHook(oldVnode)
         }
       }
@@ -18,6 +18,8 @@ export default class VNode {
   isStatic: boolean; // hoisted static node
   isRootInsert: boolean; // necessary for enter transition check
   isComment: boolean; // empty comment placeholder?
+  isFragment: boolean; // multiple root nodes of a component?
+  anchor: Node | void; // end anchor of a fragment
   isCloned: boolean; // is a cloned node?
   isOnce: boolean; // is a v-once node?
   asyncFactory: Function | void; // async component factory function
@@ -56,6 +58,8 @@ export default class VNode {
     this.isStatic = false
     this.isRootInsert = true
     this.isComment = false
+    this.isFragment = false
+    this.anchor = undefined
     this.isCloned = false
     this.isOnce = false
     this.asyncFactory = asyncFactory
@@ -84,6 +88,15 @@ export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
 }
 
+// the root nodes returned by the render function of a component, rendered
+// between two comment anchors. The start anchor is the fragment's elm, and
+// thus the component's $el.
+export function createFragmentVNode (children: Array<VNode>): VNode {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
 // optimized shallow clone
 // used for static nodes and slot nodes because they may be reused across
 // multiple renders, cloning them avoids errors when DOM manipulations rely
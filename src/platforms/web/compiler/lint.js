@@ -0,0 +1,8 @@
+/* @flow */
+
+import { baseOptions } from './options'
+import { createTemplateLinter } from 'compiler/lint/index'
+
+// kept apart from the compiler so that the runtime + compiler build
+// doesn't include a full JavaScript parser
+export const lintTemplate = createTemplateLinter(baseOptions)
@@ -0,0 +1,17 @@
+/* @flow */
+
+import { compile } from './index'
+import { baseOptions } from './options'
+import { makeMap } from 'shared/util'
+import { createCompileWithManifestFn } from 'compiler/manifest'
+
+// registered by the runtime (core/components, web/runtime/components and
+// web/runtime/directives) or handled by the compiler
+const isBuiltInComponent = makeMap('keep-alive,transition,transition-group,portal')
+const isBuiltInDirective = makeMap('model,show,text,html,cloak')
+
+// kept out of ./index for the same reason as lintTemplate, see ./lint.js
+export const compileWithManifest = createCompileWithManifestFn(compile, baseOptions, {
+  isComponent: isBuiltInComponent,
+  isDirective: isBuiltInDirective
+})
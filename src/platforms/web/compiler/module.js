@@ -0,0 +1,7 @@
+/* @flow */
+
+import { compile } from './index'
+import { createCompileToModuleFn } from 'compiler/to-module'
+
+// kept out of ./index for the same reason as lintTemplate, see ./lint.js
+export const compileToModule = createCompileToModuleFn(compile)
@@ -3,3 +3,8 @@
 export { parseComponent } from 'sfc/parser'
 export { compile, compileToFunctions } from './compiler/index'
 export { ssrCompile, ssrCompileToFunctions } from './server/compiler'
+export { generateCodeFrame } from 'compiler/codeframe'
+export { lintTemplate } from './compiler/lint'
+export { compileToModule } from './compiler/module'
+export { compileWithManifest } from './compiler/manifest'
+export { createCompilerCache } from 'compiler/cache'
@@ -0,0 +1,8 @@
+/* @flow */
+
+import Vue from './entry-runtime'
+
+// imported by templates compiled to ES modules
+export * from 'core/instance/render-helpers/standalone'
+
+export default Vue
@@ -12,7 +12,8 @@ import { createBundleRendererCreator } from 'server/bundle-renderer/create-bundl
 
 export function createRenderer (options?: Object = {}): {
   renderToString: Function,
-  renderToStream: Function
+  renderToStream: Function,
+  getCacheStats: Function
 } {
   return _createRenderer(extend(extend({}, options), {
     isUnaryTag,
@@ -25,3 +26,7 @@ export function createRenderer (options?: Object = {}): {
 }
 
 export const createBundleRenderer = createBundleRendererCreator(createRenderer)
+
+export { createComponentCache } from 'server/component-cache'
+export { createCompilerCache } from 'compiler/cache'
+export { createFileCacheStore } from 'server/compiler-cache-store'
@@ -0,0 +1,95 @@
+/* @flow */
+
+// Driver running <transition> with the Web Animations API, used when the
+// transition has `keyframes` and the browser implements element.animate().
+// The keyframes go from the hidden state to the entered state: unless leave
+// keyframes are given, the leave transition plays them backwards.
+
+import { inBrowser, warn } from 'core/util/index'
+
+export const hasWebAnimations: boolean = inBrowser &&
+  typeof window.Element === 'function' &&
+  typeof window.Element.prototype.animate === 'function'
+
+// used when the transition has no explicit duration
+const DEFAULT_DURATION = 300
+
+export const keyframePresets: { [name: string]: Array<Object> } = {
+  fade: [{ opacity: 0 }, { opacity: 1 }],
+  scale: [
+    { opacity: 0, transform: 'scale(0.9)' },
+    { opacity: 1, transform: 'none' }
+  ],
+  'slide-up': [
+    { opacity: 0, transform: 'translateY(20px)' },
+    { opacity: 1, transform: 'none' }
+  ],
+  'slide-down': [
+    { opacity: 0, transform: 'translateY(-20px)' },
+    { opacity: 1, transform: 'none' }
+  ],
+  'slide-left': [
+    { opacity: 0, transform: 'translateX(20px)' },
+    { opacity: 1, transform: 'none' }
+  ],
+  'slide-right': [
+    { opacity: 0, transform: 'translateX(-20px)' },
+    { opacity: 1, transform: 'none' }
+  ]
+}
+
+type ResolvedKeyframes = {
+  keyframes: Array<Object> | Object;
+  reverse: boolean;
+};
+
+/**
+ * Resolve the keyframes of a phase ('enter', 'leave' or 'appear'). The
+ * definition is a preset name, keyframes accepted by element.animate(), or
+ * an object with enter/leave/appear keys holding one of them.
+ */
+export function resolveKeyframes (
+  def: any,
+  phase: string,
+  vm?: Component
+): ?ResolvedKeyframes {
+  let reverse = phase === 'leave'
+  if (def && typeof def === 'object' && !Array.isArray(def) &&
+    ('enter' in def || 'leave' in def || 'appear' in def)
+  ) {
+    const frames = def[phase]
+    if (frames != null) {
+      reverse = false
+      def = frames
+    } else {
+      // appear and leave default to the enter keyframes
+      def = def.enter
+    }
+  }
+  if (typeof def === 'string') {
+    const preset = keyframePresets[def]
+    if (!preset && process.env.NODE_ENV !== 'production') {
+      warn(`<transition> unknown keyframes preset "${def}".`, vm)
+    }
+    def = preset
+  }
+  return def ? { keyframes: def, reverse } : null
+}
+
+export function getAnimationDuration (duration: ?number): number {
+  return duration != null ? duration : DEFAULT_DURATION
+}
+
+export function animate (
+  el: any,
+  frames: ResolvedKeyframes,
+  duration: ?number
+): Object {
+  return el.animate(frames.keyframes, {
+    duration: getAnimationDuration(duration),
+    direction: frames.reverse ? 'reverse' : 'normal',
+    // keep the end state until the transition callback cancels the
+    // animation, so that the element doesn't flash before it's removed
+    fill: 'both'
+  })
+}
@@ -1,7 +1,9 @@
 import Transition from './transition'
 import TransitionGroup from './transition-group'
+import Portal from './portal'
 
 export default {
   Transition,
-  TransitionGroup
+  TransitionGroup,
+  Portal
 }
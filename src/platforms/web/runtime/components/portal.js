@@ -0,0 +1,147 @@
+/* @flow */
+
+// Renders its default slot into another element of the document, e.g. to
+// display modals and tooltips in <body>. A comment is left in place of the
+// content, which is rendered by an abstract child instance mounted in the
+// target: the components of the slot keep the portal's parent as $parent,
+// so that inject and errorCaptured work as if they were rendered in place.
+//
+// Disabled portals, and portals rendered on the server, render their content
+// in place. When hydrating server-rendered content, the hydrated elements are
+// replaced with the placeholder once the portal is mounted, and the content
+// is rendered again in the target.
+
+import { warn } from 'core/util/index'
+import { inBrowser } from 'core/util/env'
+
+function resolveTarget (to: string | Element): ?Element {
+  if (typeof to !== 'string') {
+    return to
+  }
+  const target = document.querySelector(to)
+  if (!target && process.env.NODE_ENV !== 'production') {
+    warn(`Cannot find the target of <portal>: ${to}`)
+  }
+  return target
+}
+
+export default {
+  name: 'portal',
+  abstract: true,
+
+  props: {
+    // selector or element
+    to: {
+      required: true
+    },
+    disabled: Boolean,
+    // element wrapping the content
+    tag: {
+      type: String,
+      default: 'div'
+    }
+  },
+
+  data () {
+    return {
+      // whether the content is rendered in place until the portal is mounted
+      deferred: false
+    }
+  },
+
+  created () {
+    this._content = null
+  },
+
+  beforeMount () {
+    // the element to hydrate is already set: the content was rendered in
+    // place on the server
+    if (this.$el) {
+      this.deferred = true
+    }
+  },
+
+  mounted () {
+    if (this.deferred) {
+      this.deferred = false
+    } else {
+      this.syncTarget()
+    }
+  },
+
+  beforeUpdate () {
+    // re-render the content with the new slot, in the same flush
+    if (this._content) {
+      this._content.$forceUpdate()
+    }
+  },
+
+  updated () {
+    this.syncTarget()
+  },
+
+  watch: {
+    to () {
+      this.syncTarget()
+    }
+  },
+
+  beforeDestroy () {
+    this.unmountContent()
+  },
+
+  methods: {
+    isInPlace (): boolean {
+      return this.disabled || this.deferred || !inBrowser
+    },
+
+    renderContent (h: Function): VNode {
+      return h(this.tag, this.$slots.default)
+    },
+
+    syncTarget () {
+      const target = this.isInPlace() ? null : resolveTarget(this.to)
+      if (!target) {
+        this.unmountContent()
+        return
+      }
+      let content = this._content
+      if (!content) {
+        const portal = this
+        const Ctor = this.$options._base
+        content = this._content = new Ctor({
+          name: 'portal-content',
+          abstract: true,
+          parent: this,
+          render (h) {
+            return portal.renderContent(h)
+          }
+        })
+        content.$mount()
+      }
+      if (content.$el.parentNode !== target) {
+        target.appendChild(content.$el)
+      }
+    },
+
+    unmountContent () {
+      const content = this._content
+      if (content) {
+        this._content = null
+        content.$destroy()
+        const el = content.$el
+        if (el && el.parentNode) {
+          el.parentNode.removeChild(el)
+        }
+      }
+    }
+  },
+
+  render (h: Function) {
+    if (this.isInPlace()) {
+      return this.renderContent(h)
+    }
+    // placeholder comment
+    return h()
+  }
+}
@@ -11,9 +11,17 @@
 // into the final desired state. This way in the second pass removed
 // nodes will remain where they should be.
 
-import { warn, extend } from 'core/util/index'
+// Groups with the same `shared` name exchange their elements: when an
+// element leaves one of them while an element with the same key enters
+// another, the entering element moves from the position of the leaving one
+// instead of playing the leave and enter transitions (e.g. cards moved
+// between the columns of a board). Moves can be driven by the move class or
+// by the JavaScript hooks before-move, move, after-move and move-cancelled.
+
+import { warn, extend, nextTick } from 'core/util/index'
 import { addClass, removeClass } from '../class-util'
 import { transitionProps, extractTransitionData } from './transition'
+import { getHookArgumentsLength } from '../modules/transition'
 
 import {
   hasTransition,
@@ -25,11 +33,34 @@ import {
 
 const props = extend({
   tag: String,
-  moveClass: String
+  moveClass: String,
+  shared: String
 }, transitionProps)
 
 delete props.mode
 
+type MoveOptions = {
+  data: Object;
+  moveClass: string;
+  expectsCSS: boolean;
+};
+
+type SharedElement = {
+  vnode: VNode;
+  group: Component;
+};
+
+type SharedScope = {
+  leaving: { [key: string]: SharedElement };
+  entering: { [key: string]: SharedElement };
+};
+
+// elements leaving and entering the shared groups during the current flush,
+// matched once all the groups have been updated
+// $flow-disable-line
+let sharedScopes: { [name: string]: SharedScope } = Object.create(null)
+let sharedFlushPending = false
+
 export default {
   props,
 
@@ -48,6 +79,12 @@ export default {
     }
   },
 
+  mounted () {
+    if (this.shared) {
+      queueSharedElements(this, [], this.children)
+    }
+  },
+
   render (h: Function) {
     const tag: string = this.tag || this.$vnode.data.tag || 'span'
     const map: Object = Object.create(null)
@@ -93,8 +130,19 @@ export default {
 
   updated () {
     const children: Array<VNode> = this.prevChildren
-    const moveClass: string = this.moveClass || ((this.name || 'v') + '-move')
-    if (!children.length || !this.hasMove(children[0].elm, moveClass)) {
+    if (this.shared) {
+      const prevKeys = {}
+      children.forEach(c => { prevKeys[c.key] = true })
+      queueSharedElements(
+        this,
+        this.removed,
+        this.children.filter(c => !prevKeys[c.key])
+      )
+    }
+    const options: ?MoveOptions = children.length
+      ? this.getMoveOptions(children[0].elm)
+      : null
+    if (!options) {
       return
     }
 
@@ -111,25 +159,22 @@ export default {
 
     children.forEach((c: VNode) => {
       if (c.data.moved) {
-        const el: any = c.elm
-        const s: any = el.style
-        addTransitionClass(el, moveClass)
-        s.transform = s.WebkitTransform = s.transitionDuration = ''
-        el.addEventListener(transitionEndEvent, el._moveCb = function cb (e) {
-          if (e && e.target !== el) {
-            return
-          }
-          if (!e || /transform$/.test(e.propertyName)) {
-            el.removeEventListener(transitionEndEvent, cb)
-            el._moveCb = null
-            removeTransitionClass(el, moveClass)
-          }
-        })
+        startMove(c, options)
       }
     })
   },
 
   methods: {
+    // null if the group has neither a CSS move transition nor a move hook
+    getMoveOptions (el: any): ?MoveOptions {
+      const data: Object = extractTransitionData(this)
+      const moveClass: string = this.moveClass || ((this.name || 'v') + '-move')
+      const expectsCSS = data.css !== false && this.hasMove(el, moveClass)
+      return expectsCSS || data.move
+        ? { data, moveClass, expectsCSS }
+        : null
+    },
+
     hasMove (el: any, moveClass: string): boolean {
       /* istanbul ignore if */
       if (!hasTransition) {
@@ -161,6 +206,7 @@ export default {
 function callPendingCbs (c: VNode) {
   /* istanbul ignore if */
   if (c.elm._moveCb) {
+    c.elm._moveCb.cancelled = true
     c.elm._moveCb()
   }
   /* istanbul ignore if */
@@ -185,3 +231,107 @@ function applyTranslation (c: VNode) {
     s.transitionDuration = '0s'
   }
 }
+
+function startMove (c: VNode, options: MoveOptions) {
+  const { data, moveClass, expectsCSS } = options
+  const { beforeMove, move, afterMove, moveCancelled } = data
+  const userWantsControl = getHookArgumentsLength(move)
+  const el: any = c.elm
+  const s: any = el.style
+  // offset from the new position to the previous one
+  const delta = {
+    x: c.data.pos.left - c.data.newPos.left,
+    y: c.data.pos.top - c.data.newPos.top
+  }
+  beforeMove && beforeMove(el)
+  if (expectsCSS) {
+    addTransitionClass(el, moveClass)
+  }
+  s.transform = s.WebkitTransform = s.transitionDuration = ''
+  const cb: any = el._moveCb = function (e?: Event) {
+    if (el._moveCb !== cb) {
+      return
+    }
+    if (e && (e.target !== el || !/transform$/.test((e: any).propertyName))) {
+      return
+    }
+    el.removeEventListener(transitionEndEvent, cb)
+    el._moveCb = null
+    if (expectsCSS) {
+      removeTransitionClass(el, moveClass)
+    }
+    if (cb.cancelled) {
+      moveCancelled && moveCancelled(el)
+    } else {
+      afterMove && afterMove(el)
+    }
+  }
+  if (expectsCSS && !userWantsControl) {
+    el.addEventListener(transitionEndEvent, cb)
+  }
+  move && move(el, () => cb(), delta)
+  if (!expectsCSS && !userWantsControl) {
+    cb()
+  }
+}
+
+function queueSharedElements (
+  group: Component,
+  leaving: Array<VNode>,
+  entering: Array<VNode>
+) {
+  const name: string = (group: any).shared
+  const scope = sharedScopes[name] || (sharedScopes[name] = {
+    leaving: {},
+    entering: {}
+  })
+  leaving.forEach(vnode => { scope.leaving[(vnode.key: any)] = { vnode, group } })
+  entering.forEach(vnode => { scope.entering[(vnode.key: any)] = { vnode, group } })
+  if (!sharedFlushPending) {
+    sharedFlushPending = true
+    nextTick(flushSharedElements)
+  }
+}
+
+function flushSharedElements () {
+  const scopes = sharedScopes
+  sharedScopes = Object.create(null)
+  sharedFlushPending = false
+
+  const moves: Array<{ c: VNode, group: Component, options: MoveOptions }> = []
+  for (const name in scopes) {
+    const { leaving, entering } = scopes[name]
+    for (const key in entering) {
+      const from = leaving[key]
+      const to = entering[key]
+      const options = from && (to.group: any).getMoveOptions(to.vnode.elm)
+      if (options) {
+        // the leaving element is replaced by the entering one
+        const leavingEl: any = from.vnode.elm
+        if (leavingEl._leaveCb) {
+          leavingEl._leaveCb()
+        }
+        const el: any = to.vnode.elm
+        if (el._enterCb) {
+          el._enterCb.cancelled = true
+          el._enterCb()
+        }
+        to.vnode.data.pos = from.vnode.data.pos
+        moves.push({ c: to.vnode, group: to.group, options })
+      }
+    }
+  }
+  if (!moves.length) {
+    return
+  }
+
+  moves.forEach(move => recordPosition(move.c))
+  moves.forEach(move => applyTranslation(move.c))
+  // $flow-disable-line
+  moves[0].group._reflow = document.body.offsetHeight
+  moves.forEach(move => {
+    if (move.c.data.moved) {
+      startMove(move.c, move.options)
+    }
+  })
+}
@@ -26,7 +26,9 @@ export const transitionProps = {
   appearClass: String,
   appearActiveClass: String,
   appearToClass: String,
-  duration: [Number, String, Object]
+  duration: [Number, String, Object],
+  // keyframes or preset name, run with the Web Animations API if available
+  keyframes: [String, Array, Object]
 }
 
 // in case the child is also an abstract component, e.g. <keep-alive>
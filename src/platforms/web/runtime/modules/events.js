@@ -1,7 +1,7 @@
 /* @flow */
 
 import { isDef, isUndef } from 'shared/util'
-import { updateListeners } from 'core/vdom/helpers/index'
+import { updateListeners, cancelRateLimits } from 'core/vdom/helpers/index'
 import { withMacroTask, isIE, supportsPassive } from 'core/util/index'
 import { RANGE_TOKEN, CHECKBOX_RADIO_TOKEN } from 'web/compiler/directives/model'
 
@@ -81,7 +81,19 @@ function updateDOMListeners (oldVnode: VNodeWithData, vnode: VNodeWithData) {
   target = undefined
 }
 
+// cancel the pending calls of debounced/throttled handlers. The listeners
+// are left in place: the element may still be leaving.
+function cancelDOMListeners (vnode: VNodeWithData) {
+  const on = vnode.data.on
+  if (isDef(on)) {
+    for (const name in on) {
+      cancelRateLimits(on[name])
+    }
+  }
+}
+
 export default {
   create: updateDOMListeners,
-  update: updateDOMListeners
+  update: updateDOMListeners,
+  destroy: cancelDOMListeners
 }
@@ -14,23 +14,54 @@ import {
 
 import {
   nextFrame,
+  delayTransition,
+  getTransitionInfo,
   resolveTransition,
   whenTransitionEnds,
   addTransitionClass,
+  resetTransitionDelay,
   removeTransitionClass
 } from '../transition-util'
 
+import {
+  animate,
+  resolveKeyframes,
+  hasWebAnimations,
+  getAnimationDuration
+} from '../animation-util'
+
+type TransitionTiming = {
+  start: number;
+  // progress the transition started from, when it reverses another one
+  progress: number;
+  // explicit or animation duration
+  duration: ?number;
+  css: boolean;
+  type: ?string;
+};
+
+type Reversal = {
+  // progress of the reversing transition, between 0 and 1, if it could be
+  // measured from the duration of the reversed one
+  progress: ?number;
+  // the running animation of the reversed transition, to play back
+  animation: ?Object;
+};
+
 export function enter (vnode: VNodeWithData, toggleDisplay: ?() => void) {
   const el: any = vnode.elm
 
-  // call leave callback now
+  // call leave callback now, reversing the running leave transition
+  let reversal: ?Reversal = null
   if (isDef(el._leaveCb)) {
+    reversal = reverseTransition(el, el._leaveCb, true)
     el._leaveCb.cancelled = true
     el._leaveCb()
   }
 
   const data = resolveTransition(vnode.data.transition)
   if (isUndef(data)) {
+    cancelReversal(reversal)
     return
   }
 
@@ -56,7 +87,9 @@ export function enter (vnode: VNodeWithData, toggleDisplay: ?() => void) {
     appear,
     afterAppear,
     appearCancelled,
-    duration
+    reversed,
+    duration,
+    keyframes
   } = data
 
   // activeInstance will always be the <transition> component managing this
@@ -73,6 +106,7 @@ export function enter (vnode: VNodeWithData, toggleDisplay: ?() => void) {
   const isAppear = !context._isMounted || !vnode.isRootInsert
 
   if (isAppear && !appear && appear !== '') {
+    cancelReversal(reversal)
     return
   }
 
@@ -109,13 +143,27 @@ export function enter (vnode: VNodeWithData, toggleDisplay: ?() => void) {
     checkDuration(explicitEnterDuration, 'enter', vnode)
   }
 
-  const expectsCSS = css !== false && !isIE9
+  const frames = isDef(keyframes) && hasWebAnimations
+    ? resolveKeyframes(keyframes, isAppear ? 'appear' : 'enter', vnode.context)
+    : null
+  const expectsCSS = css !== false && !isIE9 && !frames
   const userWantsControl = getHookArgumentsLength(enterHook)
+  const enterDuration = isValidDuration(explicitEnterDuration)
+    ? explicitEnterDuration
+    : null
 
+  let animation: ?Object = null
+  let delayed = false
   const cb = el._enterCb = once(() => {
+    if (animation) {
+      stopAnimation(el, animation)
+    }
     if (expectsCSS) {
       removeTransitionClass(el, toClass)
       removeTransitionClass(el, activeClass)
+      if (delayed) {
+        resetTransitionDelay(el)
+      }
     }
     if (cb.cancelled) {
       if (expectsCSS) {
@@ -127,6 +175,14 @@ export function enter (vnode: VNodeWithData, toggleDisplay: ?() => void) {
     }
     el._enterCb = null
   })
+  // set on the callback once the transition is running
+  const timing: TransitionTiming = {
+    start: Date.now(),
+    progress: (reversal && reversal.progress) || 0,
+    duration: frames ? getAnimationDuration(enterDuration) : enterDuration,
+    css: expectsCSS,
+    type
+  }
 
   if (!vnode.data.show) {
     // remove pending leave element on enter by injecting an insert hook
@@ -137,38 +193,89 @@ export function enter (vnode: VNodeWithData, toggleDisplay: ?() => void) {
         pendingNode.tag === vnode.tag &&
         pendingNode.elm._leaveCb
       ) {
+        // the element replaces the leaving one: continue from its progress
+        reversal = reverseTransition(pendingNode.elm, pendingNode.elm._leaveCb, false)
         pendingNode.elm._leaveCb()
+        if (reversal) {
+          const progress = timing.progress = reversal.progress || 0
+          if (animation) {
+            animation.currentTime = progress * (timing.duration || 0)
+          }
+          reversed && reversed(el, reversal.progress)
+        }
       }
-      enterHook && enterHook(el, cb)
+      enterHook && enterHook(el, cb, animation)
     })
   }
 
   // start enter transition
   beforeEnterHook && beforeEnterHook(el)
+  // called after beforeEnter, as for a replaced element whose reversal is
+  // only known once it is inserted
+  if (reversal) {
+    reversed && reversed(el, reversal.progress)
+  }
+  if (frames) {
+    if (reversal && reversal.animation) {
+      // the leave animation was interrupted: play it back from there
+      animation = reversal.animation
+      animation.reverse()
+    } else {
+      animation = animate(el, frames, enterDuration)
+    }
+    el._animation = animation
+    if (!userWantsControl) {
+      animation.onfinish = cb
+    }
+  } else {
+    cancelReversal(reversal)
+  }
   if (expectsCSS) {
-    addTransitionClass(el, startClass)
-    addTransitionClass(el, activeClass)
-    nextFrame(() => {
-      removeTransitionClass(el, startClass)
-      if (!cb.cancelled) {
-        addTransitionClass(el, toClass)
-        if (!userWantsControl) {
-          if (isValidDuration(explicitEnterDuration)) {
-            setTimeout(cb, explicitEnterDuration)
-          } else {
-            whenTransitionEnds(el, type, cb)
-          }
+    const whenEnterEnds = () => {
+      if (!userWantsControl) {
+        if (isValidDuration(explicitEnterDuration)) {
+          setTimeout(cb, explicitEnterDuration * (1 - timing.progress))
+        } else {
+          whenTransitionEnds(el, type, cb)
         }
       }
-    })
+    }
+    if (reversal) {
+      // transition from the current state of the element
+      addTransitionClass(el, activeClass)
+      addTransitionClass(el, toClass)
+      if (timing.progress) {
+        delayed = delayTransition(el, type, timing.progress, true)
+      }
+      cb.timing = timing
+      whenEnterEnds()
+    } else {
+      addTransitionClass(el, startClass)
+      addTransitionClass(el, activeClass)
+      nextFrame(() => {
+        removeTransitionClass(el, startClass)
+        if (!cb.cancelled) {
+          timing.start = Date.now()
+          cb.timing = timing
+          // the leave transition of the replaced element was reversed
+          if (timing.progress) {
+            delayed = delayTransition(el, type, timing.progress)
+          }
+          addTransitionClass(el, toClass)
+          whenEnterEnds()
+        }
+      })
+    }
+  } else {
+    cb.timing = timing
   }
 
   if (vnode.data.show) {
     toggleDisplay && toggleDisplay()
-    enterHook && enterHook(el, cb)
+    enterHook && enterHook(el, cb, animation)
   }
 
-  if (!expectsCSS && !userWantsControl) {
+  if (!expectsCSS && !animation && !userWantsControl) {
     cb()
   }
 }
@@ -176,14 +283,17 @@ export function enter (vnode: VNodeWithData, toggleDisplay: ?() => void) {
 export function leave (vnode: VNodeWithData, rm: Function) {
   const el: any = vnode.elm
 
-  // call enter callback now
+  // call enter callback now, reversing the running enter transition
+  let reversal: ?Reversal = null
   if (isDef(el._enterCb)) {
+    reversal = reverseTransition(el, el._enterCb, true)
     el._enterCb.cancelled = true
     el._enterCb()
   }
 
   const data = resolveTransition(vnode.data.transition)
   if (isUndef(data) || el.nodeType !== 1) {
+    cancelReversal(reversal)
     return rm()
   }
 
@@ -203,10 +313,15 @@ export function leave (vnode: VNodeWithData, rm: Function) {
     afterLeave,
     leaveCancelled,
     delayLeave,
-    duration
+    reversed,
+    duration,
+    keyframes
   } = data
 
-  const expectsCSS = css !== false && !isIE9
+  const frames = isDef(keyframes) && hasWebAnimations
+    ? resolveKeyframes(keyframes, 'leave', vnode.context)
+    : null
+  const expectsCSS = css !== false && !isIE9 && !frames
   const userWantsControl = getHookArgumentsLength(leave)
 
   const explicitLeaveDuration: any = toNumber(
@@ -219,13 +334,33 @@ export function leave (vnode: VNodeWithData, rm: Function) {
     checkDuration(explicitLeaveDuration, 'leave', vnode)
   }
 
+  const leaveDuration = isValidDuration(explicitLeaveDuration)
+    ? explicitLeaveDuration
+    : null
+
+  // the element is left in its entered state until a delayed leave is
+  // performed: there is nothing to reverse
+  if (delayLeave) {
+    cancelReversal(reversal)
+    reversal = null
+  }
+
+  // the interrupted enter animation is played back by the leave transition
+  let animation: ?Object = el._animation = reversal && reversal.animation
+  let delayed = false
   const cb = el._leaveCb = once(() => {
+    if (animation) {
+      stopAnimation(el, animation)
+    }
     if (el.parentNode && el.parentNode._pending) {
       el.parentNode._pending[vnode.key] = null
     }
     if (expectsCSS) {
       removeTransitionClass(el, leaveToClass)
       removeTransitionClass(el, leaveActiveClass)
+      if (delayed) {
+        resetTransitionDelay(el)
+      }
     }
     if (cb.cancelled) {
       if (expectsCSS) {
@@ -250,30 +385,73 @@ export function leave (vnode: VNodeWithData, rm: Function) {
     if (cb.cancelled) {
       return
     }
+    // set on the callback once the transition is running
+    const timing: TransitionTiming = {
+      start: Date.now(),
+      progress: (reversal && reversal.progress) || 0,
+      duration: frames ? getAnimationDuration(leaveDuration) : leaveDuration,
+      css: expectsCSS,
+      type
+    }
     // record leaving element
     if (!vnode.data.show && el.parentNode) {
       (el.parentNode._pending || (el.parentNode._pending = {}))[(vnode.key: any)] = vnode
     }
     beforeLeave && beforeLeave(el)
+    if (reversal) {
+      reversed && reversed(el, reversal.progress)
+    }
+    if (frames) {
+      if (animation) {
+        // the enter animation was interrupted: play it back from there
+        animation.reverse()
+      } else {
+        animation = el._animation = animate(el, frames, leaveDuration)
+      }
+      if (!userWantsControl) {
+        animation.onfinish = cb
+      }
+    } else if (animation) {
+      stopAnimation(el, animation)
+      animation = null
+    }
     if (expectsCSS) {
-      addTransitionClass(el, leaveClass)
-      addTransitionClass(el, leaveActiveClass)
-      nextFrame(() => {
-        removeTransitionClass(el, leaveClass)
-        if (!cb.cancelled) {
-          addTransitionClass(el, leaveToClass)
-          if (!userWantsControl) {
-            if (isValidDuration(explicitLeaveDuration)) {
-              setTimeout(cb, explicitLeaveDuration)
-            } else {
-              whenTransitionEnds(el, type, cb)
-            }
+      const whenLeaveEnds = () => {
+        if (!userWantsControl) {
+          if (isValidDuration(explicitLeaveDuration)) {
+            setTimeout(cb, explicitLeaveDuration * (1 - timing.progress))
+          } else {
+            whenTransitionEnds(el, type, cb)
           }
         }
-      })
+      }
+      if (reversal) {
+        // transition from the current state of the element
+        addTransitionClass(el, leaveActiveClass)
+        addTransitionClass(el, leaveToClass)
+        if (timing.progress) {
+          delayed = delayTransition(el, type, timing.progress, true)
+        }
+        cb.timing = timing
+        whenLeaveEnds()
+      } else {
+        addTransitionClass(el, leaveClass)
+        addTransitionClass(el, leaveActiveClass)
+        nextFrame(() => {
+          removeTransitionClass(el, leaveClass)
+          if (!cb.cancelled) {
+            timing.start = Date.now()
+            cb.timing = timing
+            addTransitionClass(el, leaveToClass)
+            whenLeaveEnds()
+          }
+        })
+      }
+    } else {
+      cb.timing = timing
     }
-    leave && leave(el, cb)
-    if (!expectsCSS && !userWantsControl) {
+    leave && leave(el, cb, animation)
+    if (!expectsCSS && !animation && !userWantsControl) {
       cb()
     }
   }
@@ -300,13 +478,58 @@ function isValidDuration (val) {
   return typeof val === 'number' && !isNaN(val)
 }
 
+// Capture the progress of a running transition before it is cancelled by
+// the transition of the opposite phase, which starts from there instead of
+// starting over. If the transition runs on the same element, its animation
+// is taken over to be played back.
+function reverseTransition (el: any, cb: Function, inPlace: boolean): ?Reversal {
+  const timing: ?TransitionTiming = cb.timing
+  // the transition is not running yet, e.g. a delayed leave or a CSS
+  // transition waiting for the next frame: it starts over
+  if (!timing) {
+    return null
+  }
+  const elapsed = Date.now() - timing.start
+  let duration = timing.duration
+  if (isUndef(duration) && timing.css) {
+    duration = getTransitionInfo(el, timing.type).timeout
+  }
+  let animation = null
+  if (inPlace) {
+    animation = el._animation
+    el._animation = null
+  }
+  return {
+    progress: duration
+      ? 1 - Math.min(1, timing.progress + elapsed / duration)
+      : null,
+    animation
+  }
+}
+
+function cancelReversal (reversal: ?Reversal) {
+  if (reversal && reversal.animation) {
+    reversal.animation.cancel()
+  }
+}
+
+// remove the effects of an animation once its transition is done, unless it
+// has been taken over by another transition
+function stopAnimation (el: any, animation: Object) {
+  animation.onfinish = null
+  if (el._animation === animation) {
+    el._animation = null
+    animation.cancel()
+  }
+}
+
 /**
  * Normalize a transition hook's argument length. The hook may be:
  * - a merged hook (invoker) with the original in .fns
  * - a wrapped component method (check ._length)
  * - a plain function (.length)
  */
-function getHookArgumentsLength (fn: Function): boolean {
+export function getHookArgumentsLength (fn: Function): boolean {
   if (isUndef(fn)) {
     return false
   }
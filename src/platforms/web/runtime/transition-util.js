@@ -113,6 +113,29 @@ export function whenTransitionEnds (
   el.addEventListener(event, onEnd)
 }
 
+// Start the transition of an element from a progress between 0 and 1, with
+// a negative delay. A transition reversed in place already starts from the
+// current state of the element, but an animation restarts from its first
+// keyframe. Returns whether a delay was set.
+export function delayTransition (
+  el: any,
+  expectedType: ?string,
+  progress: number,
+  inPlace?: boolean
+): boolean {
+  const { type, timeout } = getTransitionInfo(el, expectedType)
+  if (!type || (inPlace && type === TRANSITION)) {
+    return false
+  }
+  const prop = type === TRANSITION ? transitionProp : animationProp
+  el.style[prop + 'Delay'] = `${-progress * timeout}ms`
+  return true
+}
+
+export function resetTransitionDelay (el: any) {
+  el.style[transitionProp + 'Delay'] = el.style[animationProp + 'Delay'] = ''
+}
+
 const transformRE = /\b(transform|all)(,|$)/
 
 export function getTransitionInfo (el: Element, expectedType?: ?string): {
@@ -20,7 +20,8 @@ function transformNode (el: ASTElement, options: CompilerOptions) {
     warn(
       `class="${staticClass}": ` +
       'Interpolation inside attributes has been deprecated. ' +
-      'Use v-bind or the colon shorthand instead.'
+      'Use v-bind or the colon shorthand instead.',
+      el.rawAttrsMap['class']
     )
   }
   if (!dynamic && classResult) {
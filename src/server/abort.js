@@ -0,0 +1,67 @@
+/* @flow */
+
+type AbortSignalLike = {
+  aborted: boolean;
+  addEventListener: (type: string, listener: Function) => void;
+  removeEventListener: (type: string, listener: Function) => void;
+};
+
+/**
+ * Errors passed to the render callback, promise or stream when a render is
+ * cancelled. They can be told apart from render errors by their name, and
+ * by `code` which is either RENDER_TIMEOUT or RENDER_ABORTED.
+ */
+export function createRenderAbortError (
+  code: 'RENDER_TIMEOUT' | 'RENDER_ABORTED',
+  message: string
+): Error {
+  const err: any = new Error(message)
+  err.name = 'RenderAbortError'
+  err.code = code
+  return err
+}
+
+export function isRenderAbortError (err: any): boolean {
+  return !!err && err.name === 'RenderAbortError'
+}
+
+/**
+ * Cancel a render after `timeout` milliseconds or when `signal` is aborted.
+ * Returns a function releasing the timer and the signal listener, which
+ * must be called once the render is done.
+ */
+export function watchRenderAbort (
+  abort: (err: Error) => void,
+  timeout: ?number,
+  signal: ?AbortSignalLike
+): () => void {
+  const onAbort = () => {
+    abort(createRenderAbortError(
+      'RENDER_ABORTED',
+      '[vue-server-renderer] Render was aborted.'
+    ))
+  }
+  if (signal && signal.aborted) {
+    onAbort()
+    return () => {}
+  }
+  let timer
+  if (timeout) {
+    const ms = timeout
+    timer = setTimeout(() => {
+      abort(createRenderAbortError(
+        'RENDER_TIMEOUT',
+        `[vue-server-renderer] Render timed out after ${ms}ms.`
+      ))
+    }, ms)
+  }
+  if (signal) {
+    signal.addEventListener('abort', onAbort)
+  }
+  return () => {
+    clearTimeout(timer)
+    if (signal) {
+      signal.removeEventListener('abort', onAbort)
+    }
+  }
+}
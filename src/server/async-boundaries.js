@@ -0,0 +1,153 @@
+/* @flow */
+
+/**
+ * Out-of-order streaming support.
+ *
+ * When enabled, an async component that is not resolved yet is written to
+ * the stream as a pair of comment markers (optionally wrapping the output
+ * of its `loading` component) and the rest of the tree keeps rendering.
+ * Once the component resolves, its HTML is rendered into a separate buffer
+ * and flushed after the main tree as a <template> chunk, followed by a tiny
+ * inline script that swaps it into place before the client app hydrates.
+ */
+
+export const PLACEHOLDER_PREFIX = 'vue-ph:'
+export const TEMPLATE_ID_PREFIX = 'vue-async-'
+const SWAP_FN = '__VUE_ASYNC_SWAP__'
+
+// minified source of the client-side swap function, emitted once per render
+const SWAP_SCRIPT =
+  `<script>function ${SWAP_FN}(i){` +
+    `var t=document.getElementById("${TEMPLATE_ID_PREFIX}"+i),` +
+    `w=document.createTreeWalker(document.documentElement,128),s,n,x,p,f;` +
+    `while(w.nextNode())if(w.currentNode.data==="${PLACEHOLDER_PREFIX}"+i){s=w.currentNode;break}` +
+    `if(s&&t){p=s.parentNode;n=s.nextSibling;` +
+      `while(n&&!(n.nodeType===8&&n.data==="/${PLACEHOLDER_PREFIX}"+i)){x=n.nextSibling;p.removeChild(n);n=x}` +
+      `n&&p.removeChild(n);f=t.content;` +
+      `if(!f){f=document.createDocumentFragment();while(t.firstChild)f.appendChild(t.firstChild)}` +
+      `p.replaceChild(f,s);t.parentNode.removeChild(t)}` +
+    `(x=document.currentScript)&&x.parentNode.removeChild(x)` +
+  `}</script>`
+
+export function renderPlaceholderStart (id: number): string {
+  return `<!--${PLACEHOLDER_PREFIX}${id}-->`
+}
+
+export function renderPlaceholderEnd (id: number): string {
+  return `<!--/${PLACEHOLDER_PREFIX}${id}-->`
+}
+
+type Boundary = {
+  id: number;
+  parent: ?number;
+  html: ?string;
+};
+
+export class AsyncBoundaries {
+  uid: number;
+  pending: number;
+  boundaries: Array<Boundary>;
+  flushed: { [id: number]: boolean };
+  write: (text: string, next: Function) => void;
+  done: (err: ?Error) => void;
+  draining: boolean;
+  flushing: boolean;
+  finished: boolean;
+  scriptWritten: boolean;
+
+  constructor (
+    write: (text: string, next: Function) => void,
+    done: (err: ?Error) => void
+  ) {
+    this.uid = 0
+    this.pending = 0
+    this.boundaries = []
+    this.flushed = {}
+    this.write = write
+    this.done = done
+    this.draining = false
+    this.flushing = false
+    this.finished = false
+    this.scriptWritten = false
+  }
+
+  /**
+   * Register a new boundary. `parent` is the id of the boundary whose
+   * deferred subtree contains this one, so that chunks are always
+   * flushed after the markup holding their placeholder.
+   */
+  create (parent: ?number): number {
+    const id = this.uid++
+    this.pending++
+    this.boundaries.push({ id, parent, html: null })
+    return id
+  }
+
+  resolve (id: number, html: string) {
+    for (let i = 0; i < this.boundaries.length; i++) {
+      if (this.boundaries[i].id === id) {
+        this.boundaries[i].html = html
+        break
+      }
+    }
+    this.pending--
+    this.flush()
+  }
+
+  reject (err: Error) {
+    this.finish(err)
+  }
+
+  /**
+   * Called when the main tree has been fully written.
+   */
+  drain () {
+    this.draining = true
+    this.flush()
+  }
+
+  flush () {
+    if (!this.draining || this.flushing || this.finished) {
+      return
+    }
+    const boundary = this.takeReady()
+    if (boundary) {
+      this.flushing = true
+      let chunk = ''
+      if (!this.scriptWritten) {
+        this.scriptWritten = true
+        chunk += SWAP_SCRIPT
+      }
+      chunk +=
+        `<template id="${TEMPLATE_ID_PREFIX}${boundary.id}">${(boundary.html: any)}</template>` +
+        `<script>${SWAP_FN}(${boundary.id})</script>`
+      this.write(chunk, () => {
+        this.flushed[boundary.id] = true
+        this.flushing = false
+        this.flush()
+      })
+    } else if (this.pending === 0) {
+      this.finish()
+    }
+  }
+
+  takeReady (): ?Boundary {
+    for (let i = 0; i < this.boundaries.length; i++) {
+      const boundary = this.boundaries[i]
+      if (
+        boundary.html != null &&
+        (boundary.parent == null || this.flushed[boundary.parent])
+      ) {
+        this.boundaries.splice(i, 1)
+        return boundary
+      }
+    }
+  }
+
+  finish (err?: Error) {
+    if (!this.finished) {
+      this.finished = true
+      this.done(err)
+    }
+  }
+}
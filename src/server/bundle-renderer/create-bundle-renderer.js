@@ -145,7 +145,9 @@ export function createBundleRendererCreator (
         })
 
         return res
-      }
+      },
+
+      getCacheStats: () => renderer.getCacheStats()
     }
   }
 }
@@ -0,0 +1,50 @@
+/* @flow */
+
+/**
+ * Filesystem store for the compiler cache: the code compiled from runtime
+ * templates is written to a directory, one JSON file per cache key, so that
+ * servers can warm-start from the templates compiled by previous processes.
+ */
+
+import type { CompiledCode, CompilerCacheStore } from 'compiler/cache'
+
+const fs = require('fs')
+const path = require('path')
+
+export function createFileCacheStore (dir: string): CompilerCacheStore {
+  let created = false
+
+  return {
+    get (key: string): ?CompiledCode {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, `${key}.json`), 'utf-8'))
+      } catch (e) {
+        // missing or unreadable entry, compile again
+      }
+    },
+
+    set (key: string, code: CompiledCode) {
+      try {
+        if (!created) {
+          mkdirp(dir)
+          created = true
+        }
+        // write to a temporary file first, so that concurrent processes
+        // never read a partially written entry
+        const file = path.join(dir, `${key}.json`)
+        const tmp = `${file}.${process.pid}.tmp`
+        fs.writeFileSync(tmp, JSON.stringify(code))
+        fs.renameSync(tmp, file)
+      } catch (e) {
+        // persisting is best effort, the in-memory cache still works
+      }
+    }
+  }
+}
+
+function mkdirp (dir: string) {
+  if (!fs.existsSync(dir)) {
+    mkdirp(path.dirname(dir))
+    fs.mkdirSync(dir)
+  }
+}
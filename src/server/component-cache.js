@@ -0,0 +1,169 @@
+/* @flow */
+
+/**
+ * Built-in component cache for the renderer's `cache` option.
+ *
+ * Entries are kept in least-recently-used order and the cache is bounded by
+ * the total size of the cached HTML in bytes. Each entry may expire after a
+ * max age (a cache-wide default, or a per-component `serverCacheTTL`) and
+ * carries a set of tags so that related entries can be purged together.
+ * Every entry is implicitly tagged with the name of the component that
+ * produced it, derived from the `name::key` format used by the renderer.
+ */
+
+import { byteLength } from './util'
+
+export type ComponentCacheOptions = {
+  max?: number;
+  maxAge?: number;
+};
+
+export type ComponentCacheStats = {
+  entries: number;
+  size: number;
+  max: number;
+  evictions: number;
+  expirations: number;
+  purges: number;
+};
+
+type CachedComponent = {
+  html: string;
+  components: Set<Function>;
+};
+
+type CacheEntry = {
+  value: CachedComponent;
+  size: number;
+  expires: number;
+  tags: Array<string>;
+};
+
+export class ComponentCache {
+  max: number;
+  maxAge: number;
+  size: number;
+  entries: Map<string, CacheEntry>;
+  evictions: number;
+  expirations: number;
+  purges: number;
+
+  constructor (options?: ComponentCacheOptions = {}) {
+    this.max = options.max || Infinity
+    this.maxAge = options.maxAge || 0
+    this.size = 0
+    this.entries = new Map()
+    this.evictions = 0
+    this.expirations = 0
+    this.purges = 0
+  }
+
+  get (key: string): ?CachedComponent {
+    const entry = this.peek(key)
+    if (entry) {
+      // move to the most recently used position
+      this.entries.delete(key)
+      this.entries.set(key, entry)
+      return entry.value
+    }
+  }
+
+  has (key: string): boolean {
+    return !!this.peek(key)
+  }
+
+  set (
+    key: string,
+    value: CachedComponent,
+    maxAge?: number,
+    tags?: Array<string>
+  ) {
+    const size = byteLength(value.html)
+    this.delete(key)
+    if (size > this.max) {
+      return
+    }
+    maxAge = maxAge || this.maxAge
+    const name = key.slice(0, key.indexOf('::'))
+    this.entries.set(key, {
+      value,
+      size,
+      expires: maxAge > 0 ? Date.now() + maxAge : Infinity,
+      tags: tags ? [name].concat(tags) : [name]
+    })
+    this.size += size
+    this.prune()
+  }
+
+  delete (key: string): boolean {
+    const entry = this.entries.get(key)
+    if (entry) {
+      this.entries.delete(key)
+      this.size -= entry.size
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Remove all entries carrying the given tag. When an array of tags is
+   * passed, only entries carrying every one of them are removed, e.g.
+   * `purge(['ProductCard', 'product:42'])`. Returns the number of
+   * removed entries.
+   */
+  purge (tag: string | Array<string>): number {
+    const tags = Array.isArray(tag) ? tag : [tag]
+    let count = 0
+    this.entries.forEach((entry, key) => {
+      if (tags.every(t => entry.tags.indexOf(t) > -1)) {
+        this.delete(key)
+        count++
+      }
+    })
+    this.purges += count
+    return count
+  }
+
+  clear () {
+    this.entries.clear()
+    this.size = 0
+  }
+
+  stats (): ComponentCacheStats {
+    return {
+      entries: this.entries.size,
+      size: this.size,
+      max: this.max,
+      evictions: this.evictions,
+      expirations: this.expirations,
+      purges: this.purges
+    }
+  }
+
+  peek (key: string): ?CacheEntry {
+    const entry = this.entries.get(key)
+    if (entry && entry.expires <= Date.now()) {
+      this.delete(key)
+      this.expirations++
+      return
+    }
+    return entry
+  }
+
+  prune () {
+    // Map iterates in insertion order, so the first key
+    // is always the least recently used one
+    const keys = this.entries.keys()
+    while (this.size > this.max) {
+      const key: any = keys.next().value
+      this.delete(key)
+      this.evictions++
+    }
+  }
+}
+
+export function createComponentCache (
+  options?: ComponentCacheOptions
+): ComponentCache {
+  return new ComponentCache(options)
+}
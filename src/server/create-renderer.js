@@ -4,18 +4,24 @@ import RenderStream from './render-stream'
 import { createWriteFunction } from './write'
 import { createRenderFunction } from './render'
 import { createPromiseCallback } from './util'
+import { watchRenderAbort, isRenderAbortError } from './abort'
+import { extend, isDef } from 'shared/util'
 import TemplateRenderer from './template-renderer/index'
 import type { ClientManifest } from './template-renderer/index'
+import type { RenderProfile } from './profiler'
+import type { CompilerCache } from 'compiler/cache'
 
 export type Renderer = {
   renderToString: (component: Component, context: any, cb: any) => ?Promise<string>;
   renderToStream: (component: Component, context?: Object) => stream$Readable;
+  getCacheStats: () => Object;
 };
 
 type RenderCache = {
   get: (key: string, cb?: Function) => string | void;
-  set: (key: string, val: string) => void;
+  set: (key: string, val: string, maxAge?: number, tags?: Array<string>) => void;
   has?: (key: string, cb?: Function) => boolean | void;
+  stats?: () => Object;
 };
 
 export type RenderOptions = {
@@ -30,6 +36,11 @@ export type RenderOptions = {
   shouldPrefetch?: Function;
   clientManifest?: ClientManifest;
   runInNewContext?: boolean | 'once';
+  outOfOrder?: boolean;
+  profile?: boolean | (profile: RenderProfile, context: ?Object) => void;
+  compilerCache?: CompilerCache | false;
+  timeout?: number;
+  fallback?: string | (err: Error, context: ?Object) => string;
 };
 
 export function createRenderer ({
@@ -41,9 +52,67 @@ export function createRenderer ({
   cache,
   shouldPreload,
   shouldPrefetch,
-  clientManifest
+  clientManifest,
+  outOfOrder,
+  profile,
+  compilerCache,
+  timeout,
+  fallback
 }: RenderOptions = {}): Renderer {
-  const render = createRenderFunction(modules, directives, isUnaryTag, cache)
+  const cacheStats = { hits: 0, misses: 0, sets: 0 }
+  const render = createRenderFunction(
+    modules,
+    directives,
+    isUnaryTag,
+    cache,
+    cacheStats,
+    profile,
+    compilerCache
+  )
+
+  // run a render that is cancelled after the configured timeout or when
+  // the abort signal of the context fires. When a fallback is configured,
+  // a cancelled render is finished with the fallback html instead.
+  const renderWithAbort = (
+    component: Component,
+    write: (text: string, next: Function) => void,
+    context: ?Object,
+    done: (err: ?Error, fallbackHtml?: string) => void,
+    outOfOrder?: boolean
+  ) => {
+    let abort
+    let abortError
+    const release = watchRenderAbort(err => {
+      if (abort) {
+        abort(err)
+      } else {
+        abortError = err
+      }
+    }, timeout, context && context.signal)
+    const finish = err => {
+      release()
+      if (err && isDef(fallback) && isRenderAbortError(err)) {
+        done(err, typeof fallback === 'function'
+          ? fallback(err, context)
+          : fallback
+        )
+      } else {
+        done(err)
+      }
+    }
+    // the signal may already be aborted before the render starts
+    if (abortError) {
+      finish(abortError)
+    } else {
+      try {
+        abort = render(component, write, context, finish, outOfOrder)
+      } catch (e) {
+        release()
+        throw e
+      }
+    }
+  }
+
   const templateRenderer = new TemplateRenderer({
     template,
     inject,
@@ -78,7 +147,11 @@ export function createRenderer ({
         return false
       }, cb)
       try {
-        render(component, write, context, err => {
+        renderWithAbort(component, write, context, (err, fallbackHtml) => {
+          if (isDef(fallbackHtml)) {
+            result = fallbackHtml
+            err = null
+          }
           if (template) {
             result = templateRenderer.renderSync(result, context)
           }
@@ -103,7 +176,12 @@ export function createRenderer ({
         templateRenderer.bindRenderFns(context)
       }
       const renderStream = new RenderStream((write, done) => {
-        render(component, write, context, done)
+        renderWithAbort(component, write, context, (err, fallbackHtml) => {
+          if (isDef(fallbackHtml) && renderStream.replace(fallbackHtml)) {
+            err = null
+          }
+          done(err)
+        }, outOfOrder)
       })
       if (!template) {
         return renderStream
@@ -115,6 +193,15 @@ export function createRenderer ({
         renderStream.pipe(templateStream)
         return templateStream
       }
+    },
+
+    // hit/miss counters of component caching across all renders, merged
+    // with the storage stats of the cache if it provides them
+    getCacheStats (): Object {
+      const stats = extend({}, cacheStats)
+      return cache && typeof cache.stats === 'function'
+        ? extend(stats, cache.stats())
+        : stats
     }
   }
 }
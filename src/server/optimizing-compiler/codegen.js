@@ -17,6 +17,7 @@ import {
 import {
   genAttrSegments,
   genDOMPropSegments,
+  genDynamicKeySegments,
   genClassSegments,
   genStyleSegments,
   applyModelTransform
@@ -97,7 +98,7 @@ function genSSRChildren (el, state, checkSkip) {
 function genSSRNode (el, state) {
   return el.type === 1
     ? genSSRElement(el, state)
-    : genText(el)
+    : genText(el, state)
 }
 
 function genChildrenAsStringNode (el, state) {
@@ -159,8 +160,14 @@ function elementToOpenTagSegments (el, state): Array<StringSegment> {
     segments.push.apply(segments, genAttrSegments(el.attrs))
   }
   // domProps
-  if (el.props) {
-    segments.push.apply(segments, genDOMPropSegments(el.props, el.attrs))
+  const props = el.props
+  if (props) {
+    segments.push.apply(segments, genDOMPropSegments(props, el.attrs))
+    segments.push.apply(segments, genDynamicKeySegments(props, true))
+  }
+  // v-bind:[name]
+  if (el.dynamicAttrs) {
+    segments.push.apply(segments, genDynamicKeySegments(el.dynamicAttrs, false))
   }
   // v-bind="object"
   if ((binding = el.attrsMap['v-bind'])) {
@@ -3,14 +3,22 @@
 import { parse } from 'compiler/parser/index'
 import { generate } from './codegen'
 import { optimize } from './optimizer'
+import { transformAST, runBeforeGenerate } from 'compiler/transform'
 import { createCompilerCreator } from 'compiler/create-compiler'
 
 export const createCompiler = createCompilerCreator(function baseCompile (
   template: string,
   options: CompilerOptions
 ): CompiledResult {
-  const ast = parse(template.trim(), options)
+  let ast = parse(template.trim(), options)
+  const transforms = options.transforms
+  if (transforms) {
+    ast = transformAST(ast, transforms, options)
+  }
   optimize(ast, options)
+  if (transforms) {
+    runBeforeGenerate(ast, transforms, options)
+  }
   const code = generate(ast, options)
   return {
     ast,
@@ -19,8 +19,6 @@ import {
 import type { StringSegment } from './codegen'
 import type { CodegenState } from 'compiler/codegen/index'
 
-type Attr = { name: string; value: string };
-
 const plainStringRE = /^"(?:[^"\\]|\\.)*"$|^'(?:[^'\\]|\\.)*'$/
 
 // let the model AST transform translate v-model into appropriate
@@ -42,17 +40,18 @@ export function applyModelTransform (el: ASTElement, state: CodegenState) {
 }
 
 export function genAttrSegments (
-  attrs: Array<Attr>
+  attrs: Array<ASTAttr>
 ): Array<StringSegment> {
   return attrs.map(({ name, value }) => genAttrSegment(name, value))
 }
 
 export function genDOMPropSegments (
-  props: Array<Attr>,
-  attrs: ?Array<Attr>
+  props: Array<ASTAttr>,
+  attrs: ?Array<ASTAttr>
 ): Array<StringSegment> {
   const segments = []
-  props.forEach(({ name, value }) => {
+  props.forEach(({ name, value, dynamic }) => {
+    if (dynamic) return
     name = propsToAttrMap[name] || name.toLowerCase()
     if (isRenderableAttr(name) &&
       !(attrs && attrs.some(a => a.name === name))
@@ -87,6 +86,23 @@ function genAttrSegment (name: string, value: string): StringSegment {
   }
 }
 
+// attrs and props with dynamic names can only be rendered once their names
+// are known, through the same helpers as v-bind="object"
+export function genDynamicKeySegments (
+  props: Array<ASTAttr>,
+  asProp: boolean
+): Array<StringSegment> {
+  const dynamicProps = props.filter(p => p.dynamic)
+  if (!dynamicProps.length) {
+    return []
+  }
+  const keys = dynamicProps.map(({ name, value }) => `${name},${value}`).join(',')
+  return [{
+    type: EXPRESSION,
+    value: `${asProp ? '_ssrDOMProps' : '_ssrAttrs'}(_d({},[${keys}]))`
+  }]
+}
+
 export function genClassSegments (
   staticClass: ?string,
   classBinding: ?string
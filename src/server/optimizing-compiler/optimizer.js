@@ -47,9 +47,12 @@ function walk (node: ASTNode, isRoot?: boolean) {
     node.ssrOptimizability = optimizability.CHILDREN
   }
   if (node.type === 1) {
+    // the root nodes of a fragment are rendered as separate vnodes, like on
+    // the client
+    const isFragment = isRoot && node.tag === 'template'
     for (let i = 0, l = node.children.length; i < l; i++) {
       const child = node.children[i]
-      walk(child)
+      walk(child, isFragment)
       check(child)
     }
     if (node.ifConditions) {
@@ -84,6 +87,7 @@ function optimizeSiblings (el) {
         tag: 'template',
         attrsList: [],
         attrsMap: {},
+        rawAttrsMap: {},
         children: currentOptimizableGroup,
         ssrOptimizability: optimizability.FULL
       })
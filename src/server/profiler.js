@@ -0,0 +1,67 @@
+/* @flow */
+
+/**
+ * Opt-in instrumentation of a single render, enabled with the renderer's
+ * `profile` option. Times are in milliseconds and span start times are
+ * relative to the start of the render.
+ */
+
+export type RenderMeasure = {
+  type: 'render' | 'compile' | 'async';
+  name: string;
+  start: number;
+  duration: number;
+};
+
+export type RenderProfile = {
+  duration: number;
+  bytes: number;
+  cache: {
+    hits: number;
+    misses: number;
+  };
+  measures: Array<RenderMeasure>;
+};
+
+const now: () => number = typeof process !== 'undefined' && process.hrtime
+  ? () => {
+    const time = process.hrtime()
+    return time[0] * 1e3 + time[1] / 1e6
+  }
+  : () => Date.now()
+
+export class RenderProfiler {
+  startTime: number;
+  bytes: number;
+  cache: { hits: number; misses: number };
+  measures: Array<RenderMeasure>;
+
+  constructor () {
+    this.startTime = now()
+    this.bytes = 0
+    this.cache = { hits: 0, misses: 0 }
+    this.measures = []
+  }
+
+  now (): number {
+    return now()
+  }
+
+  measure (type: $PropertyType<RenderMeasure, 'type'>, name: string, start: number) {
+    this.measures.push({
+      type,
+      name,
+      start: start - this.startTime,
+      duration: now() - start
+    })
+  }
+
+  finish (): RenderProfile {
+    return {
+      duration: now() - this.startTime,
+      bytes: this.bytes,
+      cache: this.cache,
+      measures: this.measures
+    }
+  }
+}
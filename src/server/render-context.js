@@ -1,6 +1,9 @@
 /* @flow */
 
-import { isUndef } from 'shared/util'
+import { isDef, isUndef } from 'shared/util'
+import type { AsyncBoundaries } from './async-boundaries'
+import type { RenderProfiler } from './profiler'
+import type { CompilerCache } from 'compiler/cache'
 
 type RenderState = {
   type: 'Element';
@@ -22,6 +25,19 @@ type RenderState = {
   bufferIndex: number;
   componentBuffer: Array<Set<Class<Component>>>;
   key: string;
+  maxAge: ?number;
+  tags: ?Array<string>;
+};
+
+export type RenderAbortState = {
+  aborted: boolean;
+  instances: Array<Component>;
+};
+
+export type RenderCacheStats = {
+  hits: number;
+  misses: number;
+  sets: number;
 };
 
 export class RenderContext {
@@ -40,6 +56,13 @@ export class RenderContext {
   cache: any;
   get: ?(key: string, cb: Function) => void;
   has: ?(key: string, cb: Function) => void;
+  cacheStats: RenderCacheStats;
+  profiler: ?RenderProfiler;
+  compilerCache: ?CompilerCache | false;
+  abortState: RenderAbortState;
+
+  boundaries: ?AsyncBoundaries;
+  boundaryId: ?number;
 
   constructor (options: Object) {
     this.userContext = options.userContext
@@ -61,11 +84,22 @@ export class RenderContext {
     this.cache = cache
     this.get = cache && normalizeAsync(cache, 'get')
     this.has = cache && normalizeAsync(cache, 'has')
+    this.cacheStats = options.cacheStats || { hits: 0, misses: 0, sets: 0 }
+    this.profiler = options.profiler
+    this.compilerCache = options.compilerCache
+    this.abortState = options.abortState || { aborted: false, instances: [] }
+
+    // out-of-order streaming of async components
+    this.boundaries = options.boundaries
+    this.boundaryId = options.boundaryId
 
     this.next = this.next.bind(this)
   }
 
   next () {
+    if (this.abortState.aborted) {
+      return
+    }
     const lastState = this.renderStates[this.renderStates.length - 1]
     if (isUndef(lastState)) {
       return this.done()
@@ -94,12 +128,19 @@ export class RenderContext {
         break
       case 'ComponentWithCache':
         this.renderStates.pop()
-        const { buffer, bufferIndex, componentBuffer, key } = lastState
+        const { buffer, bufferIndex, componentBuffer, key, maxAge, tags } = lastState
         const result = {
           html: buffer[bufferIndex],
           components: componentBuffer[bufferIndex]
         }
-        this.cache.set(key, result)
+        // only pass the per-component max age and tags when the component
+        // defines them, so that plain get/set caches keep working as before
+        if (isDef(maxAge) || isDef(tags)) {
+          this.cache.set(key, result, maxAge, tags)
+        } else {
+          this.cache.set(key, result)
+        }
+        this.cacheStats.sets++
         if (bufferIndex === 0) {
           // this is a top-level cached component,
           // exit caching mode.
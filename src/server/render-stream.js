@@ -21,12 +21,14 @@ export default class RenderStream extends stream.Readable {
   next: Function;
   end: Function;
   done: boolean;
+  pushed: boolean;
 
   constructor (render: Function) {
     super()
     this.buffer = ''
     this.render = render
     this.expectedSize = 0
+    this.pushed = false
 
     this.write = createWriteFunction((text, next) => {
       const n = this.expectedSize
@@ -41,7 +43,10 @@ export default class RenderStream extends stream.Readable {
       this.emit('error', err)
     })
 
-    this.end = () => {
+    this.end = (err?: Error) => {
+      if (err) {
+        return this.emit('error', err)
+      }
       // the rendering is finished; we should push out the last of the buffer.
       this.done = true
       this.push(this.buffer)
@@ -51,9 +56,20 @@ export default class RenderStream extends stream.Readable {
   pushBySize (n: number) {
     const bufferToPush = this.buffer.substring(0, n)
     this.buffer = this.buffer.substring(n)
+    this.pushed = true
     this.push(bufferToPush)
   }
 
+  // replace the output that has not been pushed yet, e.g. with a fallback
+  // when the render is aborted. Returns false if it is too late to do so.
+  replace (text: string): boolean {
+    if (this.pushed) {
+      return false
+    }
+    this.buffer = text
+    return true
+  }
+
   tryRender () {
     try {
       this.render(this.write, this.end)
@@ -3,6 +3,16 @@
 import { escape } from 'web/server/util'
 import { SSR_ATTR } from 'shared/constants'
 import { RenderContext } from './render-context'
+import type { RenderCacheStats } from './render-context'
+import { createWriteFunction } from './write'
+import { RenderProfiler } from './profiler'
+import type { RenderProfile } from './profiler'
+import type { CompilerCache } from 'compiler/cache'
+import {
+  AsyncBoundaries,
+  renderPlaceholderStart,
+  renderPlaceholderEnd
+} from './async-boundaries'
 import { generateComponentTrace } from 'core/util/debug'
 import { ssrCompileToFunctions } from 'web/server/compiler'
 import { installSSRHelpers } from './optimizing-compiler/runtime-helpers'
@@ -27,14 +37,24 @@ const onCompilationError = (err, vm) => {
   throw new Error(`\n\u001b[31m${err}${trace}\u001b[39m\n`)
 }
 
-const normalizeRender = vm => {
+const getComponentName = options => {
+  return options.name || options._componentTag || 'anonymous'
+}
+
+const normalizeRender = (vm, context) => {
   const { render, template, _scopeId } = vm.$options
   if (isUndef(render)) {
     if (template) {
+      const profiler = context.profiler
+      const start = profiler ? profiler.now() : 0
       const compiled = ssrCompileToFunctions(template, {
         scopeId: _scopeId,
-        warn: onCompilationError
+        warn: onCompilationError,
+        cache: context.compilerCache
       }, vm)
+      if (profiler) {
+        profiler.measure('compile', getComponentName(vm.$options), start)
+      }
 
       vm.$options.render = compiled.render
       vm.$options.staticRenderFns = compiled.staticRenderFns
@@ -49,12 +69,19 @@ const normalizeRender = vm => {
 }
 
 function renderNode (node, isRoot, context) {
+  // an aborted render may still have pending async components
+  // or serverPrefetch hooks resolving after the fact
+  if (context.abortState.aborted) {
+    return
+  }
   if (node.isString) {
     renderStringNode(node, context)
   } else if (isDef(node.componentOptions)) {
     renderComponent(node, isRoot, context)
   } else if (isDef(node.tag)) {
     renderElement(node, isRoot, context)
+  } else if (isTrue(node.isFragment)) {
+    renderFragment(node, context)
   } else if (isTrue(node.isComment)) {
     if (isDef(node.asyncFactory)) {
       // async component
@@ -92,33 +119,32 @@ function renderComponent (node, isRoot, context) {
 
   if (isDef(getKey) && isDef(cache) && isDef(name)) {
     const key = name + '::' + getKey(node.componentOptions.propsData)
-    const { has, get } = context
+    const { has, get, cacheStats, profiler } = context
+    const onCacheResult = res => {
+      if (isDef(res)) {
+        cacheStats.hits++
+        if (profiler) profiler.cache.hits++
+        if (isDef(registerComponent)) {
+          registerComponent(userContext)
+        }
+        res.components.forEach(register => register(userContext))
+        write(res.html, next)
+      } else {
+        cacheStats.misses++
+        if (profiler) profiler.cache.misses++
+        renderComponentWithCache(node, isRoot, key, context)
+      }
+    }
     if (isDef(has)) {
       has(key, hit => {
         if (hit === true && isDef(get)) {
-          get(key, res => {
-            if (isDef(registerComponent)) {
-              registerComponent(userContext)
-            }
-            res.components.forEach(register => register(userContext))
-            write(res.html, next)
-          })
+          get(key, onCacheResult)
         } else {
-          renderComponentWithCache(node, isRoot, key, context)
+          onCacheResult()
         }
       })
     } else if (isDef(get)) {
-      get(key, res => {
-        if (isDef(res)) {
-          if (isDef(registerComponent)) {
-            registerComponent(userContext)
-          }
-          res.components.forEach(register => register(userContext))
-          write(res.html, next)
-        } else {
-          renderComponentWithCache(node, isRoot, key, context)
-        }
-      })
+      get(key, onCacheResult)
     }
   } else {
     if (isDef(getKey) && isUndef(cache)) {
@@ -146,9 +172,12 @@ function renderComponentWithCache (node, isRoot, key, context) {
   const bufferIndex = buffer.push('') - 1
   const componentBuffer = write.componentBuffer
   componentBuffer.push(new Set())
+  const { Ctor, propsData } = node.componentOptions
   context.renderStates.push({
     type: 'ComponentWithCache',
     key,
+    maxAge: resolveCacheOption(Ctor.options.serverCacheTTL, propsData),
+    tags: resolveCacheOption(Ctor.options.serverCacheTags, propsData),
     buffer,
     bufferIndex,
     componentBuffer
@@ -156,6 +185,12 @@ function renderComponentWithCache (node, isRoot, key, context) {
   renderComponentInner(node, isRoot, context)
 }
 
+// serverCacheTTL and serverCacheTags can either be static
+// or computed from the component's props
+function resolveCacheOption (option, props) {
+  return typeof option === 'function' ? option(props) : option
+}
+
 function renderComponentInner (node, isRoot, context) {
   const prevActive = context.activeInstance
   // expose userContext on vnode
@@ -164,54 +199,57 @@ function renderComponentInner (node, isRoot, context) {
     node,
     context.activeInstance
   )
-  normalizeRender(child)
-  const childNode = child._render()
-  childNode.parent = node
-  context.renderStates.push({
-    type: 'Component',
-    prevActive
-  })
-  renderNode(childNode, isRoot, context)
+  context.abortState.instances.push(child)
+  const profiler = context.profiler
+  normalizeRender(child, context)
+
+  const resolve = () => {
+    const start = profiler ? profiler.now() : 0
+    const childNode = child._render()
+    if (profiler) {
+      profiler.measure('render', getComponentName(child.$options), start)
+    }
+    childNode.parent = node
+    context.renderStates.push({
+      type: 'Component',
+      prevActive
+    })
+    renderNode(childNode, isRoot, context)
+  }
+
+  const reject = context.done
+
+  waitForServerPrefetch(child, resolve, reject)
+}
+
+// serverPrefetch hooks may return a Promise; the component's subtree is only
+// rendered once all of them have resolved.
+function waitForServerPrefetch (vm, resolve, reject) {
+  let handlers = vm.$options.serverPrefetch
+  if (isDef(handlers)) {
+    if (!Array.isArray(handlers)) handlers = [handlers]
+    try {
+      const promises = []
+      for (let i = 0, j = handlers.length; i < j; i++) {
+        const result = handlers[i].call(vm, vm)
+        if (result && typeof result.then === 'function') {
+          promises.push(result)
+        }
+      }
+      Promise.all(promises).then(resolve).catch(reject)
+    } catch (e) {
+      reject(e)
+    }
+    return
+  }
+  resolve()
 }
 
 function renderAsyncComponent (node, isRoot, context) {
   const factory = node.asyncFactory
 
   const resolve = comp => {
-    if (comp.__esModule && comp.default) {
-      comp = comp.default
-    }
-    const { data, children, tag } = node.asyncMeta
-    const nodeContext = node.asyncMeta.context
-    const resolvedNode: any = createComponent(
-      comp,
-      data,
-      nodeContext,
-      children,
-      tag
-    )
-    if (resolvedNode) {
-      if (resolvedNode.componentOptions) {
-        // normal component
-        renderComponent(resolvedNode, isRoot, context)
-      } else if (!Array.isArray(resolvedNode)) {
-        // single return node from functional component
-        renderNode(resolvedNode, isRoot, context)
-      } else {
-        // multiple return nodes from functional component
-        context.renderStates.push({
-          type: 'Fragment',
-          children: resolvedNode,
-          rendered: 0,
-          total: resolvedNode.length
-        })
-        context.next()
-      }
-    } else {
-      // invalid component, but this does not throw on the client
-      // so render empty comment node
-      context.write(`<!---->`, context.next)
-    }
+    renderResolvedAsyncComponent(comp, node, isRoot, context)
   }
 
   if (factory.resolved) {
@@ -219,7 +257,73 @@ function renderAsyncComponent (node, isRoot, context) {
     return
   }
 
-  const reject = context.done
+  // the root node cannot be deferred, and neither can anything
+  // inside a component whose output is being cached
+  if (isDef(context.boundaries) && !isRoot && !context.write.caching) {
+    renderAsyncPlaceholder(node, context)
+    return
+  }
+
+  invokeAsyncFactory(factory, measureAsync(resolve, node, context), context.done)
+}
+
+// record the time spent waiting for an async component to resolve
+function measureAsync (resolve, node, context) {
+  const profiler = context.profiler
+  if (!profiler) {
+    return resolve
+  }
+  const start = profiler.now()
+  return comp => {
+    const options = comp && (comp.__esModule && comp.default ? comp.default : comp)
+    const name = options && (typeof options === 'function' ? options.options : options).name
+    profiler.measure('async', name || node.asyncMeta.tag, start)
+    resolve(comp)
+  }
+}
+
+function renderResolvedAsyncComponent (comp, node, isRoot, context) {
+  if (comp.__esModule && comp.default) {
+    comp = comp.default
+  }
+  const resolvedNode: any = createAsyncMetaNode(comp, node)
+  if (resolvedNode) {
+    if (resolvedNode.componentOptions) {
+      // normal component
+      renderComponent(resolvedNode, isRoot, context)
+    } else if (!Array.isArray(resolvedNode)) {
+      // single return node from functional component
+      renderNode(resolvedNode, isRoot, context)
+    } else {
+      // multiple return nodes from functional component
+      context.renderStates.push({
+        type: 'Fragment',
+        children: resolvedNode,
+        rendered: 0,
+        total: resolvedNode.length
+      })
+      context.next()
+    }
+  } else {
+    // invalid component, but this does not throw on the client
+    // so render empty comment node
+    context.write(`<!---->`, context.next)
+  }
+}
+
+function createAsyncMetaNode (comp, node) {
+  const { data, children, tag } = node.asyncMeta
+  const nodeContext = node.asyncMeta.context
+  return createComponent(
+    comp,
+    data,
+    nodeContext,
+    children,
+    tag
+  )
+}
+
+function invokeAsyncFactory (factory, resolve, reject) {
   let res
   try {
     res = factory(resolve, reject)
@@ -237,6 +341,93 @@ function renderAsyncComponent (node, isRoot, context) {
       }
     }
   }
+  return res
+}
+
+function renderAsyncPlaceholder (node, context) {
+  const factory = node.asyncFactory
+  const boundaries: AsyncBoundaries = (context.boundaries: any)
+  const activeInstance = context.activeInstance
+
+  // the factory may resolve synchronously, in which case the component
+  // is rendered inline as usual
+  let id
+  let syncResolved
+  const resolve = comp => {
+    if (isDef(id)) {
+      renderDeferredAsyncComponent(comp, node, id, activeInstance, context)
+    } else if (isUndef(syncResolved)) {
+      syncResolved = comp
+    }
+  }
+  const reject = err => {
+    boundaries.reject(err)
+  }
+
+  const res = invokeAsyncFactory(factory, measureAsync(resolve, node, context), reject)
+  if (isDef(syncResolved)) {
+    renderResolvedAsyncComponent(syncResolved, node, false, context)
+    return
+  }
+
+  id = boundaries.create(context.boundaryId)
+  const start = renderPlaceholderStart(id)
+  const end = renderPlaceholderEnd(id)
+  const loading = res && res.loading
+  const loadingNode: any = loading && createAsyncMetaNode(
+    loading.__esModule && loading.default ? loading.default : loading,
+    node
+  )
+  if (loadingNode && !Array.isArray(loadingNode)) {
+    // render the loading component between the markers
+    context.renderStates.push({
+      type: 'Element',
+      children: [loadingNode],
+      rendered: 0,
+      total: 1,
+      endTag: end
+    })
+    context.write(start, context.next)
+  } else {
+    context.write(start + end, context.next)
+  }
+}
+
+function renderDeferredAsyncComponent (comp, node, id, activeInstance, parentContext) {
+  const boundaries: AsyncBoundaries = (parentContext.boundaries: any)
+  let html = ''
+  const write = createWriteFunction(text => {
+    html += text
+    return false
+  }, err => boundaries.reject(err))
+  const context = new RenderContext({
+    activeInstance,
+    userContext: parentContext.userContext,
+    write,
+    done: err => {
+      if (err) {
+        boundaries.reject(err)
+      } else {
+        boundaries.resolve(id, html)
+      }
+    },
+    renderNode,
+    isUnaryTag: parentContext.isUnaryTag,
+    modules: parentContext.modules,
+    directives: parentContext.directives,
+    cache: parentContext.cache,
+    cacheStats: parentContext.cacheStats,
+    profiler: parentContext.profiler,
+    compilerCache: parentContext.compilerCache,
+    abortState: parentContext.abortState,
+    boundaries,
+    boundaryId: id
+  })
+  try {
+    renderResolvedAsyncComponent(comp, node, false, context)
+  } catch (e) {
+    boundaries.reject(e)
+  }
 }
 
 function renderStringNode (el, context) {
@@ -288,6 +479,20 @@ function renderElement (el, isRoot, context) {
   }
 }
 
+// the root nodes of a component are wrapped in comments marking the
+// anchors of the fragment, for hydration
+function renderFragment (node, context) {
+  const children: Array<VNode> = node.children
+  context.renderStates.push({
+    type: 'Element',
+    children,
+    rendered: 0,
+    total: children.length,
+    endTag: '<!--]-->'
+  })
+  context.write('<!--[-->', context.next)
+}
+
 function hasAncestorData (node: VNode) {
   const parentNode = node.parent
   return isDef(parentNode) && (isDef(parentNode.data) || hasAncestorData(parentNode))
@@ -373,24 +578,96 @@ export function createRenderFunction (
   modules: Array<(node: VNode) => ?string>,
   directives: Object,
   isUnaryTag: Function,
-  cache: any
+  cache: any,
+  cacheStats?: RenderCacheStats,
+  profile?: boolean | (profile: RenderProfile, userContext: ?Object) => void,
+  compilerCache?: CompilerCache | false
 ) {
   return function render (
     component: Component,
     write: (text: string, next: Function) => void,
     userContext: ?Object,
-    done: Function
-  ) {
+    done: Function,
+    outOfOrder?: boolean
+  ): (err: Error) => void {
     warned = Object.create(null)
+    let profiler
+    if (profile) {
+      profiler = new RenderProfiler()
+      write.profiler = profiler
+      const finish = done
+      done = err => {
+        const report = (profiler: any).finish()
+        if (userContext) {
+          userContext.renderProfile = report
+        }
+        if (typeof profile === 'function') {
+          profile(report, userContext)
+        }
+        finish(err)
+      }
+    }
+    // make sure the render is only finished once, whether it
+    // completes or is aborted
+    let finished = false
+    const finish = done
+    done = err => {
+      if (!finished) {
+        finished = true
+        finish(err)
+      }
+    }
+    let boundaries
+    if (outOfOrder) {
+      // the main tree is done once all deferred async components
+      // have been flushed after it
+      boundaries = new AsyncBoundaries(write, done)
+      done = err => {
+        if (err) {
+          boundaries.reject(err)
+        } else {
+          boundaries.drain()
+        }
+      }
+    }
+    const abortState = { aborted: false, instances: [] }
     const context = new RenderContext({
       activeInstance: component,
       userContext,
       write, done, renderNode,
       isUnaryTag, modules, directives,
-      cache
+      cache,
+      cacheStats,
+      profiler,
+      compilerCache,
+      abortState,
+      boundaries
     })
     installSSRHelpers(component)
-    normalizeRender(component)
-    renderNode(component._render(), true, context)
+    normalizeRender(component, context)
+
+    const resolve = () => {
+      const start = profiler ? profiler.now() : 0
+      const node = component._render()
+      if (profiler) {
+        profiler.measure('render', getComponentName(component.$options), start)
+      }
+      renderNode(node, true, context)
+    }
+    waitForServerPrefetch(component, resolve, done)
+
+    // stop the traversal, destroy the component instances created
+    // during the render and finish it with the given error
+    return function abort (err: Error) {
+      if (finished || abortState.aborted) {
+        return
+      }
+      abortState.aborted = true
+      const instances = abortState.instances
+      for (let i = instances.length - 1; i >= 0; i--) {
+        instances[i].$destroy()
+      }
+      done(err)
+    }
   }
 }
@@ -4,6 +4,14 @@ export const isJS = (file: string): boolean => /\.js(\?[^.]+)?$/.test(file)
 
 export const isCSS = (file: string): boolean => /\.css(\?[^.]+)?$/.test(file)
 
+// size of rendered html in bytes, falling back to string length
+// in non-Node environments
+export function byteLength (text: string): number {
+  return typeof Buffer !== 'undefined'
+    ? Buffer.byteLength(text)
+    : text.length
+}
+
 export function createPromiseCallback () {
   let resolve, reject
   const promise: Promise<string> = new Promise((_resolve, _reject) => {
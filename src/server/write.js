@@ -1,5 +1,8 @@
 /* @flow */
 
+import { byteLength } from './util'
+import type { RenderProfiler } from './profiler'
+
 const MAX_STACK_DEPTH = 1000
 const noop = _ => _
 
@@ -28,6 +31,10 @@ export function createWriteFunction (
     if (text && cachedWrite.caching) {
       cachedWrite.cacheBuffer[cachedWrite.cacheBuffer.length - 1] += text
     }
+    const profiler: ?RenderProfiler = cachedWrite.profiler
+    if (text && profiler) {
+      profiler.bytes += byteLength(text)
+    }
     const waitForNext = write(text, next)
     if (waitForNext !== true) {
       if (stackDepth >= MAX_STACK_DEPTH) {
@@ -46,5 +53,6 @@ export function createWriteFunction (
   cachedWrite.caching = false
   cachedWrite.cacheBuffer = []
   cachedWrite.componentBuffer = []
+  cachedWrite.profiler = null
   return cachedWrite
 }
@@ -59,6 +59,15 @@ export function isPlainObject (obj: any): boolean {
   return _toString.call(obj) === '[object Object]'
 }
 
+/**
+ * Check if value is a keyed collection, i.e. a Map, Set,
+ * WeakMap or WeakSet.
+ */
+export function isCollection (val: any): boolean {
+  const type = toRawType(val)
+  return type === 'Map' || type === 'Set' || type === 'WeakMap' || type === 'WeakSet'
+}
+
 export function isRegExp (v: any): boolean {
   return _toString.call(v) === '[object RegExp]'
 }
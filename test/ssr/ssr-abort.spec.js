@@ -0,0 +1,156 @@
+import Vue from '../../dist/vue.runtime.common.js'
+import { createRenderer } from '../../packages/vue-server-renderer'
+
+describe('SSR: abort', () => {
+  it('should time out a hung render', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const { renderToString } = createRenderer({ timeout: 20 })
+    renderToString(new Vue({
+      template: `<div><child/><hang/></div>`,
+      components: {
+        child: {
+          template: `<span>hi</span>`,
+          destroyed
+        },
+        // an async component that never resolves
+        hang: () => new Promise(() => {})
+      }
+    }), (err, res) => {
+      expect(err.name).toBe('RenderAbortError')
+      expect(err.code).toBe('RENDER_TIMEOUT')
+      expect(err.message).toContain('Render timed out after 20ms')
+      expect(res).toBeUndefined()
+      expect(destroyed).toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('should reject the promise on timeout', done => {
+    const { renderToString } = createRenderer({ timeout: 20 })
+    renderToString(new Vue({
+      template: `<div><child/><hang/></div>`,
+      components: {
+        child: { template: `<span>hi</span>` },
+        // an async component that never resolves
+        hang: () => new Promise(() => {})
+      }
+    })).catch(err => {
+      expect(err.code).toBe('RENDER_TIMEOUT')
+      done()
+    })
+  })
+
+  it('should abort when the context signal fires', done => {
+    const controller = new AbortController()
+    const { renderToString } = createRenderer()
+    renderToString(new Vue({
+      template: `<div><child/><hang/></div>`,
+      components: {
+        child: { template: `<span>hi</span>` },
+        // an async component that never resolves
+        hang: () => new Promise(() => {})
+      }
+    }), { signal: controller.signal }, err => {
+      expect(err.name).toBe('RenderAbortError')
+      expect(err.code).toBe('RENDER_ABORTED')
+      done()
+    })
+    setTimeout(() => controller.abort(), 10)
+  })
+
+  it('should abort immediately with an already aborted signal', done => {
+    const controller = new AbortController()
+    controller.abort()
+    const created = jasmine.createSpy('created')
+    const { renderToString } = createRenderer()
+    renderToString(new Vue({
+      template: `<div><child/></div>`,
+      components: {
+        child: { template: `<span/>`, created }
+      }
+    }), { signal: controller.signal }, err => {
+      expect(err.code).toBe('RENDER_ABORTED')
+      expect(created).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('should not abort a finished render', done => {
+    const cb = jasmine.createSpy('cb')
+    const controller = new AbortController()
+    const { renderToString } = createRenderer({ timeout: 10 })
+    renderToString(new Vue({
+      template: `<div>hi</div>`
+    }), { signal: controller.signal }, cb)
+    controller.abort()
+    setTimeout(() => {
+      expect(cb.calls.count()).toBe(1)
+      expect(cb).toHaveBeenCalledWith(null, '<div data-server-rendered="true">hi</div>')
+      done()
+    }, 20)
+  })
+
+  it('should render the fallback html when aborted', done => {
+    const fallback = jasmine.createSpy('fallback').and.returnValue('<div id="app"></div>')
+    const context = {}
+    const { renderToString } = createRenderer({
+      timeout: 20,
+      fallback,
+      template: `<html><body><!--vue-ssr-outlet--></body></html>`
+    })
+    renderToString(new Vue({
+      template: `<div><child/><hang/></div>`,
+      components: {
+        child: { template: `<span>hi</span>` },
+        // an async component that never resolves
+        hang: () => new Promise(() => {})
+      }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe(`<html><body><div id="app"></div></body></html>`)
+      const [error, ctx] = fallback.calls.argsFor(0)
+      expect(error.code).toBe('RENDER_TIMEOUT')
+      expect(ctx).toBe(context)
+      done()
+    })
+  })
+
+  it('should emit the abort error on the stream', done => {
+    const { renderToStream } = createRenderer({ timeout: 20 })
+    const stream = renderToStream(new Vue({
+      template: `<div><child/><hang/></div>`,
+      components: {
+        child: { template: `<span>hi</span>` },
+        // an async component that never resolves
+        hang: () => new Promise(() => {})
+      }
+    }))
+    stream.on('data', () => {})
+    stream.on('error', err => {
+      expect(err.code).toBe('RENDER_TIMEOUT')
+      done()
+    })
+  })
+
+  it('should stream the fallback html when nothing was flushed yet', done => {
+    const { renderToStream } = createRenderer({
+      timeout: 20,
+      fallback: '<div id="app"></div>'
+    })
+    const stream = renderToStream(new Vue({
+      template: `<div><child/><hang/></div>`,
+      components: {
+        child: { template: `<span>hi</span>` },
+        // an async component that never resolves
+        hang: () => new Promise(() => {})
+      }
+    }))
+    let res = ''
+    stream.on('data', chunk => { res += chunk })
+    stream.on('error', done.fail)
+    stream.on('end', () => {
+      expect(res).toBe('<div id="app"></div>')
+      done()
+    })
+  })
+})
@@ -0,0 +1,94 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import Vue from '../../dist/vue.runtime.common.js'
+import {
+  createRenderer,
+  createCompilerCache,
+  createFileCacheStore
+} from '../../packages/vue-server-renderer'
+
+function createApp (msg) {
+  return new Vue({
+    template: `<div><item v-for="n in 2" :key="n" :n="n"/></div>`,
+    components: {
+      item: {
+        props: ['n'],
+        template: `<p>${msg} {{ n }}</p>`
+      }
+    }
+  })
+}
+
+function render (renderer, app) {
+  return new Promise((resolve, reject) => {
+    renderer.renderToString(app, (err, res) => err ? reject(err) : resolve(res))
+  })
+}
+
+function removeDir (dir) {
+  fs.readdirSync(dir).forEach(file => {
+    const p = path.join(dir, file)
+    fs.statSync(p).isDirectory() ? removeDir(p) : fs.unlinkSync(p)
+  })
+  fs.rmdirSync(dir)
+}
+
+describe('SSR: compiler cache', () => {
+  let dir
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vue-compiler-cache-'))
+  })
+
+  afterEach(() => {
+    removeDir(dir)
+  })
+
+  it('should compile runtime templates through the cache', done => {
+    const cache = createCompilerCache({ max: 10 })
+    const renderer = createRenderer({ compilerCache: cache })
+    render(renderer, createApp('item')).then(res => {
+      expect(res).toBe('<div data-server-rendered="true"><p>item 1</p><p>item 2</p></div>')
+      // root and item templates
+      expect(cache.size).toBe(2)
+      return render(renderer, createApp('other'))
+    }).then(res => {
+      expect(res).toBe('<div data-server-rendered="true"><p>other 1</p><p>other 2</p></div>')
+      expect(cache.size).toBe(3)
+    }).then(done, done.fail)
+  })
+
+  it('should warm-start from a file store', done => {
+    const createCache = () => createCompilerCache({ store: createFileCacheStore(dir) })
+    render(createRenderer({ compilerCache: createCache() }), createApp('item')).then(() => {
+      const files = fs.readdirSync(dir)
+      expect(files.length).toBe(2)
+      expect(files.every(file => /^[0-9a-f]{16}\.json$/.test(file))).toBe(true)
+      // tamper with the persisted code to check it is used by a new cache,
+      // as would happen after a restart
+      files.forEach(file => {
+        const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'))
+        entry.render = entry.render.replace('item ', 'cached ')
+        fs.writeFileSync(path.join(dir, file), JSON.stringify(entry))
+      })
+      return render(createRenderer({ compilerCache: createCache() }), createApp('item'))
+    }).then(res => {
+      expect(res).toBe('<div data-server-rendered="true"><p>cached 1</p><p>cached 2</p></div>')
+    }).then(done, done.fail)
+  })
+
+  it('should create the store directory and ignore broken entries', done => {
+    const nested = path.join(dir, 'a', 'b')
+    const store = createFileCacheStore(nested)
+    expect(store.get('missing')).toBeUndefined()
+    render(createRenderer({ compilerCache: createCompilerCache({ store }) }), createApp('item')).then(() => {
+      const files = fs.readdirSync(nested)
+      expect(files.length).toBe(2)
+      fs.writeFileSync(path.join(nested, files[0]), '{')
+      expect(store.get(files[0].replace('.json', ''))).toBeUndefined()
+      return render(createRenderer({ compilerCache: createCompilerCache({ store }) }), createApp('item'))
+    }).then(res => {
+      expect(res).toBe('<div data-server-rendered="true"><p>item 1</p><p>item 2</p></div>')
+    }).then(done, done.fail)
+  })
+})
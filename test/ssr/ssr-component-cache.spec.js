@@ -0,0 +1,160 @@
+import Vue from '../../dist/vue.runtime.common.js'
+import { createRenderer, createComponentCache } from '../../packages/vue-server-renderer'
+
+function createApp (ids, extraOptions) {
+  return new Vue({
+    template: `<div><product-card v-for="id in ids" :key="id" :id="id"/></div>`,
+    data: { ids },
+    components: {
+      productCard: Object.assign({
+        name: 'ProductCard',
+        props: ['id'],
+        template: `<span>product {{ id }}</span>`,
+        serverCacheKey: props => props.id
+      }, extraOptions)
+    }
+  })
+}
+
+describe('SSR: component cache', () => {
+  it('should cache components and expose stats on the renderer', done => {
+    const cache = createComponentCache()
+    const renderer = createRenderer({ cache })
+    renderer.renderToString(createApp([1, 2]), err => {
+      expect(err).toBeNull()
+      expect(cache.has('ProductCard::1')).toBe(true)
+      expect(cache.get('ProductCard::2').html).toBe('<span>product 2</span>')
+      renderer.renderToString(createApp([1, 2, 3]), (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toBe(
+          '<div data-server-rendered="true">' +
+          '<span>product 1</span><span>product 2</span><span>product 3</span>' +
+          '</div>'
+        )
+        const stats = renderer.getCacheStats()
+        expect(stats.hits).toBe(2)
+        expect(stats.misses).toBe(3)
+        expect(stats.sets).toBe(3)
+        expect(stats.entries).toBe(3)
+        expect(stats.size).toBe('<span>product 1</span>'.length * 3)
+        done()
+      })
+    })
+  })
+
+  it('should expose hit/miss counters for custom caches', done => {
+    const store = {}
+    const renderer = createRenderer({
+      cache: {
+        get: key => store[key],
+        set: (key, val) => { store[key] = val }
+      }
+    })
+    renderer.renderToString(createApp([1, 1]), err => {
+      expect(err).toBeNull()
+      expect(renderer.getCacheStats()).toEqual({ hits: 1, misses: 1, sets: 1 })
+      done()
+    })
+  })
+
+  it('should evict least recently used entries by size of cached html', done => {
+    const entrySize = '<span>product 1</span>'.length
+    const cache = createComponentCache({ max: entrySize * 2 })
+    const renderer = createRenderer({ cache })
+    renderer.renderToString(createApp([1, 2]), () => {
+      // touch 1 so that 2 becomes the least recently used entry
+      cache.get('ProductCard::1')
+      renderer.renderToString(createApp([3]), () => {
+        expect(cache.has('ProductCard::1')).toBe(true)
+        expect(cache.has('ProductCard::2')).toBe(false)
+        expect(cache.has('ProductCard::3')).toBe(true)
+        expect(cache.stats().size).toBe(entrySize * 2)
+        expect(cache.stats().evictions).toBe(1)
+        done()
+      })
+    })
+  })
+
+  it('should not cache html larger than the size limit', () => {
+    const cache = createComponentCache({ max: 4 })
+    cache.set('Foo::1', { html: '<div></div>', components: new Set() })
+    expect(cache.has('Foo::1')).toBe(false)
+    expect(cache.stats().size).toBe(0)
+  })
+
+  describe('expiration', () => {
+    beforeEach(() => {
+      jasmine.clock().install()
+      jasmine.clock().mockDate(new Date(2018, 0, 1))
+    })
+
+    afterEach(() => {
+      jasmine.clock().uninstall()
+    })
+
+    it('should expire entries after the default max age', () => {
+      const cache = createComponentCache({ maxAge: 1000 })
+      cache.set('Foo::1', { html: '<div></div>', components: new Set() })
+      jasmine.clock().tick(999)
+      expect(cache.has('Foo::1')).toBe(true)
+      jasmine.clock().tick(1)
+      expect(cache.get('Foo::1')).toBeUndefined()
+      expect(cache.stats().expirations).toBe(1)
+      expect(cache.stats().entries).toBe(0)
+    })
+
+    it('should respect per-component serverCacheTTL', done => {
+      const cache = createComponentCache({ maxAge: 60 * 1000 })
+      const renderer = createRenderer({ cache })
+      renderer.renderToString(createApp([1, 2], {
+        serverCacheTTL: props => props.id === 1 ? 1000 : undefined
+      }), () => {
+        jasmine.clock().tick(1000)
+        expect(cache.has('ProductCard::1')).toBe(false)
+        expect(cache.has('ProductCard::2')).toBe(true)
+        done()
+      })
+    })
+  })
+
+  describe('tags', () => {
+    const tagged = {
+      serverCacheTags: props => [`product:${props.id}`]
+    }
+
+    it('should purge entries by component name', done => {
+      const cache = createComponentCache()
+      const renderer = createRenderer({ cache })
+      renderer.renderToString(createApp([1, 2]), () => {
+        expect(cache.purge('ProductCard')).toBe(2)
+        expect(cache.stats().entries).toBe(0)
+        expect(cache.stats().purges).toBe(2)
+        done()
+      })
+    })
+
+    it('should purge entries by serverCacheTags', done => {
+      const cache = createComponentCache()
+      const renderer = createRenderer({ cache })
+      renderer.renderToString(createApp([1, 2], tagged), () => {
+        expect(cache.purge('product:1')).toBe(1)
+        expect(cache.has('ProductCard::1')).toBe(false)
+        expect(cache.has('ProductCard::2')).toBe(true)
+        done()
+      })
+    })
+
+    it('should only purge entries matching all given tags', done => {
+      const cache = createComponentCache()
+      const renderer = createRenderer({ cache })
+      cache.set('ProductPrice::2', { html: '<b></b>', components: new Set() }, 0, ['product:2'])
+      renderer.renderToString(createApp([1, 2], tagged), () => {
+        expect(cache.purge(['ProductCard', 'product:2'])).toBe(1)
+        expect(cache.has('ProductCard::1')).toBe(true)
+        expect(cache.has('ProductCard::2')).toBe(false)
+        expect(cache.has('ProductPrice::2')).toBe(true)
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,104 @@
+import Vue from '../../dist/vue.runtime.common.js'
+import { createRenderer, createComponentCache } from '../../packages/vue-server-renderer'
+
+function createApp (extraComponents) {
+  return new Vue({
+    name: 'app',
+    template: `<div><child/><child/></div>`,
+    components: Object.assign({
+      child: {
+        name: 'child',
+        template: `<span>hi</span>`
+      }
+    }, extraComponents)
+  })
+}
+
+describe('SSR: profiler', () => {
+  it('should not profile by default', done => {
+    const context = {}
+    createRenderer().renderToString(createApp(), context, err => {
+      expect(err).toBeNull()
+      expect(context.renderProfile).toBeUndefined()
+      done()
+    })
+  })
+
+  it('should record component render and compile times', done => {
+    const spy = jasmine.createSpy('profile')
+    const context = {}
+    const { renderToString } = createRenderer({ profile: spy })
+    renderToString(createApp(), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(spy.calls.count()).toBe(1)
+      const [profile, userContext] = spy.calls.argsFor(0)
+      expect(userContext).toBe(context)
+      expect(context.renderProfile).toBe(profile)
+
+      const renders = profile.measures.filter(m => m.type === 'render')
+      expect(renders.map(m => m.name)).toEqual(['app', 'child', 'child'])
+      const compiles = profile.measures.filter(m => m.type === 'compile')
+      expect(compiles.map(m => m.name)).toEqual(['app', 'child', 'child'])
+      profile.measures.forEach(m => {
+        expect(m.start).not.toBeLessThan(0)
+        expect(m.duration).not.toBeLessThan(0)
+      })
+      expect(profile.duration).not.toBeLessThan(0)
+      expect(profile.bytes).toBe(Buffer.byteLength(res))
+      done()
+    })
+  })
+
+  it('should count bytes in streaming mode', done => {
+    const context = {}
+    const stream = createRenderer({ profile: true }).renderToStream(createApp({
+      child: { template: `<span>héllo</span>` }
+    }), context)
+    let res = ''
+    stream.on('data', chunk => { res += chunk })
+    stream.on('end', () => {
+      expect(context.renderProfile.bytes).toBe(Buffer.byteLength(res))
+      expect(context.renderProfile.bytes).toBeGreaterThan(res.length)
+      done()
+    })
+  })
+
+  it('should record async component resolution', done => {
+    const context = {}
+    const { renderToString } = createRenderer({ profile: true })
+    renderToString(createApp({
+      child: () => new Promise(resolve => setTimeout(() => resolve({
+        name: 'lazy',
+        template: `<span>lazy</span>`
+      }), 10))
+    }), context, err => {
+      expect(err).toBeNull()
+      const asyncs = context.renderProfile.measures.filter(m => m.type === 'async')
+      expect(asyncs.length).toBe(1)
+      expect(asyncs[0].name).toBe('lazy')
+      expect(asyncs[0].duration).toBeGreaterThan(5)
+      done()
+    })
+  })
+
+  it('should count cache hits and misses', done => {
+    const context = {}
+    const { renderToString } = createRenderer({
+      profile: true,
+      cache: createComponentCache()
+    })
+    renderToString(createApp({
+      child: {
+        name: 'child',
+        template: `<span>hi</span>`,
+        serverCacheKey: () => 'static'
+      }
+    }), context, err => {
+      expect(err).toBeNull()
+      expect(context.renderProfile.cache).toEqual({ hits: 1, misses: 1 })
+      const renders = context.renderProfile.measures.filter(m => m.type === 'render')
+      expect(renders.map(m => m.name)).toEqual(['app', 'child'])
+      done()
+    })
+  })
+})
@@ -102,4 +102,178 @@ describe('SSR: renderToStream', () => {
     stream1.read(1)
     stream2.read(1)
   })
+
+  describe('out-of-order async components', () => {
+    const { renderToStream } = createRenderer({ outOfOrder: true })
+
+    function delay (comp, ms = 10) {
+      return () => new Promise(resolve => {
+        setTimeout(() => resolve(comp), ms)
+      })
+    }
+
+    function renderStream (vm, cb) {
+      const stream = renderToStream(vm)
+      let res = ''
+      stream.on('data', chunk => {
+        res += chunk
+      })
+      stream.on('end', () => cb(res))
+    }
+
+    it('should flush a placeholder and stream the resolved component later', done => {
+      renderStream(new Vue({
+        template: `<div><slow/><p>after</p></div>`,
+        components: {
+          slow: delay({ template: `<span>slow</span>` })
+        }
+      }), res => {
+        expect(res).toContain(
+          '<div data-server-rendered="true">' +
+            '<!--vue-ph:0--><!--/vue-ph:0-->' +
+            '<p>after</p>' +
+          '</div>'
+        )
+        expect(res).toContain('function __VUE_ASYNC_SWAP__(i)')
+        expect(res).toContain(
+          '<template id="vue-async-0"><span>slow</span></template>' +
+          '<script>__VUE_ASYNC_SWAP__(0)</script>'
+        )
+        // the swap script is only emitted once
+        expect(res.split('function __VUE_ASYNC_SWAP__').length).toBe(2)
+        done()
+      })
+    })
+
+    it('should render the loading component inside the placeholder', done => {
+      renderStream(new Vue({
+        template: `<div><slow/></div>`,
+        components: {
+          slow: () => ({
+            component: delay({ template: `<span>slow</span>` })(),
+            loading: { template: `<i>loading</i>` }
+          })
+        }
+      }), res => {
+        expect(res).toContain(
+          '<div data-server-rendered="true">' +
+            '<!--vue-ph:0--><i>loading</i><!--/vue-ph:0-->' +
+          '</div>'
+        )
+        expect(res).toContain('<template id="vue-async-0"><span>slow</span></template>')
+        done()
+      })
+    })
+
+    it('should render synchronously resolved components inline', done => {
+      renderStream(new Vue({
+        template: `<div><fast/></div>`,
+        components: {
+          fast: resolve => resolve({ template: `<span>fast</span>` })
+        }
+      }), res => {
+        expect(res).toBe('<div data-server-rendered="true"><span>fast</span></div>')
+        done()
+      })
+    })
+
+    it('should flush chunks in resolution order', done => {
+      renderStream(new Vue({
+        template: `<div><a-comp/><b-comp/></div>`,
+        components: {
+          aComp: delay({ template: `<span>a</span>` }, 30),
+          bComp: delay({ template: `<span>b</span>` }, 5)
+        }
+      }), res => {
+        const a = res.indexOf('<template id="vue-async-0">')
+        const b = res.indexOf('<template id="vue-async-1">')
+        expect(a).toBeGreaterThan(-1)
+        expect(b).toBeGreaterThan(-1)
+        expect(b).toBeLessThan(a)
+        done()
+      })
+    })
+
+    it('should flush nested boundaries after their parent', done => {
+      renderStream(new Vue({
+        template: `<div><outer/></div>`,
+        components: {
+          outer: delay({
+            template: `<section><inner/></section>`,
+            components: {
+              inner: delay({ template: `<span>inner</span>` }, 1)
+            },
+            serverPrefetch () {
+              return new Promise(resolve => setTimeout(resolve, 20))
+            }
+          })
+        }
+      }), res => {
+        const outer = res.indexOf('<template id="vue-async-0">')
+        const inner = res.indexOf('<template id="vue-async-1">')
+        expect(res).toContain(
+          '<template id="vue-async-0">' +
+            '<section><!--vue-ph:1--><!--/vue-ph:1--></section>' +
+          '</template>'
+        )
+        expect(inner).toBeGreaterThan(outer)
+        done()
+      })
+    })
+
+    it('should emit errors from rejected async components', done => {
+      const stream = renderToStream(new Vue({
+        template: `<div><broken/></div>`,
+        components: {
+          broken: () => Promise.reject(new Error('async error'))
+        }
+      }))
+      stream.on('error', err => {
+        expect(err.message).toBe('async error')
+        done()
+      })
+      stream.on('data', _ => _)
+    })
+
+    it('should not defer async components in renderToString', done => {
+      const { renderToString } = createRenderer({ outOfOrder: true })
+      renderToString(new Vue({
+        template: `<div><slow/></div>`,
+        components: {
+          slow: delay({ template: `<span>slow</span>` })
+        }
+      }), (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toBe('<div data-server-rendered="true"><span>slow</span></div>')
+        done()
+      })
+    })
+
+    it('should emit chunks before the template tail', done => {
+      const renderer = createRenderer({
+        outOfOrder: true,
+        template: `<html><head></head><body><!--vue-ssr-outlet--></body></html>`
+      })
+      const context = { state: { a: 1 }}
+      const stream = renderer.renderToStream(new Vue({
+        template: `<div><slow/></div>`,
+        components: {
+          slow: delay({ template: `<span>slow</span>` })
+        }
+      }), context)
+      let res = ''
+      stream.on('data', chunk => {
+        res += chunk
+      })
+      stream.on('end', () => {
+        expect(res.indexOf('<html><head></head><body>')).toBe(0)
+        const chunk = res.indexOf('<template id="vue-async-0">')
+        const state = res.indexOf('<script>window.__INITIAL_STATE__={"a":1}</script>')
+        expect(chunk).toBeGreaterThan(res.indexOf('</div>'))
+        expect(state).toBeGreaterThan(chunk)
+        expect(res).toContain('</body></html>')
+        done()
+      })
+    })
+  })
 })
@@ -794,6 +794,74 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('dynamic arguments', done => {
+    renderVmWithOptions({
+      data: {
+        key: 'id',
+        prop: 'value',
+        event: 'click',
+        value: 'a'
+      },
+      template: `
+        <div :[key]="value" @[event]="value = 'b'">
+          <input :[key]="value" :[prop].prop="value" :[null]="value" @[event]="value = 'b'">
+        </div>
+      `
+    }, result => {
+      expect(result).toContain(
+        '<div id="a" data-server-rendered="true"><input value="a" id="a"></div>'
+      )
+      done()
+    })
+  })
+
+  it('v-slot', done => {
+    renderVmWithOptions({
+      data: {
+        name: 'footer',
+        items: ['a', 'b']
+      },
+      template: `
+        <div>
+          <test>
+            <template v-slot:header="{ msg }"><h1>{{ msg }}</h1></template>
+            <template #[name]><span>{{ items.length }}</span></template>
+            <template v-slot:missing v-if="false">missing</template>
+          </test>
+          <test v-slot="{ msg }"><p v-for="item in items">{{ msg }} {{ item }}</p></test>
+        </div>
+      `,
+      components: {
+        test: {
+          template: `
+            <div>
+              <slot name="header" msg="hi"></slot>
+              <slot msg="hello"></slot>
+              <slot name="missing">fallback</slot>
+              <test-footer><slot name="footer"></slot></test-footer>
+            </div>
+          `,
+          components: {
+            // v-slot content without slot props is also available in $slots
+            testFooter: {
+              render (h) {
+                return h('footer', this.$parent.$slots.footer)
+              }
+            }
+          }
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+          '<div><h1>hi</h1>  fallback <footer><span>2</span></footer></div> ' +
+          '<div> <p>hello a</p><p>hello b</p> fallback <footer></footer></div>' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
   it('custom directives', done => {
     const renderer = createRenderer({
       directives: {
@@ -1101,9 +1169,9 @@ describe('SSR: renderToString', () => {
 
   it('should catch template compilation error', done => {
     renderToString(new Vue({
-      template: `<div></div><div></div>`
+      template: `<div><p v-else></p></div>`
     }), (err) => {
-      expect(err.toString()).toContain('Component template should contain exactly one root element')
+      expect(err.toString()).toContain('v-else used on element <p> without corresponding v-if')
       done()
     })
   })
@@ -1277,6 +1345,202 @@ describe('SSR: renderToString', () => {
       done()
     })
   })
+
+  it('should wait for serverPrefetch before rendering', done => {
+    renderVmWithOptions({
+      template: `<div>{{ count }}</div>`,
+      data: {
+        count: 0
+      },
+      serverPrefetch () {
+        return new Promise(resolve => {
+          setTimeout(() => {
+            this.count = 42
+            resolve()
+          }, 1)
+        })
+      }
+    }, result => {
+      expect(result).toContain('<div data-server-rendered="true">42</div>')
+      done()
+    })
+  })
+
+  it('should wait for serverPrefetch in child components', done => {
+    renderVmWithOptions({
+      template: `<div><child/><child/></div>`,
+      components: {
+        child: {
+          template: `<span>{{ msg }}</span>`,
+          data: () => ({ msg: 'loading' }),
+          serverPrefetch () {
+            return Promise.resolve().then(() => {
+              this.msg = 'loaded'
+            })
+          }
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true"><span>loaded</span><span>loaded</span></div>'
+      )
+      done()
+    })
+  })
+
+  it('should merge serverPrefetch hooks from mixins', done => {
+    const calls = []
+    renderVmWithOptions({
+      template: `<div>{{ calls.join(',') }}</div>`,
+      data: { calls },
+      mixins: [{
+        serverPrefetch () {
+          calls.push('mixin')
+        }
+      }],
+      serverPrefetch () {
+        return Promise.resolve().then(() => {
+          calls.push('own')
+        })
+      }
+    }, result => {
+      expect(result).toContain('<div data-server-rendered="true">mixin,own</div>')
+      done()
+    })
+  })
+
+  it('should propagate serverPrefetch rejections', done => {
+    renderToString(new Vue({
+      template: `<div><child/></div>`,
+      components: {
+        child: {
+          template: `<span>child</span>`,
+          serverPrefetch () {
+            return Promise.reject(new Error('prefetch failed'))
+          }
+        }
+      }
+    }), (err, res) => {
+      expect(err.message).toBe('prefetch failed')
+      expect(res).toBeUndefined()
+      done()
+    })
+  })
+
+  it('should propagate errors thrown synchronously in serverPrefetch', done => {
+    renderToString(new Vue({
+      template: `<div></div>`,
+      serverPrefetch () {
+        throw new Error('sync error')
+      }
+    }), (err, res) => {
+      expect(err.message).toBe('sync error')
+      expect(res).toBeUndefined()
+      done()
+    })
+  })
+
+  it('should cache components after serverPrefetch resolves', done => {
+    const cache = {}
+    const { renderToString } = createRenderer({
+      cache: {
+        get: key => cache[key],
+        set: (key, val) => { cache[key] = val }
+      }
+    })
+    let prefetchCount = 0
+    const app = () => new Vue({
+      template: `<div><child id="1"/></div>`,
+      components: {
+        child: {
+          name: 'child',
+          props: ['id'],
+          template: `<span>{{ msg }}</span>`,
+          data: () => ({ msg: 'loading' }),
+          serverCacheKey: props => props.id,
+          serverPrefetch () {
+            prefetchCount++
+            return Promise.resolve().then(() => {
+              this.msg = 'loaded'
+            })
+          }
+        }
+      }
+    })
+    const expected = '<div data-server-rendered="true"><span>loaded</span></div>'
+    renderToString(app(), (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe(expected)
+      expect(cache['child::1'].html).toBe('<span>loaded</span>')
+      renderToString(app(), (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toBe(expected)
+        expect(prefetchCount).toBe(1)
+        done()
+      })
+    })
+  })
+
+  it('should render portal content in place', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <portal to="body" tag="section"><child /><p>{{ msg }}</p></portal>
+          <portal :to="target" disabled><span>b</span></portal>
+        </div>
+      `,
+      data: { msg: 'hello', target: 'body' },
+      components: {
+        child: {
+          inject: ['theme'],
+          template: '<span>{{ theme }}</span>'
+        }
+      },
+      provide: { theme: 'dark' }
+    }, res => {
+      expect(res).toBe(
+        '<div data-server-rendered="true">' +
+          '<section><span>dark</span><p>hello</p></section> ' +
+          '<div><span>b</span></div>' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('should render fragments with hydration markers', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <list :items="items"></list>
+          <pair>{{ msg }}</pair>
+          <wrapper><b>a</b><i>b</i></wrapper>
+        </div>
+      `,
+      data: { items: [1, 2], msg: 'hello' },
+      components: {
+        list: {
+          props: ['items'],
+          template: '<li v-for="i in items">{{ i }}</li>'
+        },
+        pair: {
+          template: '<p><slot></slot></p><p>static</p>'
+        },
+        wrapper: {
+          template: '<slot></slot>'
+        }
+      }
+    }, res => {
+      expect(res).toBe(
+        '<div data-server-rendered="true">' +
+          '<!--[--><li>1</li><li>2</li><!--]--> ' +
+          '<!--[--><p>hello</p><p>static</p><!--]--> ' +
+          '<!--[--><b>a</b><i>b</i><!--]-->' +
+        '</div>'
+      )
+      done()
+    })
+  })
 })
 
 function renderVmWithOptions (options, cb) {
@@ -0,0 +1,241 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  const frag = html => `<!--[-->${html}<!--]-->`
+
+  it('should render multiple root nodes', done => {
+    const vm = new Vue({
+      template: `<div><test :msg="msg"></test><span>c</span></div>`,
+      data: { msg: 'a' },
+      components: {
+        test: {
+          props: ['msg'],
+          template: `<p>{{ msg }}</p><p v-if="msg !== 'b'">b</p>`
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(vm.$el.innerHTML).toBe(frag('<p>a</p><p>b</p>') + '<span>c</span>')
+    // $el is the start anchor of the fragment
+    expect(child.$el.nodeType).toBe(8)
+    expect(child.$el).toBe(vm.$el.firstChild)
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe(frag('<p>b</p><!---->') + '<span>c</span>')
+      vm.msg = 'c'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe(frag('<p>c</p><p>b</p>') + '<span>c</span>')
+    }).then(done)
+  })
+
+  it('should render root v-for and slots as fragments', done => {
+    const vm = new Vue({
+      template: `
+        <div><list :items="items"></list><wrapper><b>a</b><i>b</i></wrapper></div>
+      `,
+      data: { items: [1, 2] },
+      components: {
+        list: {
+          props: ['items'],
+          template: `<li v-for="i in items" :key="i">{{ i }}</li>`
+        },
+        wrapper: {
+          template: `<slot></slot>`
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe(frag('<li>1</li><li>2</li>') + frag('<b>a</b><i>b</i>'))
+    const li = vm.$el.childNodes[1]
+    vm.items = [3, 2, 1]
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe(frag('<li>3</li><li>2</li><li>1</li>') + frag('<b>a</b><i>b</i>'))
+      expect(vm.$el.childNodes[3]).toBe(li)
+    }).then(done)
+  })
+
+  it('should move and remove fragments', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `<div><test v-for="n in list" :key="n" :n="n"></test></div>`,
+      data: { list: ['a', 'b', 'c'] },
+      components: {
+        test: {
+          props: ['n'],
+          template: `<b>{{ n }}</b><i>{{ n }}</i>`,
+          destroyed
+        }
+      }
+    }).$mount()
+    const render = list => list.map(n => frag(`<b>${n}</b><i>${n}</i>`)).join('')
+    expect(vm.$el.innerHTML).toBe(render(['a', 'b', 'c']))
+    vm.list = ['c', 'a', 'b']
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe(render(['c', 'a', 'b']))
+      vm.list = ['b', 'c']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe(render(['b', 'c']))
+      expect(destroyed.calls.count()).toBe(1)
+      vm.list = ['a', 'b', 'c']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe(render(['a', 'b', 'c']))
+      vm.list = []
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('')
+      expect(destroyed.calls.count()).toBe(4)
+    }).then(done)
+  })
+
+  it('should switch between a single root and a fragment', done => {
+    const vm = new Vue({
+      template: `<div><test :many="many"></test><i>c</i></div>`,
+      data: { many: false },
+      components: {
+        test: {
+          props: ['many'],
+          render (h) {
+            return this.many ? [h('p', 'a'), h('p', 'b')] : h('p', 'a')
+          }
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(vm.$el.innerHTML).toBe('<p>a</p><i>c</i>')
+    vm.many = true
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe(frag('<p>a</p><p>b</p>') + '<i>c</i>')
+      expect(child.$el).toBe(vm.$el.firstChild)
+      vm.many = false
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>a</p><i>c</i>')
+      expect(child.$el).toBe(vm.$el.firstChild)
+    }).then(done)
+  })
+
+  it('should not inherit attributes', () => {
+    const vm = new Vue({
+      template: `<div><test id="foo" class="bar"></test><explicit id="foo" class="bar"></explicit></div>`,
+      components: {
+        test: {
+          template: `<p>a</p><p>b</p>`
+        },
+        explicit: {
+          inheritAttrs: false,
+          template: `<p>a</p><p v-bind="$attrs">b</p>`
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe(
+      frag('<p>a</p><p>b</p>') + frag('<p>a</p><p id="foo">b</p>')
+    )
+    expect(
+      `Attributes (id) can't be inherited by a component rendering multiple root nodes.`
+    ).toHaveBeenWarned()
+    // class and style are not part of $attrs, even with inheritAttrs: false
+    expect(
+      `Bindings (class) can't be applied to a component rendering multiple root nodes`
+    ).toHaveBeenWarned()
+  })
+
+  it('should be deactivated and reactivated by keep-alive', done => {
+    const vm = new Vue({
+      template: `<div><keep-alive><test v-if="ok" :msg="msg"></test></keep-alive></div>`,
+      data: { ok: true, msg: 'a' },
+      components: {
+        test: {
+          props: ['msg'],
+          template: `<p>{{ msg }}</p><p v-if="msg !== 'a'">b</p>`
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe(frag('<p>a</p><!---->'))
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      vm.ok = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe(frag('<p>a</p><!---->'))
+      vm.msg = 'c'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe(frag('<p>c</p><p>b</p>'))
+    }).then(done)
+  })
+
+  it('should hydrate server-rendered fragments', () => {
+    const dom = document.createElement('div')
+    dom.setAttribute('data-server-rendered', 'true')
+    dom.innerHTML = frag('<p>a</p><p>b</p>') + '<span>c</span>'
+    const p = dom.firstChild.nextSibling
+    const vm = new Vue({
+      template: `<div><test></test><span>c</span></div>`,
+      components: {
+        test: {
+          template: `<p>a</p><p>b</p>`
+        }
+      }
+    }).$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$el).toBe(dom)
+    expect(dom.firstChild.nextSibling).toBe(p)
+    expect(vm.$children[0].$el).toBe(dom.firstChild)
+  })
+
+  it('should bail hydration on missing fragment markers', () => {
+    const dom = document.createElement('div')
+    dom.setAttribute('data-server-rendered', 'true')
+    dom.innerHTML = '<p>a</p><p>b</p>'
+    const vm = new Vue({
+      template: `<div><test></test></div>`,
+      components: {
+        test: {
+          template: `<p>a</p><p>b</p>`
+        }
+      }
+    }).$mount(dom)
+    expect('not matching server-rendered content').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe(frag('<p>a</p><p>b</p>'))
+  })
+
+  describe('patching mismatches in place', () => {
+    beforeEach(() => {
+      Vue.config.hydrationMismatch = 'patch-in-place'
+    })
+
+    afterEach(() => {
+      Vue.config.hydrationMismatch = 'warn'
+    })
+
+    function hydrate (html, template) {
+      const dom = document.createElement('div')
+      dom.setAttribute('data-server-rendered', 'true')
+      dom.innerHTML = html
+      const vm = new Vue({
+        template: `<div><test></test><span>c</span></div>`,
+        components: {
+          test: { template }
+        }
+      }).$mount(dom)
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      expect(vm.$el).toBe(dom)
+      return dom
+    }
+
+    it('missing fragment markers', () => {
+      const dom = hydrate('<p>a</p><span>c</span>', `<p>a</p><p>b</p>`)
+      expect('Hydration node mismatch').toHaveBeenWarned()
+      // the following nodes are hydrated as usual
+      expect(dom.innerHTML).toBe(frag('<p>a</p><p>b</p>') + '<span>c</span>')
+    })
+
+    it('missing fragment children', () => {
+      const dom = hydrate(frag('<p>a</p>') + '<span>c</span>', `<p>a</p><p>b</p>`)
+      expect('Hydration children mismatch').toHaveBeenWarned()
+      expect(dom.innerHTML).toBe(frag('<p>a</p><p>b</p>') + '<span>c</span>')
+    })
+
+    it('extra fragment children', () => {
+      const dom = hydrate(frag('<p>a</p><p>b</p><p>x</p>') + '<span>c</span>', `<p>a</p><p>b</p>`)
+      expect('Hydration children mismatch').toHaveBeenWarned()
+      expect(dom.innerHTML).toBe(frag('<p>a</p><p>b</p>') + '<span>c</span>')
+    })
+  })
+})
@@ -0,0 +1,148 @@
+import Vue from 'vue'
+
+describe('Component portal', () => {
+  let target, other
+
+  beforeEach(() => {
+    target = document.createElement('div')
+    target.id = 'portal-target'
+    other = document.createElement('div')
+    document.body.appendChild(target)
+    document.body.appendChild(other)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(target)
+    document.body.removeChild(other)
+  })
+
+  it('should render the content into the target', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <portal to="#portal-target"><p>{{ msg }}</p><span>b</span></portal>
+          <i>c</i>
+        </div>
+      `,
+      data: { msg: 'a' }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!----> <i>c</i>')
+    expect(target.innerHTML).toBe('<div><p>a</p><span>b</span></div>')
+    vm.msg = 'foo'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<div><p>foo</p><span>b</span></div>')
+    }).then(done)
+  })
+
+  it('should keep the logical parent chain', () => {
+    const error = new Error('test')
+    const spy = jasmine.createSpy('errorCaptured').and.returnValue(false)
+    let child
+    const vm = new Vue({
+      template: `<div><portal to="#portal-target"><child /></portal></div>`,
+      provide: { theme: 'dark' },
+      errorCaptured: spy,
+      components: {
+        child: {
+          inject: ['theme'],
+          template: `<span>{{ theme }}</span>`,
+          created () {
+            child = this
+          },
+          mounted () {
+            throw error
+          }
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<div><span>dark</span></div>')
+    expect(child.$parent).toBe(vm)
+    expect(child.$root).toBe(vm)
+    expect(vm.$children).toEqual([child])
+    expect(spy).toHaveBeenCalledWith(error, child, 'mounted hook')
+  })
+
+  it('should move the content between targets', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `<div><portal :to="to"><child /></portal></div>`,
+      data: { to: '#portal-target' },
+      components: {
+        child: { template: `<span>child</span>`, destroyed }
+      }
+    }).$mount()
+    const el = target.firstChild
+    expect(el.outerHTML).toBe('<div><span>child</span></div>')
+    vm.to = other
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      // moved, not re-rendered
+      expect(other.firstChild).toBe(el)
+      expect(destroyed).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should render the content in place when disabled', done => {
+    const vm = new Vue({
+      template: `
+        <div><portal to="#portal-target" tag="section" :disabled="disabled">a</portal></div>
+      `,
+      data: { disabled: true }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<section>a</section>')
+    expect(target.innerHTML).toBe('')
+    vm.disabled = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      expect(target.innerHTML).toBe('<section>a</section>')
+      vm.disabled = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<section>a</section>')
+      expect(target.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should remove the content when destroyed', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `<div><portal v-if="ok" to="#portal-target"><child /></portal></div>`,
+      data: { ok: true },
+      components: {
+        child: { template: `<span>child</span>`, destroyed }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<div><span>child</span></div>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should render server-rendered content in the target once hydrated', done => {
+    const dom = document.createElement('div')
+    dom.setAttribute('data-server-rendered', 'true')
+    dom.innerHTML = '<div><span>foo</span></div>'
+    const vm = new Vue({
+      template: `<div><portal to="#portal-target"><span>{{ msg }}</span></portal></div>`,
+      data: { msg: 'foo' }
+    }).$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<div><span>foo</span></div>')
+    const hydrated = vm.$el.firstChild
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      expect(target.innerHTML).toBe('<div><span>foo</span></div>')
+      // rendered again rather than moved
+      expect(target.firstChild).not.toBe(hydrated)
+    }).then(done)
+  })
+
+  it('should warn when the target is not found', () => {
+    const vm = new Vue({
+      template: `<div><portal to="#missing">a</portal></div>`
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!---->')
+    expect('Cannot find the target of <portal>: #missing').toHaveBeenWarned()
+  })
+})
@@ -593,4 +593,235 @@ describe('Component scoped slot', () => {
       expect(vm.$el.innerHTML).toBe('<p>hello</p>')
     }).then(done)
   })
+
+  describe('v-slot syntax', () => {
+    const Foo = {
+      render (h) {
+        return h('div', [
+          this.$scopedSlots.default && this.$scopedSlots.default('from foo default'),
+          this.$scopedSlots.one && this.$scopedSlots.one('from foo one'),
+          this.$scopedSlots.two && this.$scopedSlots.two('from foo two')
+        ])
+      }
+    }
+
+    const Bar = {
+      render (h) {
+        return this.$scopedSlots.default && this.$scopedSlots.default('from bar')
+      }
+    }
+
+    // named is the prefix of named slots in the same syntax
+    function runSuite (syntax, named) {
+      it('default slot', () => {
+        const vm = new Vue({
+          template: `<foo ${syntax}="foo">{{ foo }}<div>{{ foo }}</div></foo>`,
+          components: { Foo }
+        }).$mount()
+        expect(vm.$el.innerHTML).toBe(`from foo default<div>from foo default</div>`)
+      })
+
+      it('nested default slots', () => {
+        const vm = new Vue({
+          template: `
+            <foo ${syntax}="foo">
+              <bar ${syntax}="bar">
+                <baz ${syntax}="baz">
+                  {{ foo }} | {{ bar }} | {{ baz }}
+                </baz>
+              </bar>
+            </foo>
+          `,
+          components: { Foo, Bar, Baz: Bar }
+        }).$mount()
+        expect(vm.$el.innerHTML.trim()).toBe(`from foo default | from bar | from bar`)
+      })
+
+      it('named slots', () => {
+        const vm = new Vue({
+          template: `
+            <foo>
+              <template ${named}default="foo">
+                {{ foo }}
+              </template>
+              <template ${named}one="one">
+                {{ one }}
+              </template>
+              <template ${named}two="two">
+                {{ two }}
+              </template>
+            </foo>
+          `,
+          components: { Foo }
+        }).$mount()
+        expect(vm.$el.innerHTML.replace(/\s+/g, ' ')).toMatch(`from foo default from foo one from foo two`)
+      })
+
+      it('nested + named + default slots', () => {
+        const vm = new Vue({
+          template: `
+            <foo>
+              <template ${named}one="one">
+                <bar ${syntax}="bar">
+                  {{ one }} {{ bar }}
+                </bar>
+              </template>
+              <template ${named}two="two">
+                <baz ${syntax}="baz">
+                  {{ two }} {{ baz }}
+                </baz>
+              </template>
+            </foo>
+          `,
+          components: { Foo, Bar, Baz: Bar }
+        }).$mount()
+        expect(vm.$el.innerHTML.replace(/\s+/g, ' ')).toMatch(`from foo one from bar from foo two from bar`)
+      })
+
+      it('should warn v-slot usage on non-component elements', () => {
+        new Vue({
+          template: `<div ${syntax}="foo"/>`
+        }).$mount()
+        expect(`v-slot can only be used on components or <template>`).toHaveBeenWarned()
+      })
+
+      it('should warn mixed usage', () => {
+        new Vue({
+          template: `<foo><bar slot="one" slot-scope="bar" ${syntax}="bar"></bar></foo>`,
+          components: { Foo, Bar }
+        }).$mount()
+        expect(`Unexpected mixed usage of different slot syntaxes`).toHaveBeenWarned()
+      })
+    }
+
+    // run tests for both full syntax and shorthand
+    runSuite('v-slot', 'v-slot:')
+    runSuite('#default', '#')
+
+    it('shorthand named slots', () => {
+      const vm = new Vue({
+        template: `
+          <foo>
+            <template #default="foo">
+              {{ foo }}
+            </template>
+            <template #one="one">
+              {{ one }}
+            </template>
+            <template #two="two">
+              {{ two }}
+            </template>
+          </foo>
+        `,
+        components: { Foo }
+      }).$mount()
+      expect(vm.$el.innerHTML.replace(/\s+/g, ' ')).toMatch(`from foo default from foo one from foo two`)
+    })
+
+    it('should warn mixed root-default and named slots', () => {
+      new Vue({
+        template: `
+          <foo #default="foo">
+            {{ foo }}
+            <template #one="one">{{ one }}</template>
+          </foo>
+        `,
+        components: { Foo }
+      }).$mount()
+      expect(`default slot should also use <template>`).toHaveBeenWarned()
+    })
+
+    it('shorthand without scope variable', () => {
+      const vm = new Vue({
+        template: `
+          <foo>
+            <template #one>one</template>
+            <template #two>two</template>
+          </foo>
+        `,
+        components: { Foo }
+      }).$mount()
+      expect(vm.$el.innerHTML.replace(/\s+/g, ' ')).toMatch(`onetwo`)
+    })
+
+    it('shorthand named slots on root', () => {
+      const vm = new Vue({
+        template: `
+          <foo #one="one">
+            {{ one }}
+          </foo>
+        `,
+        components: { Foo }
+      }).$mount()
+      expect(vm.$el.innerHTML.replace(/\s+/g, ' ')).toMatch(`from foo one`)
+    })
+
+    it('dynamic slot name', done => {
+      const vm = new Vue({
+        data: {
+          a: 'one',
+          b: 'two'
+        },
+        template: `
+          <foo>
+            <template #[a]="one">a {{ one }} </template>
+            <template v-slot:[b]="two">b {{ two }} </template>
+          </foo>
+        `,
+        components: { Foo }
+      }).$mount()
+      expect(vm.$el.innerHTML.replace(/\s+/g, ' ')).toMatch(`a from foo one b from foo two`)
+      vm.a = 'two'
+      vm.b = 'one'
+      waitForUpdate(() => {
+        expect(vm.$el.innerHTML.replace(/\s+/g, ' ')).toMatch(`b from foo one a from foo two `)
+      }).then(done)
+    })
+
+    it('v-if on slot template', done => {
+      const vm = new Vue({
+        data: { ok: true },
+        template: `
+          <foo>
+            <template #one="one" v-if="ok">yes {{ one }}</template>
+            <template #two="two" v-else>no {{ two }}</template>
+          </foo>
+        `,
+        components: { Foo }
+      }).$mount()
+      expect(vm.$el.innerHTML).toBe(`yes from foo one`)
+      vm.ok = false
+      waitForUpdate(() => {
+        expect(vm.$el.innerHTML).toBe(`no from foo two`)
+      }).then(done)
+    })
+
+    it('should expose slots without scope on this.$slots', () => {
+      const vm = new Vue({
+        template: `<foo><template #default>hello</template></foo>`,
+        components: {
+          foo: {
+            render (h) {
+              return h('div', this.$slots.default)
+            }
+          }
+        }
+      }).$mount()
+      expect(vm.$el.innerHTML).toBe('hello')
+    })
+
+    it('should not expose slots with scope on this.$slots', () => {
+      const vm = new Vue({
+        template: `<foo><template #default="foo">hello</template></foo>`,
+        components: {
+          foo: {
+            render (h) {
+              return h('div', this.$slots.default)
+            }
+          }
+        }
+      }).$mount()
+      expect(vm.$el.innerHTML).toBe('')
+    })
+  })
 })
@@ -356,6 +356,91 @@ describe('Directive v-bind', () => {
     }).then(done)
   })
 
+  describe('dynamic arguments', () => {
+    it('basic', done => {
+      const vm = new Vue({
+        template: `<div v-bind:[key]="value"></div>`,
+        data: {
+          key: 'id',
+          value: 'hello'
+        }
+      }).$mount()
+      expect(vm.$el.id).toBe('hello')
+      vm.key = 'class'
+      waitForUpdate(() => {
+        expect(vm.$el.id).toBe('')
+        expect(vm.$el.className).toBe('hello')
+        // explicitly remove the binding
+        vm.key = null
+      }).then(() => {
+        expect(vm.$el.className).toBe('')
+      }).then(done)
+    })
+
+    it('shorthand', done => {
+      const vm = new Vue({
+        template: `<div :[key]="value"></div>`,
+        data: {
+          key: 'id',
+          value: 'hello'
+        }
+      }).$mount()
+      expect(vm.$el.id).toBe('hello')
+      vm.key = 'title'
+      waitForUpdate(() => {
+        expect(vm.$el.hasAttribute('id')).toBe(false)
+        expect(vm.$el.title).toBe('hello')
+      }).then(done)
+    })
+
+    it('with .prop modifier', done => {
+      const vm = new Vue({
+        template: `<div :[key].prop="value"></div>`,
+        data: {
+          key: 'id',
+          value: 'hello'
+        }
+      }).$mount()
+      expect(vm.$el.id).toBe('hello')
+      vm.key = 'textContent'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('hello')
+      }).then(done)
+    })
+
+    it('with .sync modifier', done => {
+      const vm = new Vue({
+        template: `<test :[key].sync="value"/>`,
+        data: {
+          key: 'foo',
+          value: 1
+        },
+        components: {
+          test: {
+            props: ['foo'],
+            template: `<div @click="$emit('update:foo', foo + 1)">{{ foo }}</div>`
+          }
+        }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('1')
+      triggerEvent(vm.$el, 'click')
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('2')
+      }).then(done)
+    })
+
+    it('warn invalid argument value', () => {
+      new Vue({
+        template: `<div :[key]="value"></div>`,
+        data: {
+          key: 1,
+          value: 'hello'
+        }
+      }).$mount()
+      expect('Invalid value for dynamic directive argument').toHaveBeenWarned()
+    })
+  })
+
   describe('bind object with special attribute', () => {
     function makeInstance (options) {
       return new Vue({
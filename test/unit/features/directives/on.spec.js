@@ -405,6 +405,110 @@ describe('Directive v-on', () => {
     Vue.config.keyCodes = Object.create(null)
   })
 
+  it('should support key combinations', () => {
+    vm = new Vue({
+      el,
+      template: `<input @keydown.ctrl+shift+k="foo" @keydown.alt+ctrl+delete="foo">`,
+      methods: { foo: spy }
+    })
+    triggerEvent(vm.$el, 'keydown', e => {
+      e.key = 'K'
+      e.ctrlKey = true
+    })
+    expect(spy).not.toHaveBeenCalled()
+    triggerEvent(vm.$el, 'keydown', e => {
+      e.key = 'K'
+      e.ctrlKey = true
+      e.shiftKey = true
+    })
+    expect(spy).toHaveBeenCalledTimes(1)
+    // modifiers must match exactly
+    triggerEvent(vm.$el, 'keydown', e => {
+      e.key = 'K'
+      e.ctrlKey = true
+      e.shiftKey = true
+      e.altKey = true
+    })
+    expect(spy).toHaveBeenCalledTimes(1)
+    triggerEvent(vm.$el, 'keydown', e => {
+      e.key = 'Backspace'
+      e.ctrlKey = true
+      e.altKey = true
+    })
+    expect(spy).toHaveBeenCalledTimes(2)
+  })
+
+  it('should support mod in key combinations', () => {
+    vm = new Vue({
+      el,
+      template: `<input @keydown.mod+s="foo">`,
+      methods: { foo: spy }
+    })
+    const isApple = /macintosh|mac os x|iphone|ipad|ipod/.test(navigator.userAgent.toLowerCase())
+    triggerEvent(vm.$el, 'keydown', e => {
+      e.key = 's'
+      e[isApple ? 'metaKey' : 'ctrlKey'] = true
+    })
+    expect(spy).toHaveBeenCalledTimes(1)
+    triggerEvent(vm.$el, 'keydown', e => {
+      e.key = 's'
+      e[isApple ? 'ctrlKey' : 'metaKey'] = true
+    })
+    expect(spy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should support key sequences', () => {
+    vm = new Vue({
+      el,
+      template: `<input @keydown.g,g="foo">`,
+      methods: { foo: spy }
+    })
+    const press = key => triggerEvent(vm.$el, 'keydown', e => { e.key = key })
+    press('g')
+    expect(spy).not.toHaveBeenCalled()
+    press('g')
+    expect(spy).toHaveBeenCalledTimes(1)
+    // a completed sequence starts over
+    press('g')
+    expect(spy).toHaveBeenCalledTimes(1)
+    press('x')
+    press('g')
+    expect(spy).toHaveBeenCalledTimes(1)
+    press('g')
+    expect(spy).toHaveBeenCalledTimes(2)
+  })
+
+  it('should support named key bindings', () => {
+    Vue.config.keyBindings.save = 'mod+s'
+    Vue.config.keyBindings.top = ['g g', 'home']
+    vm = new Vue({
+      el,
+      template: `<input @keydown.save="foo" @keydown.top="bar">`,
+      methods: { foo: spy, bar: spy }
+    })
+    triggerEvent(vm.$el, 'keydown', e => {
+      e.key = 's'
+      e.ctrlKey = e.metaKey = true
+    })
+    expect(spy).not.toHaveBeenCalled()
+    triggerEvent(vm.$el, 'keydown', e => {
+      e.key = 's'
+      e.ctrlKey = true
+    })
+    triggerEvent(vm.$el, 'keydown', e => {
+      e.key = 's'
+      e.metaKey = true
+    })
+    expect(spy).toHaveBeenCalledTimes(1)
+    triggerEvent(vm.$el, 'keydown', e => { e.key = 'Home' })
+    expect(spy).toHaveBeenCalledTimes(2)
+    // bindings are resolved when the event is handled
+    Vue.config.keyBindings.top = 'end'
+    triggerEvent(vm.$el, 'keydown', e => { e.key = 'End' })
+    expect(spy).toHaveBeenCalledTimes(3)
+    Vue.config.keyBindings = Object.create(null)
+  })
+
   it('should override build-in keyCode', () => {
     Vue.config.keyCodes.up = [1, 87]
     vm = new Vue({
@@ -701,6 +805,164 @@ describe('Directive v-on', () => {
     })
   }
 
+  describe('rate limit modifiers', () => {
+    beforeEach(() => {
+      jasmine.clock().install()
+      jasmine.clock().mockDate()
+    })
+
+    afterEach(() => {
+      jasmine.clock().uninstall()
+    })
+
+    it('should debounce handlers', () => {
+      vm = new Vue({
+        el,
+        template: `<input @input.debounce.100ms="foo">`,
+        methods: { foo: spy }
+      })
+      triggerEvent(vm.$el, 'input')
+      jasmine.clock().tick(50)
+      triggerEvent(vm.$el, 'input')
+      jasmine.clock().tick(99)
+      expect(spy).not.toHaveBeenCalled()
+      jasmine.clock().tick(1)
+      expect(spy).toHaveBeenCalledTimes(1)
+      expect(spy.calls.argsFor(0)[0].type).toBe('input')
+    })
+
+    it('should throttle handlers', () => {
+      vm = new Vue({
+        el,
+        template: `<div @click.throttle="foo"></div>`,
+        methods: { foo: spy }
+      })
+      triggerEvent(vm.$el, 'click')
+      expect(spy).toHaveBeenCalledTimes(1)
+      triggerEvent(vm.$el, 'click')
+      triggerEvent(vm.$el, 'click')
+      expect(spy).toHaveBeenCalledTimes(1)
+      // trailing call with the latest event, 300ms by default
+      jasmine.clock().tick(300)
+      expect(spy).toHaveBeenCalledTimes(2)
+      jasmine.clock().tick(300)
+      triggerEvent(vm.$el, 'click')
+      expect(spy).toHaveBeenCalledTimes(3)
+    })
+
+    it('should apply guards and modifiers on every event', () => {
+      let prevented = 0
+      vm = new Vue({
+        el,
+        template: `<input @keydown.enter.prevent.debounce.1s="foo">`,
+        methods: { foo: spy }
+      })
+      triggerEvent(vm.$el, 'keydown', e => {
+        e.keyCode = 13
+        e.preventDefault = () => prevented++
+      })
+      jasmine.clock().tick(500)
+      // not enter, doesn't reset the timer
+      triggerEvent(vm.$el, 'keydown', e => {
+        e.keyCode = 32
+        e.preventDefault = () => prevented++
+      })
+      expect(prevented).toBe(1)
+      jasmine.clock().tick(500)
+      expect(spy).toHaveBeenCalledTimes(1)
+    })
+
+    it('should keep timers across re-renders and call the latest handler', done => {
+      vm = new Vue({
+        el,
+        data: { n: 1 },
+        template: `<input @input.debounce.100ms="foo(n)">`,
+        methods: { foo: spy }
+      })
+      triggerEvent(vm.$el, 'input')
+      vm.n = 2
+      waitForUpdate(() => {
+        jasmine.clock().tick(100)
+        expect(spy).toHaveBeenCalledTimes(1)
+        expect(spy).toHaveBeenCalledWith(2)
+      }).then(done)
+    })
+
+    it('should cancel pending calls when the listener is removed', done => {
+      vm = new Vue({
+        el,
+        data: { show: true },
+        template: `
+          <div>
+            <input ref="input" @input.debounce="foo" v-if="show">
+            <span ref="span" @click.debounce="foo"></span>
+          </div>
+        `,
+        methods: { foo: spy }
+      })
+      triggerEvent(vm.$refs.input, 'input')
+      vm.show = false
+      waitForUpdate(() => {
+        jasmine.clock().tick(300)
+        expect(spy).not.toHaveBeenCalled()
+        triggerEvent(vm.$refs.span, 'click')
+        vm.$destroy()
+        jasmine.clock().tick(300)
+        expect(spy).not.toHaveBeenCalled()
+      }).then(done)
+    })
+
+    it('should keep the listeners of destroyed elements', done => {
+      const click = jasmine.createSpy('click')
+      vm = new Vue({
+        el,
+        data: { show: true },
+        template: `<div><span ref="span" @click="click" v-if="show"></span></div>`,
+        methods: { click }
+      })
+      const span = vm.$refs.span
+      vm.show = false
+      waitForUpdate(() => {
+        // a leaving element still receives its events
+        triggerEvent(span, 'click')
+        expect(click).toHaveBeenCalled()
+      }).then(done)
+    })
+
+    it('should support component events', done => {
+      vm = new Vue({
+        el,
+        data: { ok: true },
+        template: `<div><test v-if="ok" ref="test" @change.debounce.100ms="foo" /></div>`,
+        methods: { foo: spy },
+        components: {
+          test: { template: '<div></div>' }
+        }
+      })
+      vm.$refs.test.$emit('change', 1)
+      vm.$refs.test.$emit('change', 2)
+      jasmine.clock().tick(100)
+      expect(spy).toHaveBeenCalledTimes(1)
+      expect(spy).toHaveBeenCalledWith(2)
+      // destroying the component cancels pending calls
+      vm.$refs.test.$emit('change', 3)
+      vm.ok = false
+      waitForUpdate(() => {
+        jasmine.clock().tick(100)
+        expect(spy).toHaveBeenCalledTimes(1)
+      }).then(done)
+    })
+
+    it('should warn debounce and throttle used together', () => {
+      vm = new Vue({
+        el,
+        template: `<input @input.debounce.throttle="foo">`,
+        methods: { foo: spy }
+      })
+      expect(`debounce and throttle can't be used together.`).toHaveBeenWarned()
+    })
+  })
+
   // GitHub Issues #5146
   it('should only prevent when match keycode', () => {
     let prevented = false
@@ -882,6 +1144,89 @@ describe('Directive v-on', () => {
     vm.$el.querySelector('input').click()
   })
 
+  describe('dynamic arguments', () => {
+    it('basic', done => {
+      vm = new Vue({
+        el,
+        template: `<div v-on:[event]="foo"></div>`,
+        data: {
+          event: 'click'
+        },
+        methods: { foo: spy }
+      })
+      triggerEvent(vm.$el, 'click')
+      expect(spy.calls.count()).toBe(1)
+      vm.event = 'mouseup'
+      waitForUpdate(() => {
+        triggerEvent(vm.$el, 'click')
+        expect(spy.calls.count()).toBe(1)
+        triggerEvent(vm.$el, 'mouseup')
+        expect(spy.calls.count()).toBe(2)
+        // explicitly remove the listener
+        vm.event = null
+      }).then(() => {
+        triggerEvent(vm.$el, 'mouseup')
+        expect(spy.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('shorthand', () => {
+      vm = new Vue({
+        el,
+        template: `<div @[event]="foo"></div>`,
+        data: {
+          event: 'click'
+        },
+        methods: { foo: spy }
+      })
+      triggerEvent(vm.$el, 'click')
+      expect(spy.calls.count()).toBe(1)
+    })
+
+    it('with .once modifier', () => {
+      vm = new Vue({
+        el,
+        template: `<div @[event].once="foo"></div>`,
+        data: {
+          event: 'click'
+        },
+        methods: { foo: spy }
+      })
+      triggerEvent(vm.$el, 'click')
+      triggerEvent(vm.$el, 'click')
+      expect(spy.calls.count()).toBe(1)
+    })
+
+    it('with .right modifier', () => {
+      vm = new Vue({
+        el,
+        template: `<div @[event].right="foo"></div>`,
+        data: {
+          event: 'click'
+        },
+        methods: { foo: spy }
+      })
+      triggerEvent(vm.$el, 'contextmenu', e => { e.button = 2 })
+      expect(spy.calls.count()).toBe(1)
+    })
+
+    it('with .native modifier', () => {
+      vm = new Vue({
+        el,
+        template: `<foo @[event].native="foo"></foo>`,
+        data: {
+          event: 'click'
+        },
+        methods: { foo: spy },
+        components: {
+          foo: { template: '<div></div>' }
+        }
+      })
+      triggerEvent(vm.$el, 'click')
+      expect(spy.calls.count()).toBe(1)
+    })
+  })
+
   it('warn object syntax with modifier', () => {
     new Vue({
       template: `<button v-on.self="{}"></button>`
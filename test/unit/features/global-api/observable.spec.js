@@ -0,0 +1,143 @@
+import Vue from 'vue'
+
+describe('Global API: observable', () => {
+  describe('Vue.observable', () => {
+    it('should make an object reactive', done => {
+      const state = Vue.observable({ count: 0 })
+      expect(state.__ob__).toBeDefined()
+      const vm = new Vue({
+        render (h) {
+          return h('div', state.count)
+        }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('0')
+      state.count++
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('1')
+      }).then(done)
+    })
+
+    it('should return the same object', () => {
+      const obj = { a: 1 }
+      expect(Vue.observable(obj)).toBe(obj)
+    })
+  })
+
+  describe('Vue.computed', () => {
+    it('should lazily compute and cache the value', () => {
+      const state = Vue.observable({ count: 1 })
+      const spy = jasmine.createSpy('getter').and.callFake(() => state.count * 2)
+      const double = Vue.computed(spy)
+      expect(spy).not.toHaveBeenCalled()
+      expect(double.value).toBe(2)
+      expect(double.value).toBe(2)
+      expect(spy.calls.count()).toBe(1)
+      state.count = 2
+      expect(double.value).toBe(4)
+      expect(spy.calls.count()).toBe(2)
+    })
+
+    it('should be tracked by render watchers', done => {
+      const state = Vue.observable({ count: 1 })
+      const double = Vue.computed(() => state.count * 2)
+      const vm = new Vue({
+        render (h) {
+          return h('div', double.value)
+        }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('2')
+      state.count = 3
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('6')
+      }).then(done)
+    })
+
+    it('should support setters', () => {
+      const state = Vue.observable({ count: 1 })
+      const count = Vue.computed({
+        get: () => state.count,
+        set: val => { state.count = val }
+      })
+      count.value = 5
+      expect(state.count).toBe(5)
+      expect(count.value).toBe(5)
+    })
+
+    it('should warn when assigned without setter', () => {
+      const count = Vue.computed(() => 1)
+      count.value = 2
+      expect('Computed value was assigned to but it has no setter.').toHaveBeenWarned()
+      expect(count.value).toBe(1)
+    })
+
+    it('should stop tracking after stop()', () => {
+      const state = Vue.observable({ count: 1 })
+      const double = Vue.computed(() => state.count * 2)
+      expect(double.value).toBe(2)
+      double.stop()
+      state.count = 2
+      expect(double.value).toBe(2)
+    })
+  })
+
+  describe('Vue.watch', () => {
+    it('should watch a getter function', done => {
+      const state = Vue.observable({ count: 1 })
+      const spy = jasmine.createSpy('watch')
+      Vue.watch(() => state.count, spy)
+      state.count = 2
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith(2, 1)
+      }).then(done)
+    })
+
+    it('should watch a reactive object deeply', done => {
+      const state = Vue.observable({ nested: { count: 1 }})
+      const spy = jasmine.createSpy('watch')
+      Vue.watch(state, spy)
+      state.nested.count = 2
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith(state, state)
+      }).then(done)
+    })
+
+    it('should warn when watching a non-reactive object', () => {
+      Vue.watch({ count: 1 }, () => {})
+      expect('Vue.watch expects a getter function or a reactive object').toHaveBeenWarned()
+    })
+
+    it('should support immediate and handler object', () => {
+      const state = Vue.observable({ count: 1 })
+      const spy = jasmine.createSpy('watch')
+      Vue.watch(() => state.count, { handler: spy, immediate: true })
+      expect(spy).toHaveBeenCalledWith(1)
+    })
+
+    it('should stop watching after stop()', done => {
+      const state = Vue.observable({ count: 1 })
+      const spy = jasmine.createSpy('watch')
+      const stop = Vue.watch(() => state.count, spy)
+      stop()
+      state.count = 2
+      waitForUpdate(() => {
+        expect(spy).not.toHaveBeenCalled()
+      }).then(done)
+    })
+
+    it('should report errors in callbacks through config.errorHandler', done => {
+      const state = Vue.observable({ count: 1 })
+      const handler = jasmine.createSpy('errorHandler')
+      Vue.config.errorHandler = handler
+      const err = new Error('watch error')
+      Vue.watch(() => state.count, () => { throw err })
+      state.count = 2
+      waitForUpdate(() => {
+        const [error, vm, info] = handler.calls.argsFor(0)
+        expect(error).toBe(err)
+        expect(vm).toBeNull()
+        expect(info).toContain('callback for watcher')
+        Vue.config.errorHandler = null
+      }).then(done)
+    })
+  })
+})
@@ -15,6 +15,27 @@ describe('Options data', () => {
     }).then(done)
   })
 
+  it('should track Map and Set in render', done => {
+    const vm = new Vue({
+      data: {
+        map: new Map([['a', 1]]),
+        set: new Set(['x'])
+      },
+      template: `<div><span v-for="[k, v] in Array.from(map)">{{ k }}{{ v }}</span>|{{ set.size }}</div>`
+    }).$mount()
+    expect(vm.$el.textContent).toBe('a1|1')
+    vm.map.set('b', 2)
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('a1b2|1')
+      vm.set.add('y')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('a1b2|2')
+      vm.map.delete('a')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('b2|2')
+    }).then(done)
+  })
+
   it('should merge data properly', () => {
     const Test = Vue.extend({
       data () {
@@ -287,6 +287,148 @@ if (!isIE9) {
       }).then(done)
     })
 
+    it('move with JavaScript hooks', done => {
+      const beforeMove = jasmine.createSpy('beforeMove')
+      const afterMove = jasmine.createSpy('afterMove')
+      const moveCancelled = jasmine.createSpy('moveCancelled')
+      const moves = []
+      const vm = new Vue({
+        template: `
+          <div>
+            <transition-group
+              :css="false"
+              @before-move="beforeMove"
+              @move="move"
+              @after-move="afterMove"
+              @move-cancelled="moveCancelled">
+              <div v-for="item in items" :key="item">{{ item }}</div>
+            </transition-group>
+          </div>
+        `,
+        data: {
+          items: ['a', 'b', 'c']
+        },
+        methods: {
+          beforeMove,
+          afterMove,
+          moveCancelled,
+          move (el, done, delta) {
+            // the translation is removed before the hook is called
+            expect(el.style.transform).toBe('')
+            moves.push({ el, done, delta })
+          }
+        }
+      }).$mount(el)
+
+      const [a, , c] = vm.$el.firstChild.childNodes
+      vm.items = ['c', 'b', 'a']
+      waitForUpdate(() => {
+        expect(moves.map(move => move.el)).toEqual([a, c])
+        expect(moves[0].delta.x).toBe(0)
+        expect(moves[0].delta.y).toBeLessThan(0)
+        expect(moves[1].delta.y).toBe(-moves[0].delta.y)
+        expect(beforeMove.calls.count()).toBe(2)
+        expect(afterMove).not.toHaveBeenCalled()
+        moves[0].done()
+        expect(afterMove).toHaveBeenCalledWith(a)
+        // moving again cancels the pending move of c
+        vm.items = ['a', 'b', 'c']
+      }).then(() => {
+        expect(moveCancelled.calls.count()).toBe(1)
+        expect(moveCancelled).toHaveBeenCalledWith(c)
+        expect(moves.length).toBe(4)
+        moves[1].done()
+        expect(afterMove.calls.count()).toBe(1)
+        moves[2].done()
+        moves[3].done()
+        expect(afterMove.calls.count()).toBe(3)
+      }).then(done)
+    })
+
+    it('move shared elements between groups', done => {
+      const afterLeave = jasmine.createSpy('afterLeave')
+      const vm = new Vue({
+        template: `
+          <div>
+            <transition-group shared="board" name="group" tag="ul" @after-leave="afterLeave">
+              <li v-for="item in todo" :key="item" class="test">{{ item }}</li>
+            </transition-group>
+            <transition-group shared="board" name="group" tag="ul">
+              <li v-for="item in done" :key="item" class="test">{{ item }}</li>
+            </transition-group>
+          </div>
+        `,
+        data: {
+          todo: ['a', 'b'],
+          done: ['c']
+        },
+        methods: { afterLeave }
+      }).$mount(el)
+
+      vm.todo = ['a']
+      vm.done = ['c', 'b']
+      waitForUpdate(() => {
+        // the elements are matched once all the groups are updated
+      }).then(() => {
+        expect(afterLeave).toHaveBeenCalled()
+        expect(vm.$el.innerHTML.replace(/\s?style=""(\s?)/g, '$1')).toBe(
+          `<ul><li class="test">a</li></ul> ` +
+          `<ul>` +
+            `<li class="test">c</li>` +
+            `<li class="test group-move">b</li>` +
+          `</ul>`
+        )
+      }).thenWaitFor(duration * 2 + buffer).then(() => {
+        expect(vm.$el.innerHTML.replace(/\s?style=""(\s?)/g, '$1')).toBe(
+          `<ul><li class="test">a</li></ul> ` +
+          `<ul>` +
+            `<li class="test">c</li>` +
+            `<li class="test">b</li>` +
+          `</ul>`
+        )
+      }).then(done)
+    })
+
+    it('reverse the leave transition of a re-added item', done => {
+      const reversed = jasmine.createSpy('reversed')
+      const vm = new Vue({
+        template: `
+          <div>
+            <transition-group @reversed="reversed">
+              <div v-for="item in items" :key="item" class="test">{{ item }}</div>
+            </transition-group>
+          </div>
+        `,
+        data: {
+          items: ['a', 'b']
+        },
+        methods: { reversed }
+      }).$mount(el)
+
+      const leaving = vm.$el.firstChild.childNodes[1]
+      vm.items = ['a']
+      waitForUpdate(() => {
+        expect(leaving.className).toBe('test v-leave v-leave-active')
+      }).thenWaitFor(nextFrame).thenWaitFor(duration / 2).then(() => {
+        vm.items = ['a', 'b']
+      }).then(() => {
+        const entering = vm.$el.firstChild.childNodes[1]
+        expect(vm.$el.firstChild.childNodes.length).toBe(2)
+        expect(entering).not.toBe(leaving)
+        expect(reversed).toHaveBeenCalledWith(entering, jasmine.any(Number))
+        const progress = reversed.calls.argsFor(0)[1]
+        expect(progress).toBeGreaterThan(0)
+        expect(progress).toBeLessThan(1)
+      }).thenWaitFor(duration + buffer).then(() => {
+        expect(vm.$el.innerHTML.replace(/\s?style=""(\s?)/g, '$1')).toBe(
+          `<span>` +
+            `<div class="test">a</div>` +
+            `<div class="test">b</div>` +
+          `</span>`
+        )
+      }).then(done)
+    })
+
     it('warn unkeyed children', () => {
       new Vue({
         template: `<div><transition-group><div v-for="i in 3"></div></transition-group></div>`
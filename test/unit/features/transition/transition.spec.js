@@ -2,6 +2,7 @@ import Vue from 'vue'
 import injectStyles from './inject-styles'
 import { isIE9 } from 'core/util/env'
 import { nextFrame } from 'web/runtime/transition-util'
+import { hasWebAnimations, keyframePresets } from 'web/runtime/animation-util'
 
 if (!isIE9) {
   describe('Transition basic', () => {
@@ -467,8 +468,7 @@ if (!isIE9) {
         vm.ok = false
       }).then(() => {
         expect(spy).toHaveBeenCalled()
-        expect(vm.$el.children[0].className).toBe('test test-leave test-leave-active')
-      }).thenWaitFor(nextFrame).then(() => {
+        // the enter transition is reversed
         expect(vm.$el.children[0].className).toBe('test test-leave-active test-leave-to')
       }).thenWaitFor(duration + buffer).then(() => {
         expect(vm.$el.children.length).toBe(0)
@@ -1189,5 +1189,386 @@ if (!isIE9) {
         expect(vm.$el.children[0].innerHTML).toBe('false')
       }).then(done)
     })
+
+    describe('web animations -', () => {
+      if (!hasWebAnimations) {
+        it('fall back to CSS transitions', done => {
+          const vm = new Vue({
+            template: `<div><transition keyframes="fade"><div v-if="ok" class="test">foo</div></transition></div>`,
+            data: { ok: true }
+          }).$mount(el)
+
+          vm.ok = false
+          waitForUpdate(() => {
+            expect(vm.$el.children[0].className).toBe('test v-leave v-leave-active')
+          }).thenWaitFor(duration + buffer).then(() => {
+            expect(vm.$el.children.length).toBe(0)
+          }).then(done)
+        })
+        return
+      }
+
+      beforeEach(() => {
+        spyOn(Element.prototype, 'animate').and.callThrough()
+      })
+
+      it('enter and leave with keyframes', done => {
+        const afterEnter = jasmine.createSpy('afterEnter')
+        const afterLeave = jasmine.createSpy('afterLeave')
+        const vm = new Vue({
+          template: `
+            <div>
+              <transition keyframes="fade" duration="${duration}" @after-enter="afterEnter" @after-leave="afterLeave">
+                <div v-if="ok" class="test">foo</div>
+              </transition>
+            </div>
+          `,
+          data: { ok: false },
+          methods: { afterEnter, afterLeave }
+        }).$mount(el)
+
+        vm.ok = true
+        waitForUpdate(() => {
+          const child = vm.$el.children[0]
+          // no CSS transition classes
+          expect(child.className).toBe('test')
+          expect(Element.prototype.animate).toHaveBeenCalledWith(keyframePresets.fade, {
+            duration,
+            direction: 'normal',
+            fill: 'both'
+          })
+        }).thenWaitFor(duration + buffer).then(() => {
+          expect(afterEnter).toHaveBeenCalled()
+          vm.ok = false
+        }).then(() => {
+          expect(Element.prototype.animate.calls.count()).toBe(2)
+          expect(Element.prototype.animate.calls.mostRecent().args[1].direction).toBe('reverse')
+        }).thenWaitFor(duration + buffer).then(() => {
+          expect(afterLeave).toHaveBeenCalled()
+          expect(vm.$el.children.length).toBe(0)
+        }).then(done)
+      })
+
+      it('keyframes per phase', done => {
+        const leave = [{ opacity: 1 }, { opacity: 0.5 }]
+        const vm = new Vue({
+          template: `
+            <div>
+              <transition :keyframes="keyframes" duration="${duration}" appear>
+                <div v-if="ok">foo</div>
+              </transition>
+            </div>
+          `,
+          data: {
+            ok: true,
+            keyframes: { appear: 'scale', enter: 'slide-up', leave }
+          }
+        }).$mount(el)
+
+        const calls = Element.prototype.animate.calls
+        expect(calls.mostRecent().args[0]).toBe(keyframePresets.scale)
+        waitForUpdate(() => {
+          // wait for the appear animation to end
+        }).thenWaitFor(duration + buffer).then(() => {
+          vm.ok = false
+        }).then(() => {
+          expect(calls.mostRecent().args[0]).toBe(leave)
+          expect(calls.mostRecent().args[1].direction).toBe('normal')
+        }).thenWaitFor(duration + buffer).then(() => {
+          vm.ok = true
+        }).then(() => {
+          expect(calls.mostRecent().args[0]).toBe(keyframePresets['slide-up'])
+        }).then(done)
+      })
+
+      it('pass the animation to JavaScript hooks', done => {
+        const afterEnter = jasmine.createSpy('afterEnter')
+        let animation
+        const vm = new Vue({
+          template: `
+            <div>
+              <transition keyframes="fade" @enter="enter" @after-enter="afterEnter">
+                <div v-if="ok">foo</div>
+              </transition>
+            </div>
+          `,
+          data: { ok: false },
+          methods: {
+            afterEnter,
+            enter (el, done, a) {
+              animation = a
+              // the hook controls the end of the transition
+              animation.pause()
+              done()
+            }
+          }
+        }).$mount(el)
+
+        vm.ok = true
+        waitForUpdate(() => {
+          expect(animation).toBe(Element.prototype.animate.calls.mostRecent().returnValue)
+          expect(afterEnter).toHaveBeenCalled()
+          // the animation is cancelled once the transition is done
+          expect(animation.playState).toBe('idle')
+        }).then(done)
+      })
+
+      it('reverse the leave animation when re-entered', done => {
+        const leaveCancelled = jasmine.createSpy('leaveCancelled')
+        const afterEnter = jasmine.createSpy('afterEnter')
+        const vm = new Vue({
+          template: `
+            <div>
+              <transition keyframes="fade" duration="${duration * 4}" @leave-cancelled="leaveCancelled" @after-enter="afterEnter">
+                <div v-show="ok">foo</div>
+              </transition>
+            </div>
+          `,
+          data: { ok: true },
+          methods: { leaveCancelled, afterEnter }
+        }).$mount(el)
+
+        const child = vm.$el.children[0]
+        const calls = Element.prototype.animate.calls
+        vm.ok = false
+        let animation
+        waitForUpdate(() => {
+          expect(calls.count()).toBe(1)
+          animation = calls.mostRecent().returnValue
+        }).thenWaitFor(duration).then(() => {
+          vm.ok = true
+        }).then(() => {
+          expect(leaveCancelled).toHaveBeenCalled()
+          // played back instead of starting a new animation
+          expect(calls.count()).toBe(1)
+          expect(animation.playbackRate).toBeLessThan(0)
+          expect(animation.playState).not.toBe('idle')
+          expect(child.style.display).not.toBe('none')
+        }).thenWaitFor(duration * 2 + buffer).then(() => {
+          expect(afterEnter).toHaveBeenCalled()
+          expect(animation.playState).toBe('idle')
+        }).then(done)
+      })
+
+      it('warn unknown presets', () => {
+        new Vue({
+          template: `<div><transition keyframes="foo" appear><div>foo</div></transition></div>`
+        }).$mount(el)
+        expect('<transition> unknown keyframes preset "foo".').toHaveBeenWarned()
+      })
+    })
+
+    describe('reversal -', () => {
+      it('reverse a leave transition in place', done => {
+        const leaveCancelled = jasmine.createSpy('leaveCancelled')
+        const reversed = jasmine.createSpy('reversed')
+        const afterEnter = jasmine.createSpy('afterEnter')
+        const vm = new Vue({
+          template: `
+            <div>
+              <transition @leave-cancelled="leaveCancelled" @reversed="reversed" @after-enter="afterEnter">
+                <div v-show="ok" class="test">foo</div>
+              </transition>
+            </div>
+          `,
+          data: { ok: true },
+          methods: { leaveCancelled, reversed, afterEnter }
+        }).$mount(el)
+
+        const child = vm.$el.children[0]
+        vm.ok = false
+        waitForUpdate(() => {
+          expect(child.className).toBe('test v-leave v-leave-active')
+        }).thenWaitFor(nextFrame).thenWaitFor(duration / 2).then(() => {
+          expect(child.className).toBe('test v-leave-active v-leave-to')
+          vm.ok = true
+        }).then(() => {
+          expect(leaveCancelled).toHaveBeenCalled()
+          expect(reversed).toHaveBeenCalledWith(child, jasmine.any(Number))
+          const progress = reversed.calls.argsFor(0)[1]
+          expect(progress).toBeGreaterThan(0)
+          expect(progress).toBeLessThan(1)
+          // no enter class: the transition starts from the current state
+          expect(child.className).toBe('test v-enter-active v-enter-to')
+          expect(child.style.display).not.toBe('none')
+        }).thenWaitFor(duration + buffer).then(() => {
+          expect(child.className).toBe('test')
+          expect(afterEnter).toHaveBeenCalled()
+        }).then(done)
+      })
+
+      it('reverse an enter transition in place', done => {
+        const reversed = jasmine.createSpy('reversed')
+        const vm = new Vue({
+          template: `
+            <div>
+              <transition @reversed="reversed">
+                <div v-if="ok" class="test">foo</div>
+              </transition>
+            </div>
+          `,
+          data: { ok: false },
+          methods: { reversed }
+        }).$mount(el)
+
+        vm.ok = true
+        let child
+        waitForUpdate(() => {
+          child = vm.$el.children[0]
+        }).thenWaitFor(nextFrame).thenWaitFor(duration / 2).then(() => {
+          expect(child.className).toBe('test v-enter-active v-enter-to')
+          vm.ok = false
+        }).then(() => {
+          expect(reversed).toHaveBeenCalledWith(child, jasmine.any(Number))
+          expect(child.className).toBe('test v-leave-active v-leave-to')
+        }).thenWaitFor(duration + buffer).then(() => {
+          expect(vm.$el.children.length).toBe(0)
+        }).then(done)
+      })
+
+      it('resume CSS animations reversed in place from their progress', done => {
+        const vm = new Vue({
+          template: `
+            <div>
+              <transition name="test-anim">
+                <div v-show="ok">foo</div>
+              </transition>
+            </div>
+          `,
+          data: { ok: true }
+        }).$mount(el)
+
+        const child = vm.$el.children[0]
+        vm.ok = false
+        waitForUpdate(() => {
+          expect(child.className).toBe('test-anim-leave test-anim-leave-active')
+        }).thenWaitFor(nextFrame).thenWaitFor(duration / 2).then(() => {
+          vm.ok = true
+        }).then(() => {
+          expect(child.className).toBe('test-anim-enter-active test-anim-enter-to')
+          // the animation would restart from its first keyframe otherwise
+          expect(child.style.animationDelay).toMatch(/^-\d/)
+        }).thenWaitFor(duration + buffer).then(() => {
+          expect(child.className).toBe('')
+          expect(child.style.animationDelay).toBe('')
+        }).then(done)
+      })
+
+      it('continue from the leave transition of the replaced element', done => {
+        const reversed = jasmine.createSpy('reversed')
+        const vm = new Vue({
+          template: `
+            <div>
+              <transition @reversed="reversed">
+                <div v-if="ok" class="test">foo</div>
+              </transition>
+            </div>
+          `,
+          data: { ok: true },
+          methods: { reversed }
+        }).$mount(el)
+
+        const leaving = vm.$el.children[0]
+        vm.ok = false
+        let child
+        waitForUpdate(() => {
+          expect(leaving.className).toBe('test v-leave v-leave-active')
+        }).thenWaitFor(nextFrame).thenWaitFor(duration / 2).then(() => {
+          vm.ok = true
+        }).then(() => {
+          expect(vm.$el.children.length).toBe(1)
+          child = vm.$el.children[0]
+          expect(child).not.toBe(leaving)
+          expect(reversed).toHaveBeenCalledWith(child, jasmine.any(Number))
+          expect(child.className).toBe('test v-enter v-enter-active')
+        }).thenWaitFor(nextFrame).then(() => {
+          expect(child.className).toBe('test v-enter-active v-enter-to')
+          // started from the progress of the leave transition
+          expect(child.style.transitionDelay).toMatch(/^-\d/)
+        }).thenWaitFor(duration + buffer).then(() => {
+          expect(child.className).toBe('test')
+          expect(child.style.transitionDelay).toBe('')
+        }).then(done)
+      })
+
+      it('call the reversed hook after the before hooks', done => {
+        const calls = []
+        const vm = new Vue({
+          template: `
+            <div>
+              <transition
+                @before-enter="calls.push('beforeEnter')"
+                @before-leave="calls.push('beforeLeave')"
+                @reversed="calls.push('reversed')">
+                <div v-show="show" class="test">foo</div>
+              </transition>
+              <transition
+                @before-enter="calls.push('beforeEnter')"
+                @reversed="calls.push('reversed')">
+                <div v-if="ok" class="test">bar</div>
+              </transition>
+            </div>
+          `,
+          data: { show: false, ok: true, calls }
+        }).$mount(el)
+
+        // in place
+        vm.show = true
+        waitForUpdate(() => {
+          calls.length = 0
+        }).thenWaitFor(nextFrame).thenWaitFor(duration / 2).then(() => {
+          vm.show = false
+        }).then(() => {
+          expect(calls).toEqual(['beforeLeave', 'reversed'])
+          calls.length = 0
+          // replacing a leaving element
+          vm.ok = false
+        }).thenWaitFor(nextFrame).thenWaitFor(duration / 2).then(() => {
+          vm.ok = true
+        }).then(() => {
+          expect(calls).toEqual(['beforeEnter', 'reversed'])
+        }).thenWaitFor(duration + buffer).then(done)
+      })
+
+      it('measure the progress of JavaScript transitions with explicit durations', done => {
+        const reversed = jasmine.createSpy('reversed')
+        const enter = jasmine.createSpy('enter')
+        let leaveDone
+        const vm = new Vue({
+          template: `
+            <div>
+              <transition :css="false" duration="${explicitDuration}" @leave="leave" @enter="enter" @reversed="reversed">
+                <div v-show="ok">foo</div>
+              </transition>
+            </div>
+          `,
+          data: { ok: true },
+          methods: {
+            reversed,
+            enter,
+            leave (el, done) {
+              leaveDone = done
+            }
+          }
+        }).$mount(el)
+
+        const child = vm.$el.children[0]
+        vm.ok = false
+        waitForUpdate(() => {
+          expect(leaveDone).toBeDefined()
+        }).thenWaitFor(explicitDuration / 2).then(() => {
+          vm.ok = true
+        }).then(() => {
+          expect(reversed).toHaveBeenCalledWith(child, jasmine.any(Number))
+          const progress = reversed.calls.argsFor(0)[1]
+          expect(progress).toBeGreaterThan(0)
+          expect(progress).toBeLessThan(1)
+          expect(enter).toHaveBeenCalled()
+          // the leave transition is already cancelled
+          leaveDone()
+          expect(child.style.display).not.toBe('none')
+        }).then(done)
+      })
+    })
   })
 }
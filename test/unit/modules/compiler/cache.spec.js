@@ -0,0 +1,113 @@
+import { compileToFunctions } from 'web/compiler/index'
+import { ssrCompileToFunctions } from 'web/server/compiler'
+import { CompilerCache, createCompilerCache, genCacheKey, hash } from 'compiler/cache'
+
+describe('compiler cache', () => {
+  it('should evict least recently used entries', () => {
+    const cache = new CompilerCache({ max: 2 })
+    cache.set('a', 1)
+    cache.set('b', 2)
+    expect(cache.get('a')).toBe(1)
+    cache.set('c', 3)
+    expect(cache.get('b')).toBeUndefined()
+    expect(cache.get('a')).toBe(1)
+    expect(cache.get('c')).toBe(3)
+    expect(cache.size).toBe(2)
+    cache.set('a', 4)
+    cache.set('d', 5)
+    expect(cache.get('c')).toBeUndefined()
+    expect(cache.get('a')).toBe(4)
+    cache.clear()
+    expect(cache.size).toBe(0)
+    expect(cache.get('a')).toBeUndefined()
+  })
+
+  it('should key entries by template and options', () => {
+    const key = (template, options) => genCacheKey('ns', template, options)
+    expect(key('<div></div>', {})).toBe(key('<div></div>', { warn () {} }))
+    expect(key('<div></div>', { comments: true, delimiters: ['${', '}'] }))
+      .toBe(key('<div></div>', { delimiters: ['${', '}'], comments: true }))
+    expect(key('<div></div>', {})).not.toBe(key('<p></p>', {}))
+    expect(key('<div></div>', {})).not.toBe(key('<div></div>', { comments: true }))
+    expect(key('<div></div>', {})).not.toBe(key('<div></div>', { preserveWhitespace: false }))
+    // functions can't be told apart by their source
+    expect(key('<div></div>', { modules: [{ genData: () => 'a:1,' }] })).toBeUndefined()
+    expect(key('<div></div>', { directives: { foo () {} }})).toBeUndefined()
+    expect(genCacheKey('a', '<div></div>', {})).not.toBe(genCacheKey('b', '<div></div>', {}))
+    expect(hash('foo')).toMatch(/^[0-9a-f]{16}$/)
+  })
+
+  it('should cache compiled functions by options', () => {
+    const template = `<div><!-- c -->{{ a }}</div>`
+    const res = compileToFunctions(template)
+    expect(compileToFunctions(template)).toBe(res)
+    expect(compileToFunctions(template, { comments: true })).not.toBe(res)
+    expect(compileToFunctions(template, { cache: false })).not.toBe(res)
+    const modules = [{ genData: () => '' }]
+    expect(compileToFunctions(template, { modules })).not.toBe(compileToFunctions(template, { modules }))
+    // different compilers don't share entries
+    expect(ssrCompileToFunctions(template)).not.toBe(res)
+  })
+
+  it('should use a custom cache', () => {
+    const cache = createCompilerCache({ max: 1 })
+    const res = compileToFunctions(`<p>{{ a }}</p>`, { cache })
+    expect(cache.size).toBe(1)
+    expect(compileToFunctions(`<p>{{ a }}</p>`, { cache })).toBe(res)
+    compileToFunctions(`<p>{{ b }}</p>`, { cache })
+    expect(cache.size).toBe(1)
+    expect(compileToFunctions(`<p>{{ a }}</p>`, { cache })).not.toBe(res)
+  })
+
+  it('should persist compiled code in the store', () => {
+    const entries = {}
+    const store = {
+      get: jasmine.createSpy('get').and.callFake(key => entries[key]),
+      set: jasmine.createSpy('set').and.callFake((key, code) => { entries[key] = code })
+    }
+    const template = `<div :id="id">{{ a }}</div>`
+    compileToFunctions(template, { cache: createCompilerCache({ store }) })
+    expect(store.set).toHaveBeenCalledTimes(1)
+    const key = Object.keys(entries)[0]
+    expect(key).toBe(hash(entries[key].key))
+    expect(entries[key].key).toContain(template)
+    expect(entries[key].render).toBe(`with(this){return _c('div',{attrs:{"id":id}},[_v(_s(a))])}`)
+    expect(entries[key].staticRenderFns).toEqual([])
+    expect(entries[key].errors).toEqual([])
+
+    // a new cache, e.g. in another process, uses the persisted code
+    entries[key].render = `with(this){return _c('p')}`
+    const res = compileToFunctions(template, { cache: createCompilerCache({ store }) })
+    expect(store.set).toHaveBeenCalledTimes(1)
+    expect(res.render.toString()).toContain(`_c('p')`)
+  })
+
+  it('should not use persisted code of another key', () => {
+    const entries = {}
+    const store = {
+      get: key => entries[key],
+      set: (key, code) => { entries[key] = code }
+    }
+    compileToFunctions(`<div>{{ a }}</div>`, { cache: createCompilerCache({ store }) })
+    const key = Object.keys(entries)[0]
+    // e.g. a hash collision
+    entries[key].key = genCacheKey('ns', '<p></p>', {})
+    entries[key].render = `with(this){return _c('p')}`
+    const res = compileToFunctions(`<div>{{ a }}</div>`, { cache: createCompilerCache({ store }) })
+    expect(res.render.toString()).toContain(`_c('div',`)
+    expect(entries[key].render).toBe(`with(this){return _c('div',[_v(_s(a))])}`)
+  })
+
+  it('should report errors of persisted code', () => {
+    const entries = {}
+    const store = {
+      get: key => entries[key],
+      set: (key, code) => { entries[key] = code }
+    }
+    const warn = jasmine.createSpy('warn')
+    compileToFunctions(`<div>{{ a b }}</div>`, { warn, cache: createCompilerCache({ store }) })
+    compileToFunctions(`<div>{{ a b }}</div>`, { warn, cache: createCompilerCache({ store }) })
+    expect(warn).toHaveBeenCalledTimes(2)
+    expect(warn.calls.argsFor(1)[0]).toContain('invalid expression')
+  })
+})
@@ -37,6 +37,13 @@ describe('codegen', () => {
     )
   })
 
+  it('generate directive with dynamic argument', () => {
+    assertCodegen(
+      '<p v-custom1:[arg1].modifier="value1"></p>',
+      `with(this){return _c('p',{directives:[{name:"custom1",rawName:"v-custom1:[arg1].modifier",value:(value1),expression:"value1",arg:arg1,modifiers:{"modifier":true}}]})}`
+    )
+  })
+
   it('generate filters', () => {
     assertCodegen(
       '<div :id="a | b | c">{{ d | e | f }}</div>',
@@ -151,6 +158,27 @@ describe('codegen', () => {
     )
   })
 
+  it('generate v-bind with dynamic argument', () => {
+    assertCodegen(
+      '<p id="a" :[name]="value" :[key.name]="value2"></p>',
+      `with(this){return _c('p',_b({attrs:{"id":"a"}},"p",_d({},[name,value,key.name,value2])))}`
+    )
+  })
+
+  it('generate v-bind with dynamic argument and prop modifier', () => {
+    assertCodegen(
+      '<p :[name].prop="value"></p>',
+      `with(this){return _c('p',{domProps:_d({},[name,value])})}`
+    )
+  })
+
+  it('generate v-bind with dynamic argument and sync modifier', () => {
+    assertCodegen(
+      '<p :[name].sync="value"></p>',
+      `with(this){return _c('p',_b({on:_d({},["update:"+(name),function($event){value=$event}])},"p",_d({},[name,value])))}`
+    )
+  })
+
   it('generate template tag', () => {
     assertCodegen(
       '<div><template><p>{{hello}}</p></template></div>',
@@ -158,6 +186,20 @@ describe('codegen', () => {
     )
   })
 
+  it('generate template tag with a single v-for component', () => {
+    assertCodegen(
+      '<div><p></p><template><comp v-for="item in items" :key="item"></comp></template></div>',
+      `with(this){return _c('div',[_c('p'),_l((items),function(item){return _c('comp',{key:item})})],2)}`
+    )
+  })
+
+  it('generate multiple root elements', () => {
+    assertCodegen(
+      '<div>{{ a }}</div> <p v-if="b"></p><p v-else></p>',
+      `with(this){return [_c('div',[_v(_s(a))]),(b)?_c('p'):_c('p')]}`
+    )
+  })
+
   it('generate single slot', () => {
     assertCodegen(
       '<div><slot></slot></div>',
@@ -208,6 +250,35 @@ describe('codegen', () => {
     )
   })
 
+  it('generate v-slot', () => {
+    assertCodegen(
+      '<foo><template v-slot:foo="{ bar }">{{ bar }}</template></foo>',
+      `with(this){return _c('foo',{scopedSlots:_u([{key:"foo",fn:function({ bar }){return [_v(_s(bar))]}}])})}`
+    )
+    assertCodegen(
+      '<foo><template #[name]>{{ bar }}</template></foo>',
+      `with(this){return _c('foo',{scopedSlots:_u([{key:name,fn:function(){return [_v(_s(bar))]},proxy:true}])})}`
+    )
+  })
+
+  it('generate v-slot on component', () => {
+    assertCodegen(
+      '<foo v-slot="bar">{{ bar }}</foo>',
+      `with(this){return _c('foo',{scopedSlots:_u([{key:"default",fn:function(bar){return [_v(_s(bar))]}}])})}`
+    )
+    assertCodegen(
+      '<foo v-slot>{{ bar }}</foo>',
+      `with(this){return _c('foo',{scopedSlots:_u([{key:"default",fn:function(){return [_v(_s(bar))]},proxy:true}])})}`
+    )
+  })
+
+  it('generate v-slot with v-if', () => {
+    assertCodegen(
+      '<foo><template #a v-if="ok">a</template><template #b v-else>b</template></foo>',
+      `with(this){return _c('foo',{scopedSlots:_u([(ok)?{key:"a",fn:function(){return [_v("a")]},proxy:true}:{key:"b",fn:function(){return [_v("b")]},proxy:true}])})}`
+    )
+  })
+
   it('generate class binding', () => {
     // static
     assertCodegen(
@@ -337,7 +408,24 @@ describe('codegen', () => {
     // custom keycode
     assertCodegen(
       '<input @input.custom="onInput">',
-      `with(this){return _c('input',{on:{"input":function($event){if(!('button' in $event)&&_k($event.keyCode,"custom",undefined,$event.key,undefined))return null;return onInput($event)}}})}`
+      `with(this){return _c('input',{on:{"input":function($event){if(!('button' in $event)&&_k($event.keyCode,"custom",undefined,$event.key,undefined,$event))return null;return onInput($event)}}})}`
+    )
+  })
+
+  it('generate events with key bindings', () => {
+    assertCodegen(
+      '<input @keydown.ctrl+shift+k="onInput">',
+      `with(this){return _c('input',{on:{"keydown":function($event){if(!('button' in $event)&&_a($event,"ctrl+shift+k"))return null;return onInput($event)}}})}`
+    )
+    // sequence
+    assertCodegen(
+      '<input @keydown.g,g="onInput">',
+      `with(this){return _c('input',{on:{"keydown":function($event){if(!('button' in $event)&&_a($event,"g,g"))return null;return onInput($event)}}})}`
+    )
+    // alternatives
+    assertCodegen(
+      '<input @keydown.mod+s.enter.prevent="onInput">',
+      `with(this){return _c('input',{on:{"keydown":function($event){if(!('button' in $event)&&_a($event,"mod+s")&&_k($event.keyCode,"enter",13,$event.key,"Enter"))return null;$event.preventDefault();return onInput($event)}}})}`
     )
   })
 
@@ -431,6 +519,48 @@ describe('codegen', () => {
     )
   })
 
+  it('generate events with debounce and throttle modifiers', () => {
+    assertCodegen(
+      '<input @input.debounce="onInput">',
+      `with(this){return _c('input',{on:{"input":_r(function($event){return function(){return onInput($event)}},"debounce",300)}})}`
+    )
+    assertCodegen(
+      '<input @keyup.enter.prevent.debounce.500ms="count++">',
+      `with(this){return _c('input',{on:{"keyup":_r(function($event){if(!('button' in $event)&&_k($event.keyCode,"enter",13,$event.key,"Enter"))return null;$event.preventDefault();return function(){count++}},"debounce",500)}})}`
+    )
+    assertCodegen(
+      '<comp @change.throttle.1s="onChange"></comp>',
+      `with(this){return _c('comp',{on:{"change":_r(function($event){return function(){return onChange($event)}},"throttle",1000)}})}`
+    )
+    // bare numbers are milliseconds, not key codes
+    assertCodegen(
+      '<input @change.debounce.200="onChange">',
+      `with(this){return _c('input',{on:{"change":_r(function($event){return function(){return onChange($event)}},"debounce",200)}})}`
+    )
+  })
+
+  it('generate events with dynamic event name', () => {
+    assertCodegen(
+      '<input @click="onClick" @[event]="onInput">',
+      `with(this){return _c('input',{on:_d({"click":onClick},[event,onInput])})}`
+    )
+    assertCodegen(
+      '<input v-on:[event].native="onInput">',
+      `with(this){return _c('input',{nativeOn:_d({},[event,function($event){return onInput($event)}])})}`
+    )
+  })
+
+  it('generate events with dynamic event name and modifiers', () => {
+    assertCodegen(
+      '<input @[event].capture.once.passive="onInput">',
+      `with(this){return _c('input',{on:_d({},[_p(_p(_p(event,"!"),"~"),"&"),function($event){return onInput($event)}])})}`
+    )
+    assertCodegen(
+      '<input @[event].right="onClick">',
+      `with(this){return _c('input',{on:_d({},[(event)==='click'?'contextmenu':(event),function($event){if(!('button' in $event)&&_k($event.keyCode,"right",39,$event.key,["Right","ArrowRight"]))return null;if('button' in $event && $event.button !== 2)return null;return onClick($event)}])})}`
+    )
+  })
+
   it('generate events with inline statement', () => {
     assertCodegen(
       '<input @input="current++">',
@@ -1,5 +1,6 @@
 import Vue from 'vue'
 import { compile } from 'web/compiler'
+import { ssrCompile } from 'web/server/compiler'
 import { getAndRemoveAttr } from 'compiler/helpers'
 
 describe('compile options', () => {
@@ -127,4 +128,39 @@ describe('compile options', () => {
     expect(compiled.errors[0]).toContain('Raw expression: v-if="a----"')
     expect(compiled.errors[1]).toContain('Raw expression: {{ b++++ }}')
   })
+
+  it('should collect errors with source range', () => {
+    const template = `\n  <div v-if="a----">{{ b++++ }}</div>`
+    const compiled = compile(template, { outputSourceRange: true })
+    expect(compiled.errors.length).toBe(2)
+    const [ifError, textError] = compiled.errors
+    expect(ifError.msg).toContain('Raw expression: v-if="a----"')
+    expect(template.slice(ifError.start, ifError.end)).toBe('v-if="a----"')
+    expect(textError.msg).toContain('Raw expression: {{ b++++ }}')
+    expect(template.slice(textError.start, textError.end)).toBe('{{ b++++ }}')
+  })
+
+  it('should collect tips with source range', () => {
+    const template = `<div><template scope="props"></template></div>`
+    const compiled = compile(template, { outputSourceRange: true })
+    expect(compiled.tips.length).toBe(1)
+    const tip = compiled.tips[0]
+    expect(tip.msg).toContain('the "scope" attribute for scoped slots')
+    expect(template.slice(tip.start, tip.end)).toBe('scope="props"')
+  })
+
+  it('should condense whitespace in the same way with the SSR compiler', () => {
+    const template = `
+      <div :id="id">
+        <span>{{ a }}   and
+          b</span> <span>c</span>
+      </div>
+    `
+    expect(compile(template, { whitespace: 'condense' }).render).toBe(
+      `with(this){return _c('div',{attrs:{"id":id}},[_c('span',[_v(_s(a)+" and b")]),_v(" "),_c('span',[_v("c")])])}`
+    )
+    expect(ssrCompile(template, { whitespace: 'condense' }).render).toBe(
+      `with(this){return _c('div',{attrs:{"id":id}},[_ssrNode("<span>"+_ssrEscape(_s(a)+" and b")+"</span> <span>c</span>")])}`
+    )
+  })
 })
@@ -0,0 +1,167 @@
+import { lintTemplate } from 'web/compiler/lint'
+
+const bindings = {
+  props: ['value', 'count'],
+  data: ['title', 'items', 'ok'],
+  computed: { total () {} },
+  methods: { handle () {}, format () {} },
+  inject: ['theme']
+}
+
+function lint (template, options) {
+  return lintTemplate(template, options).map(d => ({
+    rule: d.rule,
+    severity: d.severity,
+    source: template.slice(d.start, d.end)
+  }))
+}
+
+describe('template lint', () => {
+  it('should report invalid expressions', () => {
+    const template = `<div :class="{ a: }" @click="go(">{{ a b }}</div>`
+    const res = lint(template)
+    expect(res.length).toBe(3)
+    expect(res.every(d => d.rule === 'invalid-expression' && d.severity === 'error')).toBe(true)
+    const diagnostics = lintTemplate(template)
+    expect(diagnostics[0].message).toContain('invalid expression: Unexpected token')
+    expect(diagnostics[0].start).toBe(template.indexOf('}'))
+    expect(diagnostics[2].start).toBe(template.indexOf('b }}'))
+  })
+
+  it('should accept valid expressions and statements', () => {
+    expect(lint(`
+      <div :style="{ color: theme.color, [title]: 1 }" @click="count > 1 ? handle($event) : format(); ok = !ok">
+        <p v-if="items.some(({ done }) => done)">{{ \`\${total}\` }}</p>
+        <p @click="handle">{{ title | capitalize }}</p>
+        <p @click="function (e) { var x = e; handle(x) }">{{ $route.path }}</p>
+        <p v-for="item in items" :key="item.id">{{ Math.max(item.a, value) }}</p>
+      </div>
+    `, { bindings })).toEqual([])
+  })
+
+  it('should report undefined identifiers when bindings are provided', () => {
+    const template = `<div :title="titel" @click="hadle(count)">{{ unknown + total }}</div>`
+    const res = lint(template, { bindings })
+    expect(res).toEqual([
+      { rule: 'no-undef', severity: 'warning', source: 'titel' },
+      { rule: 'no-undef', severity: 'warning', source: 'hadle' },
+      { rule: 'no-undef', severity: 'warning', source: 'unknown' }
+    ])
+    const messages = lintTemplate(template, { bindings }).map(d => d.message)
+    expect(messages[0]).toContain('Did you mean "title"?')
+    expect(messages[1]).toContain('Did you mean "handle"?')
+    expect(messages[2]).not.toContain('Did you mean')
+    // without bindings, identifiers can't be checked
+    expect(lint(template)).toEqual([])
+  })
+
+  it('should allow extra globals', () => {
+    expect(lint(`<div>{{ i18n(title) }}</div>`, { bindings, globals: ['i18n'] })).toEqual([])
+  })
+
+  it('should not report identifiers declared in expressions', () => {
+    expect(lint(`<div @click="items.forEach((item, i) => handle(item, i))"></div>`, { bindings })).toEqual([])
+  })
+
+  it('should report invalid v-model expressions', () => {
+    expect(lint(`<div><input v-model="title + 1"><input v-model.trim="format()"></div>`, { bindings })).toEqual([
+      { rule: 'invalid-v-model', severity: 'error', source: 'title + 1' },
+      { rule: 'invalid-v-model', severity: 'error', source: 'format()' }
+    ])
+    expect(lint(`<div v-for="item in items"><input v-model="item"><input v-model="item.name"></div>`)).toEqual([
+      { rule: 'invalid-v-model', severity: 'error', source: 'item' }
+    ])
+  })
+
+  it('should report mutated props', () => {
+    expect(lint(`<div @click="count++"><input v-model="value"><input v-model="title"></div>`, { bindings })).toEqual([
+      { rule: 'no-mutating-props', severity: 'warning', source: 'count' },
+      { rule: 'no-mutating-props', severity: 'warning', source: 'value' }
+    ])
+  })
+
+  it('should report unused v-for aliases', () => {
+    expect(lint(`
+      <div>
+        <p v-for="(item, index) in items">{{ item }}</p>
+        <p v-for="(item, index) in items" :key="index"></p>
+        <p v-for="{ id, name } in items">{{ id }}</p>
+        <p v-for="n in 5"></p>
+      </div>
+    `)).toEqual([
+      { rule: 'no-unused-vars', severity: 'warning', source: 'index' },
+      { rule: 'no-unused-vars', severity: 'warning', source: 'name' },
+      { rule: 'no-unused-vars', severity: 'warning', source: 'n' }
+    ])
+  })
+
+  it('should resolve v-for aliases in nested elements and v-else branches', () => {
+    expect(lint(`
+      <ul>
+        <li v-for="item in items">
+          <span v-if="item.done">done</span>
+          <span v-else-if="ok">{{ item.name }}</span>
+        </li>
+      </ul>
+    `, { bindings })).toEqual([])
+  })
+
+  it('should report shadowed slot-scope variables', () => {
+    expect(lint(`
+      <div v-for="item in items" :key="item.id">
+        <comp><template slot-scope="{ item, title }">{{ item }} {{ title }}</template></comp>
+      </div>
+    `, { bindings })).toEqual([
+      { rule: 'no-shadow', severity: 'warning', source: 'item' },
+      { rule: 'no-shadow', severity: 'warning', source: 'title' }
+    ])
+  })
+
+  it('should resolve slot-scope variables', () => {
+    expect(lint(`<comp><p slot-scope="props">{{ props.text }}</p></comp>`, { bindings })).toEqual([])
+  })
+
+  it('should resolve v-slot variables', () => {
+    expect(lint(`
+      <div>
+        <comp v-slot="{ item }">{{ item.text }}</comp>
+        <comp>
+          <template #[title]="props">{{ props.text }}</template>
+          <template #footer>{{ total }}</template>
+        </comp>
+      </div>
+    `, { bindings })).toEqual([])
+    expect(lint(`<comp><template #[nmae]="{ title }">{{ titel }}</template></comp>`, { bindings })).toEqual([
+      { rule: 'no-undef', severity: 'warning', source: 'nmae' },
+      { rule: 'no-shadow', severity: 'warning', source: 'title' },
+      { rule: 'no-undef', severity: 'warning', source: 'titel' }
+    ])
+  })
+
+  it('should allow configuring rules', () => {
+    const template = `<div><p v-for="n in 5">{{ foo }}</p></div>`
+    expect(lint(template, {
+      bindings,
+      rules: { 'no-undef': 'error', 'no-unused-vars': 'off' }
+    })).toEqual([
+      { rule: 'no-undef', severity: 'error', source: 'foo' }
+    ])
+  })
+
+  it('should point at the whole attribute when filters are used', () => {
+    expect(lint(`<div :title="foo | capitalize"></div>`, { bindings })).toEqual([
+      { rule: 'no-undef', severity: 'warning', source: ':title="foo | capitalize"' }
+    ])
+  })
+
+  it('should lint dynamic arguments', () => {
+    expect(lint(`<div :[nmae]="title" @[event].once="handle"></div>`, { bindings })).toEqual([
+      { rule: 'no-undef', severity: 'warning', source: 'nmae' },
+      { rule: 'no-undef', severity: 'warning', source: 'event' }
+    ])
+  })
+
+  it('should skip v-pre content', () => {
+    expect(lint(`<div v-pre :title="a b">{{ c d }}</div>`)).toEqual([])
+  })
+})
@@ -0,0 +1,98 @@
+import { compileWithManifest } from 'web/compiler/manifest'
+
+describe('compileWithManifest', () => {
+  it('should return the compiled code', () => {
+    const res = compileWithManifest(`<div>{{ msg }}</div>`)
+    expect(res.render).toBe(`with(this){return _c('div',[_v(_s(msg))])}`)
+    expect(res.ast.tag).toBe('div')
+    expect(res.errors).toEqual([])
+  })
+
+  it('should collect components', () => {
+    const { manifest } = compileWithManifest(`
+      <div>
+        <my-button></my-button>
+        <MyButton v-if="a"></MyButton>
+        <UserCard v-else />
+        <table><tr is="table-row"></tr></table>
+        <component :is="view"></component>
+        <keep-alive><router-view /></keep-alive>
+        <template v-if="b"><my-button /></template>
+      </div>
+    `)
+    expect(manifest.components).toEqual([
+      'my-button', 'MyButton', 'UserCard', 'table-row', 'router-view'
+    ])
+    expect(manifest.dynamicComponents).toEqual(['view'])
+  })
+
+  it('should collect directives and filters', () => {
+    const { manifest } = compileWithManifest(`
+      <div v-focus v-tooltip:top="tip">
+        <input v-model="text" v-show="visible">
+        <p :title="title | capitalize">{{ date | format('LL') | relative }}</p>
+      </div>
+    `)
+    expect(manifest.directives).toEqual(['focus', 'tooltip'])
+    expect(manifest.filters).toEqual(['capitalize', 'relative', 'format'])
+  })
+
+  it('should leave out built-in components and directives', () => {
+    const { manifest } = compileWithManifest(`
+      <div>
+        <transition><p v-show="a">a</p></transition>
+        <TransitionGroup><p v-for="i in list" :key="i" v-text="i"></p></TransitionGroup>
+        <KeepAlive><my-input v-model="value" /></KeepAlive>
+        <component is="portal"><p v-html="html"></p></component>
+      </div>
+    `)
+    expect(manifest.components).toEqual(['my-input'])
+    expect(manifest.directives).toEqual([])
+  })
+
+  it('should collect slots', () => {
+    const { manifest } = compileWithManifest(`
+      <div>
+        <slot></slot>
+        <slot name="header" :user="user"></slot>
+        <slot :name="footerSlot"></slot>
+      </div>
+    `)
+    expect(manifest.slots).toEqual(['default', 'header'])
+    expect(manifest.dynamicSlots).toEqual(['footerSlot'])
+  })
+
+  it('should collect top-level identifiers', () => {
+    const { manifest } = compileWithManifest(`
+      <div :class="{ active }" @click="count++; select($event)">
+        <p v-for="(item, i) in items" :key="item.id">{{ i }}: {{ item.name | upper }}</p>
+        <comp v-slot="{ row }">{{ row[column] }} {{ Math.max(a, $route.params.b) }}</comp>
+        <span v-once>{{ staticMsg }}</span>
+        <b>static</b>
+      </div>
+    `)
+    expect(manifest.identifiers).toEqual([
+      'active', 'count', 'select', 'items', 'column', 'a', '$route', 'staticMsg'
+    ])
+    expect(manifest.filters).toEqual(['upper'])
+    expect(manifest.components).toEqual(['comp'])
+  })
+
+  it('should not collect the helpers of generated code', () => {
+    const { manifest } = compileWithManifest(`
+      <div>
+        <input v-model="form.name">
+        <input v-model.number="form.age">
+        <comp :value.sync="form[key]"/>
+      </div>
+    `)
+    expect(manifest.identifiers).toEqual(['form', 'key'])
+  })
+
+  it('should apply compiler options', () => {
+    const { manifest } = compileWithManifest(`<div><my-el></my-el><x-foo/></div>`, {
+      isReservedTag: tag => tag === 'div' || tag === 'my-el'
+    })
+    expect(manifest.components).toEqual(['x-foo'])
+  })
+})
@@ -87,9 +87,23 @@ describe('parser', () => {
     expect('text "after root {{ interpolation }}" outside root element will be ignored.').toHaveBeenWarned()
   })
 
-  it('warn multiple root elements', () => {
-    parse('<div></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('multiple root elements', () => {
+    const ast = parse('<div></div> <p></p>', baseOptions)
+    expect(ast.tag).toBe('template')
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].tag).toBe('div')
+    expect(ast.children[0].parent).toBeUndefined()
+    expect(ast.children[1].tag).toBe('p')
+  })
+
+  it('text between multiple root elements', () => {
+    const ast = parse('<td>a</td>{{ sep }}<td>b</td> ', baseOptions)
+    expect(ast.tag).toBe('template')
+    expect(ast.children.length).toBe(3)
+    expect(ast.children[0].tag).toBe('td')
+    expect(ast.children[1].type).toBe(2)
+    expect(ast.children[1].expression).toBe('_s(sep)')
+    expect(ast.children[2].tag).toBe('td')
   })
 
   it('remove duplicate whitespace text nodes caused by comments', () => {
@@ -190,51 +204,46 @@ describe('parser', () => {
     expect(astMore.ifConditions[4].block.tag).toBe('p')
   })
 
-  it('warn 2 root elements with v-if', () => {
-    parse('<div v-if="1"></div><div v-if="2"></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 3 root elements with v-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('multiple root elements with v-if', () => {
+    const ast = parse('<div v-if="1"></div><p v-if="2"></p>', baseOptions)
+    expect(ast.tag).toBe('template')
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].if).toBe('1')
+    expect(ast.children[1].if).toBe('2')
   })
 
-  it('warn 3 root elements with v-if and v-else-if on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('multiple root elements with v-if, v-else-if and v-else', () => {
+    const ast = parse(`
+      <div v-if="1"></div>
+      <span v-else-if="2"></span>
+      <p></p>
+      <i v-if="3"></i>
+      <b v-else></b>
+    `, baseOptions)
+    expect(ast.tag).toBe('template')
+    expect(ast.children.length).toBe(3)
+    expect(ast.children[0].ifConditions.length).toBe(2)
+    expect(ast.children[0].ifConditions[1].block.tag).toBe('span')
+    expect(ast.children[1].tag).toBe('p')
+    expect(ast.children[2].ifConditions[1].block.tag).toBe('b')
   })
 
-  it('warn 4 root elements with v-if, v-else-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('warn root element with v-else without v-if', () => {
+    const ast = parse('<div></div><p v-else></p>', baseOptions)
+    expect('v-else used on element <p> without corresponding v-if.').toHaveBeenWarned()
+    expect(ast.tag).toBe('div')
   })
 
-  it('warn 2 root elements with v-if and v-else with v-for on 2nd', () => {
+  it('not warn v-for on root elements', () => {
     parse('<div v-if="1"></div><div v-else v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
-  })
-
-  it('warn 2 root elements with v-if and v-else-if with v-for on 2nd', () => {
-    parse('<div v-if="1"></div><div v-else-if="2" v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
+    parse('<div v-for="item in items"></div>', baseOptions)
+    expect('Cannot use v-for on stateful component root element').not.toHaveBeenWarned()
   })
 
-  it('warn <template> as root element', () => {
+  it('not warn <template> or <slot> as root element', () => {
     parse('<template></template>', baseOptions)
-    expect('Cannot use <template> as component root element').toHaveBeenWarned()
-  })
-
-  it('warn <slot> as root element', () => {
     parse('<slot></slot>', baseOptions)
-    expect('Cannot use <slot> as component root element').toHaveBeenWarned()
-  })
-
-  it('warn v-for on root element', () => {
-    parse('<div v-for="item in items"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element').toHaveBeenWarned()
+    expect('as component root element').not.toHaveBeenWarned()
   })
 
   it('warn <template> key', () => {
@@ -470,6 +479,55 @@ describe('parser', () => {
     expect(ast.slotTarget).toBe('"one"')
   })
 
+  it('v-slot on template', () => {
+    const ast = parse(`
+      <foo>
+        <template v-slot:header="{ msg }">{{ msg }}</template>
+        <template #[name]>named</template>
+        text
+      </foo>
+    `, baseOptions)
+    const header = ast.scopedSlots['"header"']
+    expect(header.slotTarget).toBe('"header"')
+    expect(header.slotScope).toBe('{ msg }')
+    expect(ast.scopedSlots.name.slotScope).toBe('_empty_')
+    // slots are removed from the children
+    expect(ast.children.length).toBe(1)
+    expect(ast.children[0].text.trim()).toBe('text')
+  })
+
+  it('v-slot on component', () => {
+    const ast = parse('<foo v-slot="{ msg }">{{ msg }}</foo>', baseOptions)
+    const slot = ast.scopedSlots['"default"']
+    expect(slot.tag).toBe('template')
+    expect(slot.slotScope).toBe('{ msg }')
+    expect(slot.children[0].expression).toBe('_s(msg)')
+    expect(slot.children[0].parent).toBe(slot)
+    expect(ast.children.length).toBe(0)
+    expect(ast.attrsList.length).toBe(0)
+  })
+
+  it('v-slot with v-if and v-else', () => {
+    const ast = parse(`<foo><template #a v-if="ok">a</template><template #b v-else>b</template></foo>`, baseOptions)
+    expect(Object.keys(ast.scopedSlots)).toEqual(['"a"'])
+    expect(ast.scopedSlots['"a"'].ifConditions[1].block.slotTarget).toBe('"b"')
+  })
+
+  it('warn invalid v-slot usage', () => {
+    parse('<div v-slot="a"></div>', baseOptions)
+    expect('v-slot can only be used on components or <template>.').toHaveBeenWarned()
+    parse('<foo><div><template v-slot:a></template></div></foo>', baseOptions)
+    expect('<template v-slot> can only appear at the root level inside the receiving component').toHaveBeenWarned()
+    parse('<foo><template v-slot:a slot-scope="b"></template></foo>', baseOptions)
+    expect('Unexpected mixed usage of different slot syntaxes.').toHaveBeenWarned()
+    parse('<foo><template #>a</template></foo>', baseOptions)
+    expect('v-slot shorthand syntax requires a slot name.').toHaveBeenWarned()
+    parse('<foo><template #default:one>a</template></foo>', baseOptions)
+    expect('Invalid v-slot shorthand "#default:one": the slot name directly follows #, e.g. #one.').toHaveBeenWarned()
+    parse('<foo v-slot="a">{{ a }}<template #b>b</template></foo>', baseOptions)
+    expect('To avoid scope ambiguity, the default slot should also use <template> syntax').toHaveBeenWarned()
+  })
+
   it('component properties', () => {
     const ast = parse('<my-component :msg="hello"></my-component>', baseOptions)
     expect(ast.attrs[0].name).toBe('msg')
@@ -519,6 +577,23 @@ describe('parser', () => {
     expect(ast.props[0].value).toBe('msg')
   })
 
+  it('attribute with v-bind and dynamic argument', () => {
+    const ast = parse('<input :[name]="msg" :[key.name].prop="value">', baseOptions)
+    expect(ast.attrs).toBeUndefined()
+    expect(ast.dynamicAttrs[0].name).toBe('name')
+    expect(ast.dynamicAttrs[0].value).toBe('msg')
+    expect(ast.dynamicAttrs[0].dynamic).toBe(true)
+    // dots inside the argument are not modifiers
+    expect(ast.props[0].name).toBe('key.name')
+    expect(ast.props[0].value).toBe('value')
+    expect(ast.props[0].dynamic).toBe(true)
+  })
+
+  it('warn invalid dynamic argument expression', () => {
+    parse(`<div :[foo + 'bar']="baz"></div>`, baseOptions)
+    expect('Invalid dynamic argument expression').toHaveBeenWarned()
+  })
+
   it('empty v-bind expression', () => {
     parse('<div :empty-msg=""></div>', baseOptions)
     expect('The value for a v-bind expression cannot be empty. Found in "v-bind:empty-msg"').toHaveBeenWarned()
@@ -538,6 +613,12 @@ describe('parser', () => {
     expect(ast.events.input.value).toBe('onInput')
   })
 
+  it('attribute with v-on and dynamic argument', () => {
+    const ast = parse('<input @[event].once="onInput">', baseOptions)
+    expect(ast.events['_p(event,"~")'].value).toBe('onInput')
+    expect(ast.events['_p(event,"~")'].dynamic).toBe(true)
+  })
+
   it('attribute with directive', () => {
     const ast = parse('<input type="text" name="field1" :value="msg" v-validate:field1="required">', baseOptions)
     expect(ast.directives[0].name).toBe('validate')
@@ -545,6 +626,14 @@ describe('parser', () => {
     expect(ast.directives[0].arg).toBe('field1')
   })
 
+  it('attribute with directive and dynamic argument', () => {
+    const ast = parse('<input v-validate:[field].lazy="required">', baseOptions)
+    expect(ast.directives[0].name).toBe('validate')
+    expect(ast.directives[0].arg).toBe('field')
+    expect(ast.directives[0].isDynamicArg).toBe(true)
+    expect(ast.directives[0].modifiers).toEqual({ lazy: true })
+  })
+
   it('attribute with modifiered directive', () => {
     const ast = parse('<input type="text" name="field1" :value="msg" v-validate.on.off>', baseOptions)
     expect(ast.directives[0].modifiers.on).toBe(true)
@@ -641,6 +730,45 @@ describe('parser', () => {
     expect(span.children[0].text).toBe(' ')
   })
 
+  it('condense whitespace with whitespace: condense', () => {
+    const options = extend({ whitespace: 'condense' }, baseOptions)
+    const ast = parse(`
+      <div>
+        <span>a</span> <span>b</span>
+        <span>c</span>
+        <p>  foo \n  {{ msg }}\t  bar&nbsp;&nbsp; </p>
+        <p>{{ 'x  y' }}  {{ a }}</p>
+      </div>
+    `, options)
+    // whitespace-only nodes with a line break are removed
+    expect(ast.children.length).toBe(6)
+    expect(ast.children[1].text).toBe(' ')
+    expect(ast.children[3].tag).toBe('span')
+    expect(ast.children[4].children[0].text).toBe(` foo {{ msg }} bar\u00a0\u00a0 `)
+    // expressions are left untouched
+    expect(ast.children[5].children[0].text).toBe(`{{ 'x  y' }} {{ a }}`)
+    expect(ast.children[5].children[0].expression).toBe(`_s('x  y')+" "+_s(a)`)
+  })
+
+  it('keep whitespace in <pre>, v-pre and textarea with whitespace: condense', () => {
+    const options = extend({ whitespace: 'condense' }, baseOptions)
+    const ast = parse(`<div><pre>  a\n  <b>b</b>\n</pre><p v-pre>  a\n  <b>{{ b }}</b>\n</p><textarea>  a\n  </textarea></div>`, options)
+    expect(ast.children[0].children[0].text).toBe('  a\n  ')
+    expect(ast.children[0].children[2].text).toBe('\n')
+    expect(ast.children[1].children[0].text).toBe('  a\n  ')
+    expect(ast.children[1].children[1].children[0].text).toBe('{{ b }}')
+    expect(ast.children[2].children[0].text).toBe('  a\n  ')
+  })
+
+  it('preserve whitespace with whitespace: preserve', () => {
+    // takes precedence over preserveWhitespace
+    const options = extend({ whitespace: 'preserve', preserveWhitespace: false }, baseOptions)
+    const ast = parse(`<div><span>a</span>\n  <span>b</span>  foo  \n </div>`, options)
+    expect(ast.children.length).toBe(4)
+    expect(ast.children[1].text).toBe(' ')
+    expect(ast.children[3].text).toBe('  foo  \n ')
+  })
+
   // #5992
   it('ignore the first newline in <pre> tag', function () {
     const options = extend({}, baseOptions)
@@ -737,4 +865,30 @@ describe('parser', () => {
     const ast = parse(`<p>{{\r\nmsg\r\n}}</p>`, baseOptions)
     expect(ast.children[0].expression).toBe('_s(msg)')
   })
+
+  it('should record source ranges with outputSourceRange', () => {
+    const options = extend({ outputSourceRange: true }, baseOptions)
+    const template = `<div id="app" :class="cls"><p @click="go">{{ msg }}</p></div>`
+    const ast = parse(template, options)
+    expect(ast.start).toBe(0)
+    expect(ast.end).toBe(template.length)
+    const { id, ':class': cls } = ast.rawAttrsMap
+    expect(template.slice(id.start, id.end)).toBe('id="app"')
+    expect(template.slice(cls.start, cls.end)).toBe(':class="cls"')
+    expect(ast.attrs[0].start).toBe(id.start)
+
+    const p = ast.children[0]
+    expect(template.slice(p.start, p.end)).toBe('<p @click="go">{{ msg }}</p>')
+    expect(p.events.click.start).toBe(p.rawAttrsMap['@click'].start)
+    const text = p.children[0]
+    expect(template.slice(text.start, text.end)).toBe('{{ msg }}')
+  })
+
+  it('should not record source ranges by default', () => {
+    const ast = parse(`<div id="app">{{ msg }}</div>`, baseOptions)
+    expect(ast.start).toBeUndefined()
+    expect(ast.rawAttrsMap).toEqual({})
+    expect(ast.attrsList[0].start).toBeUndefined()
+    expect(ast.children[0].start).toBeUndefined()
+  })
 })
@@ -0,0 +1,147 @@
+import { compile, compileToFunctions } from 'web/compiler'
+import { markSourceRange, extractSourceMap } from 'compiler/source-map'
+
+const base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+// decode mappings into [generatedLine, generatedColumn, line, column]
+// entries, with 0-based lines and columns, skipping unmapped segments
+function decodeMappings (mappings) {
+  const res = []
+  let line = 0
+  let column = 0
+  mappings.split(';').forEach((segments, generatedLine) => {
+    let generatedColumn = 0
+    segments.split(',').filter(Boolean).forEach(segment => {
+      const fields = []
+      let value = 0
+      let shift = 0
+      for (let i = 0; i < segment.length; i++) {
+        const digit = base64.indexOf(segment[i])
+        value += (digit & 31) << shift
+        if (digit & 32) {
+          shift += 5
+        } else {
+          fields.push(value & 1 ? -(value >> 1) : value >> 1)
+          value = shift = 0
+        }
+      }
+      generatedColumn += fields[0]
+      if (fields.length > 1) {
+        line += fields[2]
+        column += fields[3]
+        res.push([generatedLine, generatedColumn, line, column])
+      }
+    })
+  })
+  return res
+}
+
+// find the template position the generated code at `search` maps to
+function originalPositionOf (compiled, search) {
+  const lines = compiled.render.split('\n')
+  let generatedLine = 0
+  let generatedColumn = -1
+  for (; generatedLine < lines.length; generatedLine++) {
+    generatedColumn = lines[generatedLine].indexOf(search)
+    if (generatedColumn > -1) break
+  }
+  const mapping = decodeMappings(compiled.map.mappings).filter(m => {
+    return m[0] === generatedLine && m[1] <= generatedColumn
+  }).pop()
+  return mapping && { line: mapping[2] + 1, column: mapping[3] }
+}
+
+describe('source map', () => {
+  const template = [
+    `<div id="app" :title="title">`,
+    `  <p v-if="ok" @click="go(1)">{{ a }} and {{`,
+    `    b }}</p>`,
+    `  <p v-else-if="other">other</p>`,
+    `  <li v-for="item in items" :key="item.id">{{ item }}</li>`,
+    `</div>`
+  ].join('\n')
+
+  it('should not change the generated code', () => {
+    const withMap = compile(template, { sourceMap: true })
+    const withoutMap = compile(template)
+    expect(withMap.render).toBe(withoutMap.render)
+    expect(withoutMap.map).toBeUndefined()
+  })
+
+  it('should strip markers from static render functions', () => {
+    const template = `<div><p v-once>{{ a }}</p><p><b>static</b></p></div>`
+    const withMap = compile(template, { sourceMap: true })
+    const withoutMap = compile(template)
+    expect(withMap.staticRenderFns.length).toBe(2)
+    expect(withMap.staticRenderFns).toEqual(withoutMap.staticRenderFns)
+  })
+
+  it('should include the template as source', () => {
+    const { map } = compile(template, { sourceMap: true, filename: 'Foo.vue' })
+    expect(map.version).toBe(3)
+    expect(map.sources).toEqual(['Foo.vue'])
+    expect(map.sourcesContent).toEqual([template])
+  })
+
+  it('should map elements and expressions back to the template', () => {
+    const compiled = compile(template, { sourceMap: true })
+    // elements
+    expect(originalPositionOf(compiled, `_c('div'`)).toEqual({ line: 1, column: 0 })
+    expect(originalPositionOf(compiled, `_c('li'`)).toEqual({ line: 5, column: 2 })
+    // v-bind
+    expect(originalPositionOf(compiled, `title}}`)).toEqual({ line: 1, column: 14 })
+    expect(originalPositionOf(compiled, `item.id`)).toEqual({ line: 5, column: 28 })
+    // v-if
+    expect(originalPositionOf(compiled, `(ok)`)).toEqual({ line: 2, column: 5 })
+    expect(originalPositionOf(compiled, `(other)`)).toEqual({ line: 4, column: 5 })
+    // v-on
+    expect(originalPositionOf(compiled, `function($event)`)).toEqual({ line: 2, column: 15 })
+    // v-for
+    expect(originalPositionOf(compiled, `(items)`)).toEqual({ line: 5, column: 6 })
+    // interpolations
+    expect(originalPositionOf(compiled, `_s(a)`)).toEqual({ line: 2, column: 30 })
+    expect(originalPositionOf(compiled, `_s(b)`)).toEqual({ line: 2, column: 42 })
+    expect(originalPositionOf(compiled, `_s(item)`)).toEqual({ line: 5, column: 43 })
+  })
+
+  it('should account for whitespace around the template', () => {
+    const compiled = compile(`\n\n  <div>{{ msg }}</div>\n`, { sourceMap: true })
+    expect(originalPositionOf(compiled, `_c('div'`)).toEqual({ line: 3, column: 2 })
+    expect(originalPositionOf(compiled, `_s(msg)`)).toEqual({ line: 3, column: 7 })
+  })
+
+  it('should map interpolations with custom delimiters', () => {
+    const compiled = compile(`<div>a ${'$'}{ msg }</div>`, {
+      sourceMap: true,
+      delimiters: ['${', '}']
+    })
+    expect(originalPositionOf(compiled, `_s(msg)`)).toEqual({ line: 1, column: 7 })
+  })
+
+  it('should resume the enclosing mapping after a nested one', () => {
+    const code = markSourceRange(`a(${markSourceRange('b', { start: 4 })},c)`, { start: 1 })
+    const { code: out, map } = extractSourceMap(code, `\n0123456789`)
+    expect(out).toBe('a(b,c)')
+    expect(decodeMappings(map.mappings)).toEqual([
+      [0, 0, 1, 0],
+      [0, 2, 1, 3],
+      [0, 3, 1, 0]
+    ])
+  })
+
+  it('should continue mappings across generated line breaks', () => {
+    const code = `x${markSourceRange('a\nb', { start: 2 })}`
+    const { code: out, map } = extractSourceMap(code, 'abcd')
+    expect(out).toBe('xa\nb')
+    expect(decodeMappings(map.mappings)).toEqual([
+      [0, 1, 0, 2],
+      [1, 0, 0, 2]
+    ])
+  })
+
+  it('should name runtime compiled functions after the filename', () => {
+    const res = compileToFunctions(`<div><b>static</b></div>`, { filename: 'Foo.vue' })
+    expect(res.render.toString()).toContain('//# sourceURL=Foo.vue?render')
+    expect(res.staticRenderFns[0].toString()).toContain('//# sourceURL=Foo.vue?render&static=0')
+  })
+})
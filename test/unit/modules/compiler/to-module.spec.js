@@ -0,0 +1,116 @@
+import Vue from 'vue'
+import { compileToModule } from 'web/compiler/module'
+import * as standaloneHelpers from 'core/instance/render-helpers/standalone'
+
+// evaluate the module code in strict mode, resolving its imports from the
+// standalone helpers
+function evaluate (code) {
+  const imports = []
+  const body = code
+    .replace(/^import \{ (.*) \} from "vue"\n/, (_, specifiers) => {
+      specifiers.split(', ').forEach(s => {
+        const [name, alias] = s.split(' as ')
+        imports.push(`var ${alias} = helpers.${name}`)
+      })
+      return ''
+    })
+    .replace(/^export \{ render, staticRenderFns \}\n$/m, 'return { render, staticRenderFns }')
+  return new Function('helpers', `"use strict";${imports.join(';')}\n${body}`)(standaloneHelpers)
+}
+
+function render (template, options) {
+  const { code, errors } = compileToModule(template)
+  expect(errors).toEqual([])
+  const vm = new Vue(Object.assign(evaluate(code), options))
+  return vm._render()
+}
+
+describe('compile to module', () => {
+  it('should generate code without with', () => {
+    const { code, errors } = compileToModule(`<div :id="id" @click="count++">{{ msg | upper }}</div>`)
+    expect(errors).toEqual([])
+    expect(code).toBe(
+      `import { createTextVNode as _v, toString as _s } from "vue"\n` +
+      `var render = function (_h,_ctx) {var _vm=_ctx||this;return ` +
+        `_vm._c('div',{attrs:{"id":_vm.id},on:{"click":function($event){_vm.count++}}},[_v(_s(_vm._f("upper")(_vm.msg)))])}\n` +
+      `var staticRenderFns = []\n` +
+      `render._withStripped = true\n` +
+      `export { render, staticRenderFns }\n`
+    )
+  })
+
+  it('should only import the standalone helpers used', () => {
+    const { code } = compileToModule(`<ul><li v-for="item in items" :key="item.id">{{ item.text }}</li></ul>`)
+    expect(code).toContain(`import { renderList as _l, createTextVNode as _v, toString as _s } from "vue"\n`)
+    expect(code).toContain(`_l((_vm.items),function(item){return _vm._c('li',{key:item.id},[_v(_s(item.text))])})`)
+    expect(compileToModule(`<div></div>`).code).not.toContain('import')
+  })
+
+  it('should allow customizing the runtime module', () => {
+    const { code } = compileToModule(`<p>{{ a }}</p>`, { runtimeModule: 'vue/dist/vue.runtime.esm' })
+    expect(code).toContain(`import { createTextVNode as _v, toString as _s } from "vue/dist/vue.runtime.esm"\n`)
+  })
+
+  it('should not prefix locals, globals and shorthand properties', () => {
+    const { code } = compileToModule(`
+      <div :class="{ active }" :title="Math.max(a, 1)" @click="list.forEach(x => handle(x, $event))">
+        <comp v-slot="{ item }">{{ item + JSON.stringify(b) }}</comp>
+      </div>
+    `)
+    expect(code).toContain(`class:{ active:_vm.active }`)
+    expect(code).toContain(`"title":Math.max(_vm.a, 1)`)
+    expect(code).toContain(`_vm.list.forEach(x => _vm.handle(x, $event))`)
+    expect(code).toContain(`fn:function({ item }){return [_v(_s(item + JSON.stringify(_vm.b)))]}`)
+  })
+
+  it('should replace this with the instance', () => {
+    const { code } = compileToModule(`<p v-for="n in list" @click="this.count++">{{ this.msg + n }}</p>`)
+    expect(code).toContain(`function($event){_vm.count++}`)
+    expect(code).toContain(`_s(_vm.msg + n)`)
+    expect(code).not.toContain('this.')
+  })
+
+  it('should compile static render functions', () => {
+    const { code } = compileToModule(`<div><p><b>static</b></p>{{ a }}</div>`)
+    expect(code).toContain(`var staticRenderFns = [function (_h,_ctx) {var _vm=_ctx||this;return _vm._c('p',[_vm._c('b',[_v("static")])])}]`)
+  })
+
+  it('should render with the runtime', () => {
+    const vnode = render(`
+      <div :id="id">
+        <p v-for="n in list" :key="n">{{ n }}</p>
+        <p v-if="ok">yes</p><p v-else>no</p>
+        <b><i>static</i></b>
+      </div>
+    `, {
+      data: { id: 'app', list: [1, 2], ok: false }
+    })
+    expect(vnode.data.attrs.id).toBe('app')
+    const children = vnode.children.filter(c => c.tag)
+    expect(children.map(c => c.children[0].text)).toEqual(['1', '2', 'no', undefined])
+    expect(children[3].children[0].children[0].text).toBe('static')
+  })
+
+  it('should render functional components', () => {
+    const { render, staticRenderFns } = evaluate(compileToModule(`<p :class="props.cls">{{ props.msg }}</p>`).code)
+    const vm = new Vue({
+      render: h => h({ functional: true, props: ['msg', 'cls'], render, staticRenderFns }, {
+        props: { msg: 'hi', cls: 'a' }
+      })
+    })
+    const vnode = vm._render()
+    expect(vnode.tag).toBe('p')
+    expect(vnode.data.class).toBe('a')
+    expect(vnode.children[0].text).toBe('hi')
+  })
+
+  it('should warn undefined properties on access', () => {
+    render(`<div>{{ foo }}</div>`)
+    expect('Property or method "foo" is not defined').toHaveBeenWarned()
+  })
+
+  it('should report template errors', () => {
+    const { errors } = compileToModule(`<div>{{ a b }}</div>`)
+    expect(errors.length).toBeGreaterThan(0)
+  })
+})
@@ -0,0 +1,215 @@
+import { compile } from 'web/compiler'
+import { ssrCompile } from 'web/server/compiler'
+
+function render (template, transforms) {
+  const res = compile(template, { transforms })
+  expect(res.errors).toEqual([])
+  return res.render
+}
+
+describe('template transforms', () => {
+  it('should call enter and exit in document order', () => {
+    const calls = []
+    render(`<div><p><span>a</span></p><i></i></div>`, [{
+      enter (node) { node.type === 1 && calls.push(`enter:${node.tag}`) },
+      exit (node) { node.type === 1 && calls.push(`exit:${node.tag}`) }
+    }])
+    expect(calls).toEqual([
+      'enter:div', 'enter:p', 'enter:span', 'exit:span', 'exit:p',
+      'enter:i', 'exit:i', 'exit:div'
+    ])
+  })
+
+  it('should give access to the parent chain and the options', () => {
+    let path
+    render(`<ul class="list"><li><b>x</b></li></ul>`, [{
+      enter (node, p) { if (node.tag === 'b') path = p }
+    }])
+    expect(path.parent.tag).toBe('li')
+    expect(path.parentPath.parent.tag).toBe('ul')
+    expect(path.findParent(p => p.node.staticClass).node.tag).toBe('ul')
+    expect(path.findParent(p => p.node.tag === 'table')).toBe(null)
+    expect(path.options.isReservedTag('div')).toBe(true)
+  })
+
+  it('should visit v-else branches and scoped slots', () => {
+    const tags = []
+    render(`
+      <div>
+        <p v-if="a">a</p><i v-else-if="b">b</i><b v-else>c</b>
+        <comp><template #item="{ x }"><em>{{ x }}</em></template></comp>
+        <comp v-slot="{ y }"><u>{{ y }}</u></comp>
+      </div>
+    `, [{
+      enter (node) { node.type === 1 && tags.push(node.tag) }
+    }])
+    expect(tags).toEqual(['div', 'p', 'i', 'b', 'comp', 'template', 'em', 'comp', 'template', 'u'])
+  })
+
+  it('should give v-else branches the parent of the v-if element', () => {
+    const parents = {}
+    render(`<div><section><p v-if="a"></p><i v-else-if="b"></i><b v-else></b></section></div>`, [{
+      enter (node, path) {
+        if (node.type === 1 && node.tag !== 'div') {
+          parents[node.tag] = [path.parent.tag, path.findParent(p => p.node.tag === 'div').node.tag]
+        }
+      }
+    }])
+    expect(parents.section).toEqual(['div', 'div'])
+    expect(parents.p).toEqual(['section', 'div'])
+    expect(parents.i).toEqual(['section', 'div'])
+    expect(parents.b).toEqual(['section', 'div'])
+  })
+
+  it('should remove nodes', () => {
+    expect(render(`<div><p data-testid="a" class="a">a</p><span :data-testid="id">b</span></div>`, [{
+      enter (node, path) {
+        if (node.type === 1) path.removeAttr('data-testid')
+        if (node.tag === 'span') path.remove()
+      }
+    }])).toBe(`with(this){return _c('div',[_c('p',{staticClass:"a"},[_v("a")])])}`)
+  })
+
+  it('should remove key, class and style', () => {
+    const removeAll = [{
+      enter (node, path) {
+        if (node.type === 1) {
+          ['key', 'class', 'style'].forEach(name => path.removeAttr(name))
+        }
+      }
+    }]
+    expect(render(
+      `<div><p :key="k" class="a" :class="b" style="color: red" :style="c">a</p></div>`,
+      removeAll
+    )).toBe(`with(this){return _c('div',[_c('p',[_v("a")])])}`)
+    expect(render(`<div><p class="a" id="b"></p></div>`, removeAll))
+      .toBe(`with(this){return _c('div',[_c('p',{attrs:{"id":"b"}})])}`)
+  })
+
+  it('should remove a whole v-if chain or a single branch', () => {
+    const remove = tag => [{
+      enter (node, path) { if (node.tag === tag) path.remove() }
+    }]
+    const template = `<div><p v-if="a"></p><i v-else-if="b"></i><b v-else></b><a :href="url"></a></div>`
+    expect(render(template, remove('p'))).toBe(`with(this){return _c('div',[_c('a',{attrs:{"href":url}})])}`)
+    expect(render(template, remove('i'))).toBe(
+      `with(this){return _c('div',[(a)?_c('p'):_c('b'),_c('a',{attrs:{"href":url}})])}`
+    )
+  })
+
+  it('should replace nodes', () => {
+    expect(render(`<div><x-button v-if="ok" @click="go">Go</x-button><span v-else>no</span></div>`, [{
+      enter (node, path) {
+        if (node.tag === 'x-button') {
+          const el = path.parse(`<button class="btn">{{ label }}</button>`)
+          el.events = node.events
+          path.replace(el)
+        }
+      },
+      exit (node, path) {
+        // the children of the replacement are traversed
+        if (node.type === 2) path.replace({ type: 3, text: 'Go' })
+      }
+    }])).toBe(
+      `with(this){return _c('div',[(ok)?_c('button',{staticClass:"btn",on:{"click":go}},[_v("Go")]):_c('span',[_v("no")])])}`
+    )
+  })
+
+  it('should replace the root node', () => {
+    expect(render(`<x-card>a</x-card>`, [{
+      enter (node, path) {
+        if (node.tag === 'x-card') path.replace(path.parse(`<section class="card">a</section>`))
+      }
+    }])).toBe(`with(this){return _c('section',{staticClass:"card"},[_v("a")])}`)
+  })
+
+  it('should insert siblings without visiting them', () => {
+    const tags = []
+    expect(render(`<div><p>{{ a }}</p></div>`, [{
+      enter (node, path) {
+        if (node.type === 1) tags.push(node.tag)
+        if (node.tag === 'p') {
+          path.insertBefore(path.parse(`<h1>title</h1>`))
+          path.insertAfter([path.parse(`<hr>`), path.parse(`<p>b</p>`)])
+        }
+      }
+    }])).toBe(`with(this){return _c('div',[_c('h1',[_v("title")]),_c('p',[_v(_s(a))]),_c('hr'),_c('p',[_v("b")])])}`)
+    expect(tags).toEqual(['div', 'p'])
+  })
+
+  it('should skip the children of a node', () => {
+    const tags = []
+    render(`<div><p><span></span></p><i></i></div>`, [{
+      enter (node, path) {
+        tags.push(node.tag)
+        if (node.tag === 'p') path.skip()
+      }
+    }])
+    expect(tags).toEqual(['div', 'p', 'i'])
+  })
+
+  it('should run transforms in order', () => {
+    expect(render(`<div><x-a>{{ a }}</x-a></div>`, [
+      { enter (node) { if (node.tag === 'x-a') node.tag = 'x-b' } },
+      { enter (node) { if (node.tag === 'x-b') node.tag = 'span' } }
+    ])).toBe(`with(this){return _c('div',[_c('span',[_v(_s(a))])])}`)
+  })
+
+  it('should optimize the transformed AST', () => {
+    const res = compile(`<div><p>{{ msg }}</p><div><span>a</span></div></div>`, {
+      transforms: [{
+        enter (node) {
+          if (node.type === 2) node.expression = `"hello"`
+        },
+        beforeGenerate (ast, options) {
+          expect(ast.staticRoot).toBe(false)
+          expect(ast.children[1].staticRoot).toBe(true)
+          expect(options.transforms.length).toBe(1)
+        }
+      }]
+    })
+    expect(res.staticRenderFns.length).toBe(1)
+  })
+
+  it('should support i18n extraction', () => {
+    const messages = {}
+    const i18n = {
+      enter (node, path) {
+        if (node.type === 3 && node.text.trim()) {
+          const key = `msg${Object.keys(messages).length}`
+          messages[key] = node.text.trim()
+          path.replace({ type: 2, expression: `_s($t(${JSON.stringify(key)}))`, text: node.text })
+        }
+      }
+    }
+    expect(render(`<div><p>Hello</p><p title="x">World</p></div>`, [i18n])).toBe(
+      `with(this){return _c('div',[_c('p',[_v(_s($t("msg0")))]),_c('p',{attrs:{"title":"x"}},[_v(_s($t("msg1")))])])}`
+    )
+    expect(messages).toEqual({ msg0: 'Hello', msg1: 'World' })
+  })
+
+  it('should apply to the SSR compiler', () => {
+    const res = ssrCompile(`<div><p data-testid="a" :title="title">a</p></div>`, {
+      transforms: [{
+        enter (node, path) { if (node.type === 1) path.removeAttr('data-testid') }
+      }]
+    })
+    expect(res.render).toBe(`with(this){return _c('div',[_ssrNode("<p"+(_ssrAttr("title",title))+">a</p>")])}`)
+  })
+
+  it('should warn invalid operations', () => {
+    const res = compile(`<div><p v-if="a"></p><p v-else></p></div>`, {
+      transforms: [{
+        enter (node, path) {
+          if (node.tag === 'div') path.remove()
+          if (node.else) path.insertAfter({ type: 3, text: 'x' })
+        }
+      }]
+    })
+    expect(res.errors).toEqual([
+      'Cannot remove the root node of a template.',
+      'Siblings can only be inserted next to the children of an element, ' +
+      'not next to the root node, v-else(-if) branches or scoped slots.'
+    ])
+  })
+})
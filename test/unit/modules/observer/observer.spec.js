@@ -356,6 +356,128 @@ describe('Observer', () => {
     })
   })
 
+  it('create on Map and Set', () => {
+    const obj = {}
+    const map = new Map([['a', obj]])
+    const ob1 = observe(map)
+    expect(ob1 instanceof Observer).toBe(true)
+    expect(ob1.value).toBe(map)
+    expect(map.__ob__).toBe(ob1)
+    // existing values should be observed
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+
+    const set = new Set([obj])
+    const ob2 = observe(set)
+    expect(ob2 instanceof Observer).toBe(true)
+    expect(set.__ob__).toBe(ob2)
+
+    const weakMap = new WeakMap()
+    const ob3 = observe(weakMap)
+    expect(ob3 instanceof Observer).toBe(true)
+    expect(weakMap.__ob__).toBe(ob3)
+
+    const weakSet = new WeakSet()
+    const ob4 = observe(weakSet)
+    expect(ob4 instanceof Observer).toBe(true)
+    expect(weakSet.__ob__).toBe(ob4)
+  })
+
+  it('observing Map mutation', () => {
+    const map = new Map()
+    const ob = observe(map)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    map.set('a', obj)
+    expect(map.get('a')).toBe(obj)
+    expect(dep.notify.calls.count()).toBe(1)
+    // inserted values should be observed
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+    // setting the same value should not notify
+    map.set('a', obj)
+    expect(dep.notify.calls.count()).toBe(1)
+    map.set('a', 1)
+    expect(dep.notify.calls.count()).toBe(2)
+    expect(map.delete('a')).toBe(true)
+    expect(dep.notify.calls.count()).toBe(3)
+    // deleting a missing key should not notify
+    expect(map.delete('a')).toBe(false)
+    expect(dep.notify.calls.count()).toBe(3)
+    map.set('b', 1)
+    map.clear()
+    expect(map.size).toBe(0)
+    expect(dep.notify.calls.count()).toBe(5)
+    // clearing an empty map should not notify
+    map.clear()
+    expect(dep.notify.calls.count()).toBe(5)
+  })
+
+  it('observing Set mutation', () => {
+    const set = new Set()
+    const ob = observe(set)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    set.add(obj)
+    expect(set.has(obj)).toBe(true)
+    expect(dep.notify.calls.count()).toBe(1)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+    // adding an existing value should not notify
+    set.add(obj)
+    expect(dep.notify.calls.count()).toBe(1)
+    set.delete(obj)
+    expect(dep.notify.calls.count()).toBe(2)
+    set.add(1)
+    set.clear()
+    expect(dep.notify.calls.count()).toBe(4)
+  })
+
+  it('collecting dependencies on Map and Set reads', () => {
+    const map = new Map([['a', 1]])
+    const set = new Set([1])
+    const mapDep = observe(map).dep
+    const setDep = observe(set).dep
+    spyOn(mapDep, 'depend')
+    spyOn(setDep, 'depend')
+    map.get('a')
+    map.has('a')
+    map.size
+    map.forEach(() => {})
+    Array.from(map.keys())
+    Array.from(map.values())
+    Array.from(map.entries())
+    Array.from(map)
+    expect(mapDep.depend.calls.count()).toBe(8)
+    set.has(1)
+    set.size
+    set.forEach(() => {})
+    Array.from(set)
+    expect(setDep.depend.calls.count()).toBe(4)
+  })
+
+  it('observing set/delete on collections', () => {
+    const map = new Map()
+    const mapDep = observe(map).dep
+    spyOn(mapDep, 'notify')
+    setProp(map, 'a', 1)
+    expect(map.get('a')).toBe(1)
+    expect(hasOwn(map, 'a')).toBe(false)
+    expect(mapDep.notify.calls.count()).toBe(1)
+    delProp(map, 'a')
+    expect(map.has('a')).toBe(false)
+    expect(mapDep.notify.calls.count()).toBe(2)
+
+    const set = new Set([1])
+    const setDep = observe(set).dep
+    spyOn(setDep, 'notify')
+    delProp(set, 1)
+    expect(set.has(1)).toBe(false)
+    expect(setDep.notify.calls.count()).toBe(1)
+    setProp(set, 'a', 1)
+    expect(`Cannot set a keyed value on a Set, use add() instead.`).toHaveBeenWarned()
+    expect(setDep.notify.calls.count()).toBe(1)
+  })
+
   it('warn set/delete on non valid values', () => {
     try {
       setProp(null, 'foo', 1)
@@ -118,6 +118,29 @@ describe('Watcher', () => {
     }).then(done)
   })
 
+  it('deep watch on Map and Set', done => {
+    const nested = { a: 1 }
+    vm = new Vue({
+      data: {
+        map: new Map([['nested', nested]]),
+        set: new Set()
+      }
+    })
+    const mapSpy = jasmine.createSpy('map')
+    const setSpy = jasmine.createSpy('set')
+    new Watcher(vm, 'map', mapSpy, { deep: true })
+    new Watcher(vm, 'set', setSpy, { deep: true })
+    nested.a = 2
+    vm.set.add(1)
+    waitForUpdate(() => {
+      expect(mapSpy).toHaveBeenCalledWith(vm.map, vm.map)
+      expect(setSpy).toHaveBeenCalledWith(vm.set, vm.set)
+      vm.map.set('other', 1)
+    }).then(() => {
+      expect(mapSpy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
   it('fire change for prop addition/deletion in non-deep mode', done => {
     new Watcher(vm, 'b', spy)
     Vue.set(vm.b, 'e', 123)
@@ -388,4 +388,151 @@ describe('vdom patch: hydration', () => {
       expect(dom.children[0].className).toBe('bar')
     }).then(done)
   })
+
+  describe('mismatch report', () => {
+    afterEach(() => {
+      Vue.config.hydrationMismatch = 'warn'
+    })
+
+    it('should include path, expected and actual nodes in the warning', () => {
+      const dom = createMockSSRDOM('<ul><li>a</li><p class="b">b</p></ul>')
+      new Vue({
+        template: '<div><ul><li>a</li><li class="b">b</li></ul></div>'
+      }).$mount(dom)
+      expect('not matching server-rendered content').toHaveBeenWarned()
+      expect('Hydration node mismatch at "div > ul:nth-child(1) > p:nth-child(2)"').toHaveBeenWarned()
+      expect('expected (client): <li class="b">').toHaveBeenWarned()
+      expect('actual (server):   <p class="b">').toHaveBeenWarned()
+    })
+
+    it('should describe class and style bindings as bound', () => {
+      Vue.config.hydrationMismatch = 'throw'
+      const dom = createMockSSRDOM('<p></p>')
+      let error
+      try {
+        new Vue({
+          template: `<div><span class="a" :class="{ b: true }" :style="{ color: 'red' }"></span></div>`
+        }).$mount(dom)
+      } catch (e) {
+        error = e
+      }
+      expect(error.report.expected.class).toBe('a {"b":true}')
+      expect(error.report.expected.style).toBe('{"color":"red"}')
+    })
+
+    it('should include the component trace', () => {
+      const dom = createMockSSRDOM('<span></span>')
+      new Vue({
+        template: '<div><test></test></div>',
+        components: {
+          test: {
+            name: 'test',
+            template: '<div><p>{{ msg }}</p></div>',
+            data: () => ({ msg: 'hi' })
+          }
+        }
+      }).$mount(dom)
+      expect('Hydration node mismatch').toHaveBeenWarned()
+      expect('<Test>').toHaveBeenWarned()
+    })
+
+    it('should report mismatching number of children', () => {
+      const dom = createMockSSRDOM('<span>a</span><span>b</span>')
+      new Vue({
+        template: '<div><span>a</span></div>'
+      }).$mount(dom)
+      expect('Hydration children mismatch').toHaveBeenWarned()
+      expect('child nodes: expected 1, got 2').toHaveBeenWarned()
+    })
+
+    it('should throw with a structured report', () => {
+      Vue.config.hydrationMismatch = 'throw'
+      const dom = createMockSSRDOM('<p id="foo">a</p>')
+      let error
+      try {
+        new Vue({
+          template: '<div><span id="foo">a</span></div>'
+        }).$mount(dom)
+      } catch (e) {
+        error = e
+      }
+      expect(error).toBeDefined()
+      expect(error.message).toContain('not matching server-rendered content')
+      expect(error.report.type).toBe('node')
+      expect(error.report.path).toBe('div > p#foo')
+      expect(error.report.expected.tag).toBe('span')
+      expect(error.report.expected.attrs).toEqual({ id: 'foo' })
+      expect(error.report.actual.tag).toBe('p')
+      expect(error.report.actual.attrs).toEqual({ id: 'foo' })
+    })
+
+    it('should patch a mismatching node in place', () => {
+      Vue.config.hydrationMismatch = 'patch-in-place'
+      const dom = createMockSSRDOM('<span>a</span><p>b</p><span>c</span>')
+      const serverSpan = dom.firstChild
+      const vm = new Vue({
+        template: '<div><span>a</span><em>b</em><span>c</span></div>'
+      }).$mount(dom)
+      expect('Patching the mismatching node in place').toHaveBeenWarned()
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      // the rest of the server-rendered tree is kept
+      expect(vm.$el).toBe(dom)
+      expect(dom.firstChild).toBe(serverSpan)
+      expect(dom.innerHTML).toBe('<span>a</span><em>b</em><span>c</span>')
+    })
+
+    it('should patch mismatching children lists in place', () => {
+      Vue.config.hydrationMismatch = 'patch-in-place'
+      const dom = createMockSSRDOM('<ul><li>a</li></ul><ol><li>a</li><li>b</li></ol>')
+      const vm = new Vue({
+        template: '<div><ul><li>a</li><li>b</li></ul><ol><li>a</li></ol></div>'
+      }).$mount(dom)
+      expect('Hydration children mismatch').toHaveBeenWarned()
+      expect(vm.$el).toBe(dom)
+      expect(dom.innerHTML).toBe('<ul><li>a</li><li>b</li></ul><ol><li>a</li></ol>')
+    })
+
+    it('should patch mismatching v-html in place', done => {
+      Vue.config.hydrationMismatch = 'patch-in-place'
+      const dom = createMockSSRDOM('<span>bar</span>')
+      const vm = new Vue({
+        data: { html: '<span>foo</span>' },
+        template: '<div v-html="html"></div>'
+      }).$mount(dom)
+      expect('Hydration innerHTML mismatch').toHaveBeenWarned()
+      expect(vm.$el).toBe(dom)
+      expect(dom.innerHTML).toBe('<span>foo</span>')
+      vm.html = '<span>baz</span>'
+      waitForUpdate(() => {
+        // elements with v-html are re-created when updated
+        expect(vm.$el.innerHTML).toBe('<span>baz</span>')
+      }).then(done)
+    })
+
+    it('should patch mismatching v-text in place', () => {
+      Vue.config.hydrationMismatch = 'patch-in-place'
+      const dom = createMockSSRDOM('<p>bar</p>')
+      const vm = new Vue({
+        data: { msg: 'foo' },
+        template: '<div><p v-text="msg"></p></div>'
+      }).$mount(dom)
+      expect('Hydration textContent mismatch').toHaveBeenWarned()
+      expect(vm.$el).toBe(dom)
+      expect(dom.innerHTML).toBe('<p>foo</p>')
+    })
+
+    it('should keep the replaced node reactive', done => {
+      Vue.config.hydrationMismatch = 'patch-in-place'
+      const dom = createMockSSRDOM('<p>a</p>')
+      const vm = new Vue({
+        data: { msg: 'a' },
+        template: '<div><span>{{ msg }}</span></div>'
+      }).$mount(dom)
+      expect('Patching the mismatching node in place').toHaveBeenWarned()
+      vm.msg = 'b'
+      waitForUpdate(() => {
+        expect(dom.innerHTML).toBe('<span>b</span>')
+      }).then(done)
+    })
+  })
 })
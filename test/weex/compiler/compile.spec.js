@@ -73,4 +73,15 @@ describe('compile basic', () => {
     expect(staticRenderFns).toEqual([])
     expect(errors).toEqual([])
   })
+
+  it('should condense whitespace with whitespace: condense', () => {
+    const { render, errors } = compile(`
+      <div :a="b">
+        <text>{{ a }}   and
+          b</text> <text>c</text>
+      </div>
+    `, { whitespace: 'condense' })
+    expect(render).toEqual(`with(this){return _c('div',{attrs:{"a":b}},[_c('text',[_v(_s(a)+" and b")]),_v(" "),_c('text',[_v("c")])])}`)
+    expect(errors).toEqual([])
+  })
 })
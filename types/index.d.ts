@@ -6,7 +6,8 @@ export as namespace Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  ComputedRef
 } from "./vue";
 
 export {
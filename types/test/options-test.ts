@@ -222,6 +222,9 @@ Vue.component('component', {
     info.toUpperCase()
     return true
   },
+  serverPrefetch() {
+    return Promise.resolve()
+  },
 
   directives: {
     a: {
@@ -278,6 +281,12 @@ Vue.component('provide-function', {
   })
 })
 
+Vue.component('sync-server-prefetch', {
+  serverPrefetch() {
+    this.$emit('prefetch')
+  }
+})
+
 Vue.component('component-with-scoped-slot', {
   render (h) {
     interface ScopedSlotProps {
@@ -3,7 +3,13 @@ import VueSSRClientPlugin = require('../../packages/vue-server-renderer/client-p
 import VueSSRServerPlugin = require('../../packages/vue-server-renderer/server-plugin');
 import webpack = require('webpack');
 import { readFileSync } from 'fs';
-import { createRenderer, createBundleRenderer } from '../../packages/vue-server-renderer';
+import {
+  createRenderer,
+  createBundleRenderer,
+  createComponentCache,
+  createCompilerCache,
+  createFileCacheStore
+} from '../../packages/vue-server-renderer';
 
 function createApp (context: any) {
   return new Vue({
@@ -115,6 +121,42 @@ bundleRenderer.renderToStream(context).on('data', chunk => {
   const html = chunk.toString();
 });
 
+// Component cache test
+const componentCache = createComponentCache({ max: 1024 * 1024, maxAge: 60 * 1000 });
+const cachedRenderer = createRenderer({ cache: componentCache });
+const purged: number = componentCache.purge(['ProductCard', 'product:42']);
+const { entries, evictions } = componentCache.stats();
+const { hits, misses, sets } = cachedRenderer.getCacheStats();
+const bundleStats = bundleRenderer.getCacheStats();
+
+// Compiler cache test
+const compilerCache = createCompilerCache({
+  max: 500,
+  store: createFileCacheStore('/tmp/vue-compiler-cache')
+});
+const compilingRenderer = createRenderer({ compilerCache });
+const compiledTemplates: number = compilerCache.size;
+createRenderer({ compilerCache: false });
+
+// Profiler test
+const profiledRenderer = createRenderer({
+  profile: (profile, context) => {
+    const bytes: number = profile.bytes;
+    profile.measures.forEach(measure => {
+      const duration: number = measure.duration;
+    });
+  }
+});
+
+// Timeout test
+const timedRenderer = createRenderer({
+  timeout: 5000,
+  fallback: (err, context) => {
+    const code: 'RENDER_TIMEOUT' | 'RENDER_ABORTED' = err.code;
+    return '<div id="app"></div>';
+  }
+});
+
 // webpack plugins
 webpack({
   plugins: [
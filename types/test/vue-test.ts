@@ -72,8 +72,10 @@ class Test extends Vue {
       }
     };
     config.keyCodes = { esc: 27 };
+    config.keyBindings = { save: 'mod+s', top: ['g g', 'ctrl+home'] };
     config.ignoredElements = ['foo', /^ion-/];
     config.async = false
+    config.hydrationMismatch = 'patch-in-place';
   }
 
   static testMethods() {
@@ -97,6 +99,23 @@ class Test extends Vue {
     this.use;
     this.mixin(Test);
     this.compile("<div>{{ message }}</div>");
+
+    const state = this.observable({ count: 0 });
+    state.count++;
+    const double = this.computed(() => state.count * 2);
+    const n: number = double.value;
+    double.stop();
+    const writable = this.computed({
+      get: () => state.count,
+      set: (value: number) => { state.count = value }
+    });
+    writable.value = 1;
+    const stop = this.watch(() => state.count, (value, oldValue) => {
+      value.toFixed();
+      oldValue.toFixed();
+    }, { immediate: true });
+    stop();
+    this.watch(state, { handler: value => value.count, deep: true })();
   }
 }
 
@@ -74,9 +74,16 @@ export interface VueConfiguration {
   warnHandler(msg: string, vm: Vue, trace: string): void;
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
+  keyBindings: { [key: string]: string | string[] };
+  hydrationMismatch: 'warn' | 'throw' | 'patch-in-place';
   async: boolean;
 }
 
+export interface ComputedRef<T> {
+  value: T;
+  stop(): void;
+}
+
 export interface VueConstructor<V extends Vue = Vue> {
   new <Data = object, Methods = object, Computed = object, PropNames extends string = never>(options?: ThisTypedComponentOptionsWithArrayProps<V, Data, Methods, Computed, PropNames>): CombinedVueInstance<V, Data, Methods, Computed, Record<PropNames, any>>;
   // ideally, the return type should just contains Props, not Record<keyof Props, any>. But TS requires Base constructors must all have the same return type.
@@ -96,6 +103,12 @@ export interface VueConstructor<V extends Vue = Vue> {
   delete(object: object, key: string): void;
   delete<T>(array: T[], key: number): void;
 
+  observable<T>(obj: T): T;
+  computed<T>(getter: () => T): ComputedRef<T>;
+  computed<T>(options: { get(): T; set?(value: T): void }): ComputedRef<T>;
+  watch<T>(source: () => T, callback: WatchHandler<T> | WatchOptionsWithHandler<T>, options?: WatchOptions): () => void;
+  watch<T extends object>(source: T, callback: WatchHandler<T> | WatchOptionsWithHandler<T>, options?: WatchOptions): () => void;
+
   directive(
     id: string,
     definition?: DirectiveOptions | DirectiveFunction